@@ -0,0 +1,367 @@
+// Batch conversion driven by a JSON or CSV manifest
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { EventEmitter } = require('events');
+const converter = require('../video-gif-converter');
+const { toOptionName, applyConfigOptions } = require('./config');
+
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Parse CSV text into rows of fields, supporting quoted fields with commas,
+ * newlines and doubled quotes
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Load a batch manifest
+ *
+ * JSON manifests are either an array of clips or an object with optional
+ * `defaults` and `concurrency` and a `clips` array. CSV manifests have a header
+ * row; `source`, `start`, `duration` and `output` columns describe the clip and
+ * any other column (e.g. `width` or `max-size`) overrides that option.
+ *
+ * @param {string} manifestPath - Path to the .json or .csv manifest
+ * @returns {object} - { defaults, concurrency, clips }
+ */
+function loadManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Manifest does not exist: ${manifestPath}`);
+  }
+  
+  const content = fs.readFileSync(manifestPath, 'utf8');
+  
+  if (path.extname(manifestPath).toLowerCase() === '.csv') {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) {
+      throw new Error(`Manifest is empty: ${manifestPath}`);
+    }
+    
+    const columns = header.map(toOptionName);
+    const clips = rows.map(values => {
+      const clip = {};
+      columns.forEach((column, i) => {
+        // Empty cells fall back to the defaults
+        if (values[i] !== undefined && values[i].trim() !== '') {
+          clip[column] = values[i].trim();
+        }
+      });
+      return clip;
+    });
+    
+    return { defaults: {}, concurrency: undefined, clips };
+  }
+  
+  let manifest;
+  try {
+    manifest = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Could not parse manifest ${manifestPath}: ${err.message}`);
+  }
+  
+  if (Array.isArray(manifest)) {
+    return { defaults: {}, concurrency: undefined, clips: manifest };
+  }
+  
+  if (!manifest || !Array.isArray(manifest.clips)) {
+    throw new Error('JSON manifest must be an array of clips or an object with a "clips" array');
+  }
+  
+  return {
+    defaults: manifest.defaults || {},
+    concurrency: manifest.concurrency,
+    clips: manifest.clips
+  };
+}
+
+/**
+ * Turn manifest entries into validated jobs
+ * @param {object} manifest - Manifest from loadManifest
+ * @param {string} baseDir - Directory that relative source paths are resolved against
+ * @param {object} reporter - Reporter used for validation warnings
+ * @param {object} [config] - Options from .vgifrc, which the manifest overrides
+ * @returns {object[]} - Jobs with index, source, isUrl and options
+ */
+function createJobs(manifest, baseDir, reporter, config = {}) {
+  const knownOptions = Object.keys(converter.DEFAULT_OPTIONS);
+  
+  return manifest.clips.map((clip, index) => {
+    const entry = {};
+    Object.keys(clip).forEach(key => {
+      entry[toOptionName(key)] = clip[key];
+    });
+    
+    const { source = entry.url || entry.input, ...overrides } = entry;
+    delete overrides.url;
+    delete overrides.input;
+    
+    if (!source) {
+      throw new Error(`Clip ${index + 1} has no source`);
+    }
+    
+    const unknown = Object.keys(overrides).filter(key => !knownOptions.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Clip ${index + 1} has unknown option(s): ${unknown.join(', ')}`);
+    }
+    
+    const isUrl = /^https?:\/\//i.test(source);
+    // A config file's output would name every clip the same
+    const options = applyConfigOptions(config, { ...manifest.defaults, ...overrides }, ['output', 'clips']);
+    
+    // Batch jobs expect an output file; plans and previews are for single clips
+    const unavailable = ['dryRun', 'preview'].filter(key => options[key]);
+    if (unavailable.length > 0) {
+      throw new Error(`Clip ${index + 1}: ${unavailable.join(', ')} is not available in a batch`);
+    }
+    
+    // Clips are cut from a downloaded copy, so keep the start time from the link itself
+    if (isUrl && options.start === undefined) {
+      options.start = converter.getTimestampFromUrl(source);
+    }
+    
+    // Validate every clip up front so a typo doesn't fail the batch halfway through
+    try {
+      converter.normalizeOptions({ ...options, [isUrl ? 'url' : 'input']: source }, reporter);
+    } catch (err) {
+      throw new Error(`Clip ${index + 1}: ${err.message}`);
+    }
+    
+    return {
+      index,
+      source: isUrl ? source : path.resolve(baseDir, source),
+      isUrl,
+      options
+    };
+  });
+}
+
+/**
+ * Download a YouTube source once so every clip that uses it can cut from the local copy
+ * @param {string} url - YouTube URL
+ * @param {object[]} jobs - Jobs that use this source
+ * @param {string} tempDir - Directory for the downloaded video
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object>} - { path, videoId }
+ */
+async function prepareYouTubeSource(url, jobs, tempDir, reporter) {
+  // Pick the download format for the widest clip that uses this source
+  const width = Math.max(...jobs.map(job => parseInt(job.options.width || converter.DEFAULT_OPTIONS.width)));
+  const options = converter.normalizeOptions({ ...jobs[0].options, url, width }, reporter);
+  
+  const videoId = converter.extractVideoId(url);
+  if (!videoId) {
+    throw new Error(`Invalid YouTube URL or could not extract video ID: ${url}`);
+  }
+  
+  if (options.cache) {
+    converter.initializeCache(options, reporter);
+  }
+  
+  reporter.log(`Fetching ${url} (used by ${jobs.length} clip${jobs.length === 1 ? '' : 's'})...`);
+  const videoInfo = await converter.fetchVideoInfo(videoId, url, options, reporter);
+  
+  // Reuses the cached source video when there is one
+  const source = await converter.downloadSourceVideo(videoId, videoInfo, path.join(tempDir, `${videoId}.mp4`), options, reporter);
+  reporter.log(`Downloaded: ${videoInfo.videoDetails.title}`);
+  
+  return { path: source.path, videoId };
+}
+
+/**
+ * Run jobs with a bounded number of workers
+ * @param {object[]} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed at once
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>} - Resolves when every item is processed
+ */
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  
+  await Promise.all(runners);
+}
+
+/**
+ * Run every clip in a manifest
+ *
+ * In addition to the reporter events, the emitter receives a 'job' event
+ * `{ index, total, status, result }` when each clip starts, succeeds or fails.
+ *
+ * @param {string} manifestPath - Path to the .json or .csv manifest
+ * @param {object} batchOptions - { concurrency, outputDir, verbose, config }, where config
+ *   holds the .vgifrc options that every clip starts from
+ * @param {EventEmitter} [events] - Emitter that receives log, warning and job events
+ * @returns {Promise<object[]>} - One result per clip: { index, source, output, status, size, error }
+ */
+async function runBatch(manifestPath, batchOptions = {}, events = new EventEmitter()) {
+  const reporter = converter.createReporter(events);
+  const manifest = loadManifest(manifestPath);
+  const jobs = createJobs(manifest, path.dirname(path.resolve(manifestPath)), reporter, batchOptions.config);
+  
+  const concurrency = parseInt(batchOptions.concurrency || manifest.concurrency || DEFAULT_CONCURRENCY);
+  if (isNaN(concurrency) || concurrency < 1) {
+    throw new Error('Concurrency must be a positive number');
+  }
+  
+  const outputDir = batchOptions.outputDir || process.cwd();
+  const total = jobs.length;
+  const results = new Array(total);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vgif-batch-'));
+  
+  // Each distinct source is downloaded once; clips share the pending download
+  const sources = new Map();
+  const getSource = (job) => {
+    if (!job.isUrl) {
+      return Promise.resolve({ path: job.source, videoId: null });
+    }
+    
+    if (!sources.has(job.source)) {
+      const sourceJobs = jobs.filter(other => other.source === job.source);
+      sources.set(job.source, prepareYouTubeSource(job.source, sourceJobs, tempDir, reporter));
+    }
+    
+    return sources.get(job.source);
+  };
+  
+  reporter.log(`Running ${total} clip${total === 1 ? '' : 's'} from ${manifestPath} with concurrency ${concurrency}`);
+  
+  try {
+    await runPool(jobs, concurrency, async (job) => {
+      const label = `[${job.index + 1}/${total}]`;
+      const result = { index: job.index, source: job.source, output: null, status: 'running', size: null, error: null };
+      results[job.index] = result;
+      events.emit('job', { index: job.index, total, status: 'running', result });
+      
+      // Forward the clip's own output with its label
+      const jobEvents = new EventEmitter();
+      jobEvents.on('log', ({ level, message }) => {
+        if (batchOptions.verbose || level === 'error') {
+          events.emit('log', { level, message: `${label} ${message}` });
+        }
+      });
+      jobEvents.on('warning', ({ message }) => events.emit('warning', { message: `${label} ${message}` }));
+      jobEvents.on('progress', (progress) => events.emit('progress', { ...progress, job: job.index }));
+      
+      try {
+        const source = await getSource(job);
+        const baseName = job.isUrl ?
+          `youtube-${source.videoId}-${job.index + 1}` :
+          `${path.basename(job.source, path.extname(job.source))}-${job.index + 1}`;
+        const output = path.resolve(outputDir, job.options.output || baseName);
+        
+        reporter.log(`${label} Converting ${job.source} (start ${job.options.start || 0}s)...`);
+        
+        const conversion = await converter.convert({
+          verbose: batchOptions.verbose,
+          ...job.options,
+          input: source.path,
+          url: undefined,
+          output
+        }, jobEvents);
+        
+        Object.assign(result, { status: 'ok', output: conversion.outputPath, size: conversion.size });
+        reporter.log(`${label} Saved ${conversion.outputPath} (${(conversion.size / (1024 * 1024)).toFixed(2)}MB)`);
+      } catch (err) {
+        Object.assign(result, { status: 'failed', output: job.options.output || null, error: err.message });
+        reporter.error(`${label} Failed: ${err.message}`);
+      }
+      
+      events.emit('job', { index: job.index, total, status: result.status, result });
+    });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+  
+  return results;
+}
+
+/**
+ * Format batch results as a summary table
+ * @param {object[]} results - Results from runBatch
+ * @returns {string} - Table with one row per clip and a totals line
+ */
+function formatBatchSummary(results) {
+  const rows = results.map(result => [
+    String(result.index + 1),
+    result.status === 'ok' ? 'ok' : 'FAILED',
+    result.size !== null ? `${(result.size / (1024 * 1024)).toFixed(2)}MB` : '-',
+    result.status === 'ok' ? result.output : `${result.output || result.source} (${result.error})`
+  ]);
+  
+  const header = ['#', 'Status', 'Size', 'Output'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((value, i) => (i === row.length - 1 ? value : value.padEnd(widths[i]))).join('  ');
+  
+  const succeeded = results.filter(result => result.status === 'ok');
+  const totalSize = succeeded.reduce((sum, result) => sum + result.size, 0);
+  
+  return [
+    formatRow(header),
+    ...rows.map(formatRow),
+    '',
+    `${succeeded.length} succeeded, ${results.length - succeeded.length} failed, ` +
+      `${(totalSize / (1024 * 1024)).toFixed(2)}MB total`
+  ].join('\n');
+}
+
+module.exports = {
+  runBatch,
+  loadManifest,
+  createJobs,
+  parseCsv,
+  formatBatchSummary
+};
@@ -0,0 +1,255 @@
+// Text captions drawn with FFmpeg's drawtext filter
+
+const { parseTime } = require('./time');
+
+// x/y expressions for each position; MARGIN is replaced with the caption's margin in pixels
+const CAPTION_POSITIONS = {
+  'top': { x: '(w-text_w)/2', y: 'MARGIN' },
+  'center': { x: '(w-text_w)/2', y: '(h-text_h)/2' },
+  'bottom': { x: '(w-text_w)/2', y: 'h-text_h-MARGIN' },
+  'top-left': { x: 'MARGIN', y: 'MARGIN' },
+  'top-right': { x: 'w-text_w-MARGIN', y: 'MARGIN' },
+  'bottom-left': { x: 'MARGIN', y: 'h-text_h-MARGIN' },
+  'bottom-right': { x: 'w-text_w-MARGIN', y: 'h-text_h-MARGIN' }
+};
+
+// Classic meme text: white uppercase Impact with a thick black outline
+const MEME_STYLE = {
+  font: 'Impact',
+  color: 'white',
+  outline: 'black',
+  uppercase: true,
+  sizeRatio: 1 / 9
+};
+
+const DEFAULT_SIZE_RATIO = 1 / 16; // Font size as a fraction of the output width
+const GLYPH_WIDTH_RATIO = 0.6; // Rough average glyph width as a fraction of the font size
+
+/**
+ * Escape a value for use as a filter option inside a filtergraph
+ *
+ * Two levels apply: the option value (\ ' :) and the filtergraph itself (\ ' [ ] , ;).
+ *
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+function escapeFilterValue(value) {
+  return String(value)
+    .replace(/[\\':]/g, '\\$&')
+    .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Parse a caption spec from the command line
+ *
+ * The spec is the text followed by optional |-separated settings, e.g.
+ * "Hello|top|size=32|color=yellow|box|1-3". A literal | is written as \|.
+ * Settings: a position (top, center, bottom, top-left, ...), size=<px>,
+ * color=<color>, font=<file or family>, outline[=<color>], box[=<color>],
+ * a time range <in>-<out> within the clip, and meme for the classic meme style.
+ *
+ * @param {string|object} spec - Caption spec, or an object with the same settings
+ * @returns {object} - Caption with text, position, size, color, font, outline, box, start, end
+ * @throws {Error} If a setting is invalid
+ */
+function parseCaption(spec) {
+  if (typeof spec === 'object' && spec !== null) {
+    const caption = { position: 'bottom', ...spec };
+    if (typeof caption.text !== 'string' || caption.text === '') {
+      throw new Error('Caption text must be a non-empty string');
+    }
+    return validateCaption(caption, caption.text);
+  }
+  
+  const [text, ...settings] = String(spec)
+    .split(/(?<!\\)\|/)
+    .map(part => part.replace(/\\\|/g, '|'));
+  
+  if (!text) {
+    throw new Error(`Caption "${spec}" has no text`);
+  }
+  
+  const caption = { text, position: 'bottom' };
+  
+  settings.map(setting => setting.trim()).filter(Boolean).forEach(setting => {
+    const separator = setting.indexOf('=');
+    const key = (separator === -1 ? setting : setting.slice(0, separator)).toLowerCase();
+    const value = separator === -1 ? undefined : setting.slice(separator + 1).trim();
+    
+    if (CAPTION_POSITIONS[key] && value === undefined) {
+      caption.position = key;
+    } else if (key === 'meme') {
+      caption.meme = true;
+    } else if (key === 'size') {
+      caption.size = parseInt(value);
+    } else if (key === 'color') {
+      caption.color = value;
+    } else if (key === 'font') {
+      caption.font = value;
+    } else if (key === 'outline') {
+      caption.outline = value || 'black';
+    } else if (key === 'box') {
+      caption.box = value || 'black@0.5';
+    } else if (key === 'from') {
+      caption.start = parseTime(value);
+    } else if (key === 'to') {
+      caption.end = parseTime(value);
+    } else if (/^[^-]+-[^-]+$/.test(setting)) {
+      const [start, end] = setting.split('-');
+      caption.start = parseTime(start);
+      caption.end = parseTime(end);
+    } else {
+      throw new Error(`Unknown caption setting "${setting}" in "${spec}"`);
+    }
+  });
+  
+  return validateCaption(caption, spec);
+}
+
+/**
+ * Check a parsed caption's settings
+ * @param {object} caption - Parsed caption
+ * @param {string} spec - Original spec for error messages
+ * @returns {object} - The caption
+ * @throws {Error} If a setting is invalid
+ */
+function validateCaption(caption, spec) {
+  if (!CAPTION_POSITIONS[caption.position]) {
+    throw new Error(`Caption position must be one of: ${Object.keys(CAPTION_POSITIONS).join(', ')}`);
+  }
+  
+  if (caption.size !== undefined && (isNaN(caption.size) || caption.size <= 0)) {
+    throw new Error(`Caption size must be a positive number in "${spec}"`);
+  }
+  
+  if (caption.start !== undefined && caption.end !== undefined && caption.end <= caption.start) {
+    throw new Error(`Caption time range must end after it starts in "${spec}"`);
+  }
+  
+  return caption;
+}
+
+/**
+ * Build the drawtext filter for a caption
+ * @param {object} caption - Caption from parseCaption
+ * @param {number} width - Output width in pixels, used for the default font size
+ * @returns {string} - drawtext filter
+ */
+function buildCaptionFilter(caption, width) {
+  const style = caption.meme ? { ...MEME_STYLE } : {};
+  const text = style.uppercase ? caption.text.toUpperCase() : caption.text;
+  
+  // Without an explicit size, shrink long text so it fits within 90% of the width
+  const longestLine = Math.max(...text.split('\n').map(line => line.length));
+  const fitSize = (width * 0.9) / (longestLine * GLYPH_WIDTH_RATIO);
+  const size = caption.size || Math.max(10, Math.round(Math.min(width * (style.sizeRatio || DEFAULT_SIZE_RATIO), fitSize)));
+  const margin = Math.round(size / 2);
+  const position = CAPTION_POSITIONS[caption.position];
+  const font = caption.font || style.font;
+  const outline = caption.outline || style.outline;
+  
+  const settings = [
+    ['text', text],
+    // Keep % signs literal instead of expanding them as drawtext functions
+    ['expansion', 'none'],
+    ['fontsize', size],
+    ['fontcolor', caption.color || style.color || 'white'],
+    ['x', position.x.replace(/MARGIN/g, margin)],
+    ['y', position.y.replace(/MARGIN/g, margin)]
+  ];
+  
+  // A path selects a font file, anything else a font family looked up with fontconfig
+  if (font && /[\\/]|\.(ttf|otf|ttc)$/i.test(font)) {
+    settings.push(['fontfile', font]);
+  } else if (font) {
+    settings.push(['font', font]);
+  }
+  
+  if (outline) {
+    settings.push(['borderw', Math.max(1, Math.round(size / (caption.meme ? 12 : 16)))], ['bordercolor', outline]);
+  }
+  
+  if (caption.box) {
+    settings.push(['box', 1], ['boxcolor', caption.box], ['boxborderw', Math.round(size / 4)]);
+  }
+  
+  if (caption.start !== undefined || caption.end !== undefined) {
+    const start = caption.start || 0;
+    settings.push(['enable', caption.end !== undefined ? `between(t,${start},${caption.end})` : `gte(t,${start})`]);
+  }
+  
+  return 'drawtext=' + settings.map(([key, value]) => `${key}=${escapeFilterValue(value)}`).join(':');
+}
+
+/**
+ * Build drawtext filters for a list of captions
+ * @param {object[]} captions - Captions from parseCaption
+ * @param {number} width - Output width in pixels
+ * @returns {string[]} - One drawtext filter per caption
+ */
+function buildCaptionFilters(captions, width) {
+  return (captions || []).map(caption => buildCaptionFilter(caption, width));
+}
+
+/**
+ * Build a drawtext filter for a time stamp in the bottom-left corner
+ * @param {string} text - drawtext text
+ * @param {number} width - Frame width in pixels, used for the font size
+ * @param {string} [enable] - Timeline expression for the frames to draw on
+ * @returns {string} - drawtext filter
+ */
+function buildStampFilter(text, width, enable) {
+  const size = Math.max(10, Math.round(width * DEFAULT_SIZE_RATIO));
+  const settings = [
+    ['text', text],
+    ['fontsize', size],
+    ['fontcolor', 'white'],
+    ['box', 1],
+    ['boxcolor', 'black@0.6'],
+    ['boxborderw', Math.round(size / 4)],
+    ['x', Math.round(size / 2)],
+    ['y', `h-text_h-${Math.round(size / 2)}`]
+  ];
+  if (enable) {
+    settings.push(['enable', enable]);
+  }
+  
+  return 'drawtext=' + settings.map(([key, value]) => `${key}=${escapeFilterValue(value)}`).join(':');
+}
+
+/**
+ * Build a drawtext filter that stamps each frame with its time in the source video
+ * @param {number} offset - Source time of the first frame in seconds
+ * @param {number} width - Frame width in pixels, used for the font size
+ * @returns {string} - drawtext filter drawing hh:mm:ss.ms in the bottom-left corner
+ */
+function buildTimestampFilter(offset, width) {
+  return buildStampFilter(`%{pts:hms:${offset}}`, width);
+}
+
+/**
+ * Build drawtext filters that stamp numbered frames with given source times
+ *
+ * For retimed clips, where a frame's timestamp is no longer its time in the source.
+ *
+ * @param {number[]} times - Source time of each frame in seconds, by frame number
+ * @param {number} width - Frame width in pixels, used for the font size
+ * @returns {string[]} - One drawtext filter per frame, drawing hh:mm:ss.ms like buildTimestampFilter
+ */
+function buildFrameTimeFilters(times, width) {
+  return times.map((time, frame) => {
+    const totalMs = Math.round(time * 1000);
+    const hms = [Math.floor(totalMs / 3600000), Math.floor(totalMs / 60000) % 60, Math.floor(totalMs / 1000) % 60]
+      .map(part => String(part).padStart(2, '0')).join(':');
+    return buildStampFilter(`${hms}.${String(totalMs % 1000).padStart(3, '0')}`, width, `eq(n,${frame})`);
+  });
+}
+
+module.exports = {
+  CAPTION_POSITIONS,
+  escapeFilterValue,
+  parseCaption,
+  buildCaptionFilters,
+  buildTimestampFilter,
+  buildFrameTimeFilters
+};
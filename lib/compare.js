@@ -0,0 +1,103 @@
+// Side-by-side comparisons of the same segment encoded with different settings
+
+const { toOptionName } = require('./config');
+const { buildCaptionFilters } = require('./captions');
+
+// Settings a comparison profile may change; everything else is shared by every tile
+const COMPARE_SETTINGS = ['colors', 'lossy', 'dither', 'fps', 'palette'];
+
+const MIN_PROFILES = 2;
+const MAX_PROFILES = 4;
+
+/**
+ * Parse a comparison profile
+ * @param {string|object} spec - Comma-separated key=value pairs such as "colors=64,lossy=80",
+ *   or an object of settings
+ * @returns {object} - Settings with camelCase names, values as given
+ * @throws {Error} If the spec is malformed or sets something other than COMPARE_SETTINGS
+ */
+function parseProfile(spec) {
+  let entries;
+  
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    entries = Object.entries(spec);
+  } else {
+    entries = String(spec).split(',').filter(part => part.trim() !== '').map(part => {
+      const match = part.match(/^\s*([\w-]+)\s*=\s*(.+?)\s*$/);
+      if (!match) {
+        throw new Error(`Invalid profile "${spec}": use key=value pairs such as colors=64,lossy=80`);
+      }
+      return [match[1], match[2]];
+    });
+  }
+  
+  if (entries.length === 0) {
+    throw new Error('A profile must set at least one of: ' + COMPARE_SETTINGS.join(', '));
+  }
+  
+  const profile = {};
+  entries.forEach(([key, value]) => {
+    const name = toOptionName(key);
+    if (!COMPARE_SETTINGS.includes(name)) {
+      throw new Error(`Profile setting "${key}" must be one of: ${COMPARE_SETTINGS.join(', ')}`);
+    }
+    profile[name] = value;
+  });
+  
+  return profile;
+}
+
+/**
+ * Describe a profile's settings for its tile and log output
+ * @param {object} settings - Normalized colors, lossy, dither, fps and palette
+ * @returns {string[]} - Lines of settings, e.g. ['64 colors, lossy 80', 'bayer, 15 FPS'];
+ *   palettes other than the default global one are added to the second line
+ */
+function describeProfile(settings) {
+  const palette = settings.palette !== 'global' ? `, ${settings.palette} palettes` : '';
+  return [
+    `${settings.colors} colors, lossy ${settings.lossy}`,
+    `${settings.dither}, ${settings.fps} FPS${palette}`
+  ];
+}
+
+/**
+ * Build the filtergraph that labels each input and arranges them side by side
+ *
+ * Two or three tiles sit in one row; four form a 2x2 grid. Every tile is brought
+ * to the same frame rate so the stacks stay in step, which repeats frames of the
+ * slower profiles rather than changing them.
+ *
+ * @param {string[]} labels - Label text for each input, in input order
+ * @param {number} fps - Frame rate of the comparison
+ * @param {number} width - Tile width in pixels, used for the label size
+ * @returns {string[]} - Filters for complexFilter(), ending in the [compare] output
+ */
+function buildCompareFilterGraph(labels, fps, width) {
+  const size = Math.max(10, Math.round(width / 24));
+  const filters = labels.map((text, index) => {
+    const label = buildCaptionFilters([{ text, position: 'top-left', size, box: 'black@0.6' }], width);
+    return `[${index}:v]fps=${fps},${label.join(',')}[tile${index}]`;
+  });
+  
+  if (labels.length === 4) {
+    filters.push(
+      '[tile0][tile1]hstack=inputs=2[row0]',
+      '[tile2][tile3]hstack=inputs=2[row1]',
+      '[row0][row1]vstack=inputs=2[compare]'
+    );
+  } else {
+    filters.push(`${labels.map((text, index) => `[tile${index}]`).join('')}hstack=inputs=${labels.length}[compare]`);
+  }
+  
+  return filters;
+}
+
+module.exports = {
+  COMPARE_SETTINGS,
+  MIN_PROFILES,
+  MAX_PROFILES,
+  parseProfile,
+  describeProfile,
+  buildCompareFilterGraph
+};
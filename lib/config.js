@@ -0,0 +1,347 @@
+// .vgifrc config files and named platform presets
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Config file names, checked in this order in each directory
+const CONFIG_FILES = ['.vgifrc', '.vgifrc.json', '.vgifrc.yaml', '.vgifrc.yml'];
+
+// Platform presets: each sets the dimensions and byte limit the platform accepts
+const PRESETS = {
+  'slack': {
+    description: 'Slack messages: inline previews up to 2MB',
+    options: { width: 480, fps: 15, maxSize: 2 }
+  },
+  'discord': {
+    description: 'Discord messages: 10MB upload limit without Nitro',
+    options: { width: 480, fps: 20, maxSize: 10 }
+  },
+  'twitter': {
+    description: 'Twitter/X posts: 15MB GIF limit, 640px wide (the platform accepts up to 1280x1080)',
+    options: { width: 640, fps: 20, maxSize: 15 }
+  },
+  'github-readme': {
+    description: 'GitHub README and issue images: 10MB limit, about 880px wide when displayed',
+    options: { width: 880, fps: 15, maxSize: 10, colors: 128 }
+  },
+  'emoji': {
+    description: 'Custom Slack/Discord emoji: 128x128, under 128KB',
+    options: { width: 128, aspect: '1:1', fps: 12, colors: 64, maxSize: 0.125, minWidth: 64 }
+  }
+};
+
+/**
+ * Convert a kebab-case or snake_case column name to the camelCase option name
+ * @param {string} name - Column or key name (e.g. max-size)
+ * @returns {string} - Option name (e.g. maxSize)
+ */
+function toOptionName(name) {
+  return name.trim().replace(/[-_]+([a-z0-9])/gi, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse a single YAML scalar
+ * @param {string} text - Value text, without any trailing comment
+ * @returns {string|number|boolean|null} - Parsed value
+ */
+function parseYamlScalar(text) {
+  const value = text.trim();
+  
+  if (/^"(.*)"$/.test(value)) {
+    return JSON.parse(value);
+  }
+  
+  if (/^'(.*)'$/.test(value)) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  
+  if (value === '' || value === '~' || value === 'null') {
+    return null;
+  }
+  
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return parseFloat(value);
+  }
+  
+  return value;
+}
+
+/**
+ * Check whether a quote character starts a quoted scalar: at the start of a value,
+ * list item or inline list entry, rather than inside plain text such as "It's"
+ * @param {string} line - YAML line
+ * @param {number} index - Position of the quote
+ * @returns {boolean} - True if the quote opens a quoted scalar
+ */
+function opensYamlQuote(line, index) {
+  return /(^-?|[:[,])$/.test(line.slice(0, index).trim());
+}
+
+/**
+ * Remove a # comment, ignoring # inside quotes
+ * @param {string} line - YAML line
+ * @returns {string} - Line without the comment
+ */
+function stripYamlComment(line) {
+  let quote = null;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === '\'') && opensYamlQuote(line, i)) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  
+  return line;
+}
+
+/**
+ * Split the inside of an inline list ([a, "b, c"]) on the commas outside quotes
+ * @param {string} inner - List text without the brackets
+ * @returns {string[]} - Entry texts
+ */
+function splitYamlList(inner) {
+  const entries = [];
+  let quote = null;
+  let start = 0;
+  
+  for (let i = 0; i < inner.length; i++) {
+    const char = inner[i];
+    
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === '\'') && opensYamlQuote(inner, i)) {
+      quote = char;
+    } else if (char === ',') {
+      entries.push(inner.slice(start, i));
+      start = i + 1;
+    }
+  }
+  
+  entries.push(inner.slice(start));
+  return entries;
+}
+
+/**
+ * Parse the subset of YAML that a config file needs
+ *
+ * Supports a flat mapping of keys to scalars, inline lists ([a, b]) and block
+ * lists of scalars (lines starting with "- " under a key), plus # comments.
+ *
+ * @param {string} text - YAML content
+ * @returns {object} - Parsed mapping
+ * @throws {Error} If a line isn't part of that subset
+ */
+function parseYaml(text) {
+  const result = {};
+  let listKey = null;
+  
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = stripYamlComment(rawLine).replace(/\s+$/, '');
+    if (line.trim() === '' || line.trim() === '---') {
+      return;
+    }
+    
+    const item = line.match(/^\s+-\s+(.*)$|^-\s+(.*)$/);
+    if (item && listKey) {
+      result[listKey].push(parseYamlScalar(item[1] !== undefined ? item[1] : item[2]));
+      return;
+    }
+    
+    const entry = line.match(/^([\w-]+)\s*:(?:\s+(.*))?$/);
+    if (!entry) {
+      throw new Error(`Unsupported YAML on line ${index + 1}: ${rawLine.trim()}`);
+    }
+    
+    const [, key, value = ''] = entry;
+    listKey = null;
+    
+    if (value.trim() === '') {
+      // A key without a value starts a block list
+      result[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      const inner = value.trim().slice(1, -1);
+      result[key] = inner.trim() === '' ? [] : splitYamlList(inner).map(parseYamlScalar);
+    } else {
+      result[key] = parseYamlScalar(value);
+    }
+  });
+  
+  // Keys with no list items were empty values
+  Object.keys(result).forEach(key => {
+    if (Array.isArray(result[key]) && result[key].length === 0) {
+      result[key] = null;
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Read a config file as JSON or YAML
+ *
+ * .json files are JSON and .yaml/.yml files YAML; a plain .vgifrc is JSON when it
+ * starts with {, otherwise YAML.
+ *
+ * @param {string} filePath - Path to the config file
+ * @param {string[]} knownOptions - Option names the file may set
+ * @returns {object} - Options with camelCase names
+ * @throws {Error} If the file is invalid or sets unknown options
+ */
+function readConfigFile(filePath, knownOptions) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const isJson = ext === '.json' || (ext !== '.yaml' && ext !== '.yml' && text.trim().startsWith('{'));
+  
+  let values;
+  try {
+    values = isJson ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    throw new Error(`Invalid config file ${filePath}: ${err.message}`);
+  }
+  
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${filePath} must contain a mapping of option names to values`);
+  }
+  
+  const options = {};
+  Object.keys(values).forEach(key => {
+    if (values[key] !== null) {
+      options[toOptionName(key)] = values[key];
+    }
+  });
+  
+  const unknown = Object.keys(options).filter(key => !knownOptions.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Config file ${filePath} has unknown option(s): ${unknown.join(', ')}`);
+  }
+  
+  return options;
+}
+
+/**
+ * Find the first config file in a directory
+ * @param {string} dir - Directory to check
+ * @returns {string|null} - Path to the config file, or null if there is none
+ */
+function findConfigFile(dir) {
+  const name = CONFIG_FILES.find(file => fs.existsSync(path.join(dir, file)));
+  return name ? path.join(dir, name) : null;
+}
+
+/**
+ * Load the home and project config files
+ *
+ * The project config is the nearest one in the working directory or its parents;
+ * its settings override those in the home directory's config.
+ *
+ * @param {string[]} knownOptions - Option names a config file may set
+ * @param {object} [dirs] - { cwd, home } to search instead of the process defaults
+ * @returns {object} - { options, files } with the merged options and the files they came from
+ * @throws {Error} If a config file is invalid
+ */
+function loadConfig(knownOptions, dirs = {}) {
+  const home = path.resolve(dirs.home || os.homedir());
+  const files = [];
+  
+  const homeFile = findConfigFile(home);
+  if (homeFile) {
+    files.push(homeFile);
+  }
+  
+  // Walk up from the working directory, stopping at the home directory
+  let dir = path.resolve(dirs.cwd || process.cwd());
+  while (dir !== home) {
+    const projectFile = findConfigFile(dir);
+    if (projectFile) {
+      files.push(projectFile);
+      break;
+    }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      break;
+    }
+    dir = parent;
+  }
+  
+  const options = files.reduce((merged, file) => ({ ...merged, ...readConfigFile(file, knownOptions) }), {});
+  return { options, files };
+}
+
+/**
+ * Look up a preset's options
+ * @param {string} name - Preset name
+ * @returns {object} - Options the preset sets
+ * @throws {Error} If there is no preset with that name
+ */
+function getPresetOptions(name) {
+  if (!Object.prototype.hasOwnProperty.call(PRESETS, name)) {
+    throw new Error(`Preset must be one of: ${Object.keys(PRESETS).join(', ')}`);
+  }
+  
+  return PRESETS[name].options;
+}
+
+/**
+ * Layer options over the settings from config files
+ *
+ * A preset in the options also overrides the config's settings for the options
+ * it covers, the same as a --preset flag.
+ *
+ * @param {object} configOptions - Options from loadConfig
+ * @param {object} options - Options that override the config
+ * @param {string[]} [ignore] - Config options that don't apply here (e.g. output for batch clips)
+ * @returns {object} - Merged options
+ * @throws {Error} If options.preset isn't a preset
+ */
+function applyConfigOptions(configOptions, options, ignore = []) {
+  const presetKeys = options.preset ? Object.keys(getPresetOptions(options.preset)) : [];
+  const base = {};
+  
+  Object.keys(configOptions).forEach(key => {
+    if (!presetKeys.includes(key) && !ignore.includes(key)) {
+      base[key] = configOptions[key];
+    }
+  });
+  
+  return { ...base, ...options };
+}
+
+/**
+ * Format a preset's options as command-line flags
+ * @param {string} name - Preset name
+ * @returns {string} - Flags, e.g. --width 480 --fps 15 --max-size 2
+ */
+function formatPresetFlags(name) {
+  const options = getPresetOptions(name);
+  return Object.keys(options)
+    .map(key => `--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)} ${options[key]}`)
+    .join(' ');
+}
+
+module.exports = {
+  CONFIG_FILES,
+  PRESETS,
+  toOptionName,
+  parseYaml,
+  loadConfig,
+  getPresetOptions,
+  applyConfigOptions,
+  formatPresetFlags
+};
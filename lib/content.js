@@ -0,0 +1,173 @@
+// Content analysis for --dither auto and --colors auto
+
+const CONTENT_SIZE = 128; // Frames are measured as 128x128 RGB images
+const CONTENT_BLOCK = 8;
+const FLAT_RANGE = 3; // Channel range within a block that still looks like one color
+const FLAT_SLOPE = 1; // Difference from the next block's mean that still continues the same color
+const SMOOTH_RANGE = 24; // Above this a block has edges or texture rather than a gradient
+const CHANGE_THRESHOLD = 4; // Channel difference between frames that counts as a change rather than noise
+
+// Shares of the frame, and mean change between consecutive frames, that decide the dither
+const FLAT_SHARE = 0.6;
+const GRADIENT_SHARE = 0.3;
+const MOTION_LEVEL = 0.1;
+
+// Color counts --colors auto chooses from, and the PSNR the palette must reach
+const AUTO_COLORS = [8, 16, 32, 64, 128, 256];
+const MIN_AUTO_COLORS_PSNR = 32;
+
+/**
+ * Split raw RGB video output into frames
+ * @param {Buffer} data - Raw rgb24 frames from FFmpeg
+ * @param {number} [size=CONTENT_SIZE] - Frame width and height
+ * @returns {Buffer[]} - One buffer per complete frame
+ */
+function splitRgbFrames(data, size = CONTENT_SIZE) {
+  const frameBytes = size * size * 3;
+  const frames = [];
+  
+  for (let offset = 0; offset + frameBytes <= data.length; offset += frameBytes) {
+    frames.push(data.subarray(offset, offset + frameBytes));
+  }
+  
+  return frames;
+}
+
+/**
+ * Get the mean and range of each color channel in every block of a frame
+ * @param {Buffer} frame - rgb24 frame
+ * @param {number} size - Frame width and height
+ * @returns {object[][]} - Rows of blocks with means [r, g, b] and range (the largest channel range)
+ */
+function measureBlocks(frame, size) {
+  const rows = [];
+  
+  for (let by = 0; by + CONTENT_BLOCK <= size; by += CONTENT_BLOCK) {
+    const row = [];
+    
+    for (let bx = 0; bx + CONTENT_BLOCK <= size; bx += CONTENT_BLOCK) {
+      const sums = [0, 0, 0];
+      const mins = [255, 255, 255];
+      const maxs = [0, 0, 0];
+      
+      for (let y = by; y < by + CONTENT_BLOCK; y++) {
+        for (let x = bx; x < bx + CONTENT_BLOCK; x++) {
+          for (let c = 0; c < 3; c++) {
+            const value = frame[(y * size + x) * 3 + c];
+            sums[c] += value;
+            mins[c] = Math.min(mins[c], value);
+            maxs[c] = Math.max(maxs[c], value);
+          }
+        }
+      }
+      
+      row.push({
+        means: sums.map(sum => sum / (CONTENT_BLOCK * CONTENT_BLOCK)),
+        range: Math.max(...maxs.map((max, c) => max - mins[c]))
+      });
+    }
+    
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+/**
+ * Measure how much of a clip is flat color, how much is smooth gradients and how much it moves
+ *
+ * Each frame is divided into 8x8 blocks. A block is flat when its colors barely vary
+ * and the even blocks to its right and below have the same color; it is a gradient when
+ * its colors vary smoothly, including slow slopes across even blocks; anything busier
+ * is detail. Motion is the share of pixels that change between the frames of each pair.
+ *
+ * @param {Buffer[]} frames - rgb24 frames in pairs of consecutive output frames
+ * @param {number} [size=CONTENT_SIZE] - Frame width and height
+ * @returns {object} - { flat, gradient, motion }, each a share from 0 to 1
+ */
+function measureContent(frames, size = CONTENT_SIZE) {
+  let flat = 0;
+  let gradient = 0;
+  let blocks = 0;
+  
+  frames.forEach(frame => {
+    const rows = measureBlocks(frame, size);
+    
+    rows.forEach((row, y) => row.forEach((block, x) => {
+      // Blocks across an edge don't make an even block a slope
+      const neighbours = [row[x + 1], rows[y + 1] && rows[y + 1][x]].filter(next => next && next.range <= FLAT_RANGE);
+      const slope = Math.max(0, ...neighbours.map(next => Math.max(...next.means.map((mean, c) => Math.abs(mean - block.means[c])))));
+      
+      if (block.range <= FLAT_RANGE && slope <= FLAT_SLOPE) {
+        flat++;
+      } else if (block.range <= SMOOTH_RANGE) {
+        gradient++;
+      }
+      blocks++;
+    }));
+  });
+  
+  let changed = 0;
+  let pixels = 0;
+  for (let i = 0; i + 1 < frames.length; i += 2) {
+    for (let j = 0; j < frames[i].length; j += 3) {
+      const difference = Math.max(...[0, 1, 2].map(c => Math.abs(frames[i][j + c] - frames[i + 1][j + c])));
+      if (difference > CHANGE_THRESHOLD) {
+        changed++;
+      }
+      pixels++;
+    }
+  }
+  
+  return {
+    flat: blocks > 0 ? flat / blocks : 0,
+    gradient: blocks > 0 ? gradient / blocks : 0,
+    motion: pixels > 0 ? changed / pixels : 0
+  };
+}
+
+/**
+ * Pick the dither for measured content
+ *
+ * Flat color is left undithered, since dithering only speckles it. Gradients need
+ * dithering to hide banding: in motion an ordered Bayer pattern stays put from frame
+ * to frame where error diffusion shimmers, and a smaller bayer_scale makes the
+ * pattern finer but more visible, which suits smoother content. Still gradients get
+ * full Sierra error diffusion, and busy footage the lighter default.
+ *
+ * @param {object} metrics - Content measurements (see measureContent)
+ * @returns {object} - { dither, bayerScale, reason }; bayerScale is only set for bayer
+ */
+function chooseDither(metrics) {
+  const moving = metrics.motion >= MOTION_LEVEL;
+  
+  if (metrics.flat >= FLAT_SHARE) {
+    return { dither: 'none', reason: 'mostly flat color, which dithering would only speckle' };
+  }
+  
+  if (metrics.gradient >= GRADIENT_SHARE) {
+    if (moving) {
+      return {
+        dither: 'bayer',
+        bayerScale: metrics.gradient >= 2 * GRADIENT_SHARE ? 1 : 2,
+        reason: 'smooth gradients in motion, where an ordered pattern holds still instead of shimmering'
+      };
+    }
+    return { dither: 'sierra2', reason: 'smooth gradients in a mostly still clip, where full error diffusion hides banding best' };
+  }
+  
+  if (moving) {
+    return { dither: 'bayer', bayerScale: 4, reason: 'detailed footage in motion, where a faint ordered pattern compresses better than error diffusion' };
+  }
+  
+  return { dither: 'sierra2_4a', reason: 'detailed, mostly still footage' };
+}
+
+module.exports = {
+  CONTENT_SIZE,
+  AUTO_COLORS,
+  MIN_AUTO_COLORS_PSNR,
+  splitRgbFrames,
+  measureContent,
+  chooseDither
+};
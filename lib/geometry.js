@@ -0,0 +1,155 @@
+// Crop and aspect ratio filters
+
+const { escapeFilterValue } = require('./captions');
+
+// Aspect ratios offered by --aspect; other W:H ratios are accepted too
+const ASPECT_PRESETS = ['1:1', '4:5', '9:16', '16:9', '4:3'];
+
+// Anchor names as horizontal and vertical positions (0 = left/top, 1 = right/bottom)
+const ANCHORS = {
+  'center': [0.5, 0.5],
+  'top': [0.5, 0],
+  'bottom': [0.5, 1],
+  'left': [0, 0.5],
+  'right': [1, 0.5],
+  'top-left': [0, 0],
+  'top-right': [1, 0],
+  'bottom-left': [0, 1],
+  'bottom-right': [1, 1]
+};
+
+/**
+ * Parse a crop rectangle in WxH+X+Y form (the offset is optional and defaults to centered)
+ * @param {string} spec - Crop rectangle, e.g. 640x360+0+60
+ * @returns {object} - { width, height, x, y }, with x and y null when centered
+ * @throws {Error} If the rectangle is invalid
+ */
+function parseCrop(spec) {
+  const match = String(spec).trim().match(/^(\d+)x(\d+)(?:\+(\d+)\+(\d+))?$/i);
+  if (!match) {
+    throw new Error(`Invalid crop "${spec}" (use WxH+X+Y, e.g. 640x360+0+60)`);
+  }
+  
+  const [, width, height, x, y] = match;
+  if (parseInt(width) === 0 || parseInt(height) === 0) {
+    throw new Error(`Invalid crop "${spec}" (width and height must be positive)`);
+  }
+  
+  return {
+    width: parseInt(width),
+    height: parseInt(height),
+    x: x === undefined ? null : parseInt(x),
+    y: y === undefined ? null : parseInt(y)
+  };
+}
+
+/**
+ * Parse an aspect ratio in W:H form
+ * @param {string} spec - Aspect ratio, e.g. 9:16
+ * @returns {number} - Width divided by height
+ * @throws {Error} If the ratio is invalid
+ */
+function parseAspect(spec) {
+  const match = String(spec).trim().match(/^(\d+(?:\.\d+)?)[:/x](\d+(?:\.\d+)?)$/i);
+  if (!match || parseFloat(match[1]) === 0 || parseFloat(match[2]) === 0) {
+    throw new Error(`Invalid aspect ratio "${spec}" (use W:H, e.g. ${ASPECT_PRESETS.join(', ')})`);
+  }
+  
+  return parseFloat(match[1]) / parseFloat(match[2]);
+}
+
+/**
+ * Parse an anchor for aspect cropping
+ *
+ * Accepts a name (center, top, bottom-left, ...) or horizontal,vertical fractions
+ * such as 0.5,0.25, where 0 keeps the left/top edge and 1 the right/bottom edge.
+ *
+ * @param {string} spec - Anchor
+ * @returns {number[]} - [horizontal, vertical] fractions
+ * @throws {Error} If the anchor is invalid
+ */
+function parseAnchor(spec) {
+  const name = String(spec).trim().toLowerCase();
+  if (ANCHORS[name]) {
+    return ANCHORS[name];
+  }
+  
+  const parts = name.split(',').map(Number);
+  if (parts.length !== 2 || parts.some(part => isNaN(part) || part < 0 || part > 1)) {
+    throw new Error(`Anchor must be one of ${Object.keys(ANCHORS).join(', ')} or two fractions like 0.5,0.25`);
+  }
+  
+  return parts;
+}
+
+/**
+ * Build the crop filters for a crop rectangle and/or aspect ratio
+ *
+ * The rectangle is applied first; the aspect ratio then keeps the largest area of
+ * that ratio, positioned by the anchor.
+ *
+ * @param {object|null} crop - Rectangle from parseCrop or cropdetect
+ * @param {number|null} aspect - Ratio from parseAspect
+ * @param {number[]} anchor - Anchor from parseAnchor
+ * @returns {string[]} - Crop filters, possibly empty
+ */
+function buildCropFilters(crop, aspect, anchor = ANCHORS.center) {
+  const filters = [];
+  
+  if (crop) {
+    const x = crop.x === null ? '(iw-ow)/2' : crop.x;
+    const y = crop.y === null ? '(ih-oh)/2' : crop.y;
+    filters.push(`crop=${crop.width}:${crop.height}:${escapeFilterValue(x)}:${escapeFilterValue(y)}`);
+  }
+  
+  if (aspect) {
+    const [anchorX, anchorY] = anchor;
+    const settings = [
+      ['w', `min(iw,ih*${aspect})`],
+      ['h', `min(ih,iw/${aspect})`],
+      ['x', `(iw-ow)*${anchorX}`],
+      ['y', `(ih-oh)*${anchorY}`]
+    ];
+    filters.push('crop=' + settings.map(([key, value]) => `${key}=${escapeFilterValue(value)}`).join(':'));
+  }
+  
+  return filters;
+}
+
+/**
+ * Pick the crop rectangle from cropdetect's log output
+ *
+ * cropdetect prints a suggestion for every frame; the one suggested most often wins
+ * so a few dark frames don't shrink the whole clip.
+ *
+ * @param {string} output - FFmpeg stderr from a cropdetect run
+ * @returns {object|null} - { width, height, x, y } or null if nothing was detected
+ */
+function parseCropdetect(output) {
+  const counts = new Map();
+  const pattern = /crop=(\d+):(\d+):(\d+):(\d+)/g;
+  let match;
+  
+  while ((match = pattern.exec(output)) !== null) {
+    counts.set(match[0], (counts.get(match[0]) || 0) + 1);
+  }
+  
+  if (counts.size === 0) {
+    return null;
+  }
+  
+  const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const [width, height, x, y] = best.slice('crop='.length).split(':').map(Number);
+  
+  return width > 0 && height > 0 ? { width, height, x, y } : null;
+}
+
+module.exports = {
+  ASPECT_PRESETS,
+  ANCHORS,
+  parseCrop,
+  parseAspect,
+  parseAnchor,
+  buildCropFilters,
+  parseCropdetect
+};
@@ -0,0 +1,74 @@
+// Reading the structure of GIF files
+
+/**
+ * Skip a run of GIF data sub-blocks
+ * @param {Buffer} buffer - GIF data
+ * @param {number} offset - Offset of the first sub-block's size byte
+ * @returns {number} - Offset just past the terminating empty sub-block
+ */
+function skipSubBlocks(buffer, offset) {
+  while (offset < buffer.length && buffer[offset] !== 0) {
+    offset += buffer[offset] + 1;
+  }
+  return offset + 1;
+}
+
+/**
+ * Count the frames of a GIF and the distinct color tables they use
+ *
+ * A frame uses its local color table if it has one, otherwise the global table.
+ * Identical tables count once, so a GIF encoded with one palette reports 1 however
+ * its encoder stored it.
+ *
+ * @param {Buffer} buffer - GIF file contents
+ * @returns {object} - { frames, palettes }
+ * @throws {Error} If the data isn't a GIF
+ */
+function countGifPalettes(buffer) {
+  if (buffer.length < 13 || !/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    throw new Error('Not a GIF file');
+  }
+  
+  const tableSize = (packed) => 3 * (1 << ((packed & 0x07) + 1));
+  const palettes = new Set();
+  let frames = 0;
+  let offset = 13;
+  
+  let globalTable = null;
+  if (buffer[10] & 0x80) {
+    globalTable = buffer.toString('latin1', offset, offset + tableSize(buffer[10]));
+    offset += tableSize(buffer[10]);
+  }
+  
+  while (offset < buffer.length) {
+    const introducer = buffer[offset];
+    
+    if (introducer === 0x21) {
+      // Extension: label, then sub-blocks
+      offset = skipSubBlocks(buffer, offset + 2);
+    } else if (introducer === 0x2C) {
+      const packed = buffer[offset + 9];
+      offset += 10;
+      
+      if (packed & 0x80) {
+        palettes.add(buffer.toString('latin1', offset, offset + tableSize(packed)));
+        offset += tableSize(packed);
+      } else if (globalTable !== null) {
+        palettes.add(globalTable);
+      }
+      
+      // LZW minimum code size, then the image data sub-blocks
+      offset = skipSubBlocks(buffer, offset + 1);
+      frames++;
+    } else {
+      // Trailer, or data we can't read past
+      break;
+    }
+  }
+  
+  return { frames, palettes: palettes.size };
+}
+
+module.exports = {
+  countGifPalettes
+};
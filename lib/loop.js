@@ -0,0 +1,116 @@
+// Loop-point search: compares downscaled frames near the start and end of a segment
+
+const ANALYSIS_SIZE = 64; // Frames are compared as 64x64 grayscale images
+const SSIM_BLOCK = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+/**
+ * Compute the structural similarity of two grayscale frames
+ *
+ * Uses the mean SSIM over non-overlapping 8x8 blocks, which is plenty for ranking
+ * candidate loop points.
+ *
+ * @param {Buffer} a - First frame, one byte per pixel
+ * @param {Buffer} b - Second frame, same size as the first
+ * @param {number} [size=ANALYSIS_SIZE] - Frame width and height
+ * @returns {number} - SSIM from -1 to 1, where 1 means identical
+ */
+function computeSsim(a, b, size = ANALYSIS_SIZE) {
+  const pixels = SSIM_BLOCK * SSIM_BLOCK;
+  let total = 0;
+  let blocks = 0;
+  
+  for (let by = 0; by + SSIM_BLOCK <= size; by += SSIM_BLOCK) {
+    for (let bx = 0; bx + SSIM_BLOCK <= size; bx += SSIM_BLOCK) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      
+      for (let y = by; y < by + SSIM_BLOCK; y++) {
+        for (let x = bx; x < bx + SSIM_BLOCK; x++) {
+          const va = a[y * size + x];
+          const vb = b[y * size + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+      
+      const meanA = sumA / pixels;
+      const meanB = sumB / pixels;
+      const varA = sumAA / pixels - meanA * meanA;
+      const varB = sumBB / pixels - meanB * meanB;
+      const covariance = sumAB / pixels - meanA * meanB;
+      
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+      blocks++;
+    }
+  }
+  
+  return total / blocks;
+}
+
+/**
+ * Split raw grayscale video output into frames
+ * @param {Buffer} data - Raw gray frames from FFmpeg
+ * @param {number} [size=ANALYSIS_SIZE] - Frame width and height
+ * @returns {Buffer[]} - One buffer per complete frame
+ */
+function splitFrames(data, size = ANALYSIS_SIZE) {
+  const frameBytes = size * size;
+  const frames = [];
+  
+  for (let offset = 0; offset + frameBytes <= data.length; offset += frameBytes) {
+    frames.push(data.subarray(offset, offset + frameBytes));
+  }
+  
+  return frames;
+}
+
+/**
+ * Find the best-matching pair of loop points
+ *
+ * Every frame around the start is compared with every frame around the end; the
+ * loop runs from the start frame up to (not including) the end frame, so a perfect
+ * match means the last frame flows straight back into the first. Ties go to the
+ * pair whose length is closest to the requested duration.
+ *
+ * @param {Buffer[]} startFrames - Frames sampled around the requested start
+ * @param {Buffer[]} endFrames - Frames sampled around the requested end
+ * @param {object} timing - { startTime, endTime, fps, duration, minDuration } where startTime and
+ *   endTime are the times of the first frame in each list
+ * @returns {object|null} - { start, end, duration, score }, or null if no pair is long enough
+ */
+function findLoopPoints(startFrames, endFrames, timing) {
+  let best = null;
+  
+  startFrames.forEach((startFrame, i) => {
+    const start = timing.startTime + i / timing.fps;
+    
+    endFrames.forEach((endFrame, j) => {
+      const end = timing.endTime + j / timing.fps;
+      const duration = end - start;
+      if (duration < timing.minDuration) {
+        return;
+      }
+      
+      const score = computeSsim(startFrame, endFrame);
+      const distance = Math.abs(duration - timing.duration);
+      
+      if (!best || score > best.score + 1e-6 || (Math.abs(score - best.score) <= 1e-6 && distance < best.distance)) {
+        best = { start, end, duration, score, distance };
+      }
+    });
+  });
+  
+  return best && { start: best.start, end: best.end, duration: best.duration, score: best.score };
+}
+
+module.exports = {
+  ANALYSIS_SIZE,
+  computeSsim,
+  splitFrames,
+  findLoopPoints
+};
@@ -0,0 +1,29 @@
+// Reading FFmpeg's quality metric filters
+
+/**
+ * Read the overall SSIM from the log output of FFmpeg's ssim filter
+ * @param {string} output - FFmpeg stderr
+ * @returns {number|null} - SSIM from 0 to 1, or null if none was logged
+ */
+function parseSsim(output) {
+  const match = output.match(/SSIM .*All:([\d.]+)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Read the average PSNR from the log output of FFmpeg's psnr filter
+ * @param {string} output - FFmpeg stderr
+ * @returns {number|null} - PSNR in dB (Infinity for identical frames), or null if none was logged
+ */
+function parsePsnr(output) {
+  const match = output.match(/PSNR .*average:(inf|[\d.]+)/);
+  if (!match) {
+    return null;
+  }
+  return match[1] === 'inf' ? Infinity : parseFloat(match[1]);
+}
+
+module.exports = {
+  parseSsim,
+  parsePsnr
+};
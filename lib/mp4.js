@@ -0,0 +1,111 @@
+// Reading the segment index of fragmented MP4 files, for partial downloads
+
+/**
+ * Read a segment index (sidx) box
+ *
+ * DASH formats index their fragments with one sidx box: each reference gives a
+ * fragment's size in bytes and its duration, and the fragments follow one another
+ * from first_offset bytes after the end of the box.
+ *
+ * @param {Buffer} buffer - File data starting at byte 0 of the file, through the end of the box
+ * @param {number} offset - Offset of the sidx box in the file
+ * @returns {object[]} - Fragments in order, each { offset, size, start, duration, keyframe } with
+ *   offset and size in bytes and start and duration in seconds; keyframe is true when the
+ *   fragment starts with a point a decoder can start from
+ * @throws {Error} If there is no sidx box at offset, or it indexes other indexes
+ */
+function parseSegmentIndex(buffer, offset) {
+  if (buffer.length < offset + 12 || buffer.toString('latin1', offset + 4, offset + 8) !== 'sidx') {
+    throw new Error('No segment index (sidx) box at the index range');
+  }
+  
+  const boxSize = buffer.readUInt32BE(offset);
+  const version = buffer[offset + 8];
+  const timescale = buffer.readUInt32BE(offset + 16);
+  let position = offset + 20;
+  
+  // Version 1 stores the times and offset in 64 bits
+  let earliestTime;
+  let firstOffset;
+  if (version === 0) {
+    earliestTime = buffer.readUInt32BE(position);
+    firstOffset = buffer.readUInt32BE(position + 4);
+    position += 8;
+  } else {
+    earliestTime = Number(buffer.readBigUInt64BE(position));
+    firstOffset = Number(buffer.readBigUInt64BE(position + 8));
+    position += 16;
+  }
+  
+  const referenceCount = buffer.readUInt16BE(position + 2);
+  position += 4;
+  
+  if (buffer.length < position + referenceCount * 12) {
+    throw new Error('The segment index is cut short');
+  }
+  
+  const fragments = [];
+  let byteOffset = offset + boxSize + firstOffset;
+  let time = earliestTime;
+  
+  for (let i = 0; i < referenceCount; i++, position += 12) {
+    const reference = buffer.readUInt32BE(position);
+    if (reference & 0x80000000) {
+      throw new Error('Nested segment indexes are not supported');
+    }
+    
+    const size = reference & 0x7FFFFFFF;
+    const duration = buffer.readUInt32BE(position + 4);
+    fragments.push({
+      offset: byteOffset,
+      size,
+      start: time / timescale,
+      duration: duration / timescale,
+      keyframe: (buffer[position + 8] & 0x80) !== 0
+    });
+    
+    byteOffset += size;
+    time += duration;
+  }
+  
+  return fragments;
+}
+
+/**
+ * Pick the fragments that cover a time range
+ *
+ * The first fragment is moved back to one that starts with a keyframe, so the range
+ * can be decoded from its first byte.
+ *
+ * @param {object[]} fragments - Fragments from parseSegmentIndex
+ * @param {number} start - Start of the range in seconds
+ * @param {number} end - End of the range in seconds
+ * @returns {object|null} - { first, last, start, end }: the byte range to fetch, inclusive,
+ *   and the times it covers; null if the range is outside the index
+ */
+function getFragmentRange(fragments, start, end) {
+  let first = fragments.findIndex(fragment => fragment.start + fragment.duration > start);
+  if (first === -1) {
+    return null;
+  }
+  while (first > 0 && !fragments[first].keyframe) {
+    first--;
+  }
+  
+  let last = fragments.findIndex(fragment => fragment.start + fragment.duration >= end);
+  if (last === -1) {
+    last = fragments.length - 1;
+  }
+  
+  return {
+    first: fragments[first].offset,
+    last: fragments[last].offset + fragments[last].size - 1,
+    start: fragments[first].start,
+    end: fragments[last].start + fragments[last].duration
+  };
+}
+
+module.exports = {
+  parseSegmentIndex,
+  getFragmentRange
+};
@@ -0,0 +1,178 @@
+// Dry-run plans: the commands a conversion would run, as text or a shell script
+
+const { describeRetiming } = require('./timeline');
+
+// Stands in for the conversion's temporary directory in planned paths
+const PLAN_WORK_DIR = '$WORK';
+
+// Arguments made only of these characters need no quoting
+const SAFE_SHELL_ARG = /^[\w@%+=:,./-]+$/;
+
+/**
+ * Quote a command-line argument for a POSIX shell
+ *
+ * Paths inside the temporary directory keep $WORK unquoted so the shell expands it.
+ *
+ * @param {string} arg - Argument
+ * @returns {string} - Argument as it would be typed
+ */
+function quoteShellArg(arg) {
+  const value = String(arg);
+  
+  if (value !== '' && SAFE_SHELL_ARG.test(value)) {
+    return value;
+  }
+  
+  if (value.includes(PLAN_WORK_DIR)) {
+    return '"' + value.split(PLAN_WORK_DIR).map(part => part.replace(/[\\"`$]/g, '\\$&')).join(PLAN_WORK_DIR) + '"';
+  }
+  
+  return `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Format a command line for display or a script
+ * @param {string[]} command - Program and arguments
+ * @returns {string} - Quoted command line
+ */
+function formatCommand(command) {
+  return command.map(quoteShellArg).join(' ');
+}
+
+/**
+ * Describe an output's settings in one line
+ * @param {object} settings - Resolved settings from the plan
+ * @returns {string} - Summary, e.g. 5s from 12s, 480px, 30 FPS, 256 colors
+ */
+function describeSettings(settings) {
+  const parts = [
+    `${settings.duration}s from ${settings.start}s`,
+    `${settings.width}px`,
+    `${settings.fps} FPS`
+  ];
+  
+  if (settings.format === 'gif') {
+    parts.push(`${settings.colors} colors`, `lossy ${settings.lossy}`, `${settings.dither} dither`);
+    if (settings.palette !== 'global') {
+      parts.push(`${settings.palette} palettes`);
+    }
+  }
+  parts.push(...describeRetiming(settings));
+  if (settings.loopMode && settings.loopMode !== 'normal') {
+    parts.push(settings.loopMode === 'crossfade' ? `${settings.crossfade}s crossfade` : settings.loopMode);
+  }
+  parts.push(`max ${settings.maxSize}MB`);
+  
+  return parts.join(', ');
+}
+
+/**
+ * Format a plan as readable text
+ * @param {object} plan - Plan from convert() with dryRun set
+ * @returns {string} - Numbered steps with their command lines
+ */
+function formatPlan(plan) {
+  const lines = ['Dry run: nothing has been downloaded or encoded', ''];
+  
+  plan.outputs.forEach(output => {
+    lines.push(`Output: ${output.path}`);
+    lines.push(`  ${describeSettings(output.settings)}`);
+    if (output.sizeAdjustments.length > 0) {
+      lines.push('  If it is over the size limit, re-encoded with:');
+      output.sizeAdjustments.forEach(settings => lines.push(`    ${settings}`));
+    }
+  });
+  
+  plan.steps.forEach((step, index) => {
+    lines.push('', `${index + 1}. ${step.title}${step.analysis ? ' (analysis; vgif reads the output)' : ''}`);
+    
+    if (step.file) {
+      lines.push(`   Write ${step.file.path}:`);
+      step.file.content.trimEnd().split('\n').forEach(line => lines.push(`     ${line}`));
+    }
+    
+    (step.commands || []).forEach(command => lines.push(`   ${formatCommand(command)}`));
+    
+    (step.alternatives || []).forEach(alternative => {
+      lines.push(`   If that fails, ${alternative.name}:`);
+      alternative.commands.forEach(command => lines.push(`     ${formatCommand(command)}`));
+    });
+    
+    if (step.note) {
+      lines.push(`   Note: ${step.note}`);
+    }
+  });
+  
+  lines.push('', `${PLAN_WORK_DIR} is a temporary directory created for the conversion.`);
+  plan.notes.forEach(note => lines.push(note));
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format a group of commands that must all succeed as one shell command
+ * @param {string[][]} commands - Commands to run in order
+ * @returns {string} - Shell command
+ */
+function formatCommandGroup(commands) {
+  const text = commands.map(formatCommand).join(' && ');
+  return commands.length > 1 ? `{ ${text}; }` : text;
+}
+
+/**
+ * Format a plan as a POSIX shell script that runs the same commands
+ *
+ * Analysis steps are left as comments because vgif interprets their output itself;
+ * the commands after them use the values the plan assumed.
+ *
+ * @param {object} plan - Plan from convert() with dryRun set
+ * @returns {string} - Script text
+ */
+function formatPlanScript(plan) {
+  const lines = [
+    '#!/bin/sh',
+    `# Generated by vgif --print-script for ${plan.outputs.map(output => output.path).join(', ')}`
+  ];
+  plan.notes.forEach(note => lines.push(`# ${note}`));
+  lines.push(
+    'set -e',
+    '',
+    'WORK="$(mktemp -d)"',
+    'trap \'rm -rf "$WORK"\' EXIT'
+  );
+  
+  plan.steps.forEach((step, index) => {
+    lines.push('', `# ${index + 1}. ${step.title}`);
+    if (step.note) {
+      lines.push(`# ${step.note}`);
+    }
+    
+    if (step.file) {
+      // An unquoted here-document expands $WORK; anything else the shell would expand is escaped
+      const content = step.file.content.trimEnd().split(PLAN_WORK_DIR)
+        .map(part => part.replace(/[\\`$]/g, '\\$&'))
+        .join(PLAN_WORK_DIR);
+      lines.push(`cat > ${quoteShellArg(step.file.path)} <<VGIF_EOF`, content, 'VGIF_EOF');
+    }
+    
+    if (step.analysis) {
+      (step.commands || []).forEach(command => lines.push(`# ${formatCommand(command)}`));
+      return;
+    }
+    
+    if (step.commands) {
+      const groups = [step.commands, ...(step.alternatives || []).map(alternative => alternative.commands)];
+      lines.push(groups.map(formatCommandGroup).join(' ||\n  '));
+    }
+  });
+  
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  PLAN_WORK_DIR,
+  quoteShellArg,
+  formatCommand,
+  formatPlan,
+  formatPlanScript
+};
@@ -0,0 +1,92 @@
+// Shot detection from FFmpeg's scene change scores
+
+// Scene modes offered by --scenes
+const SCENE_MODES = ['split', 'pick'];
+
+const DEFAULT_SCENE_THRESHOLD = 0.3; // Scene score above which a frame starts a new shot
+const MIN_SHOT_DURATION = 0.5; // Seconds; cuts closer together than this are treated as flashes
+
+/**
+ * Read per-frame scene scores from the log output of select and metadata=print
+ * @param {string} output - FFmpeg stderr
+ * @returns {object[]} - Frames with time (seconds from the start of the input) and score (0 to 1)
+ */
+function parseSceneScores(output) {
+  const frames = [];
+  let time = null;
+  
+  output.split('\n').forEach(line => {
+    const timeMatch = line.match(/pts_time:\s*(-?[\d.]+)/);
+    if (timeMatch) {
+      time = parseFloat(timeMatch[1]);
+      return;
+    }
+    
+    const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+    if (scoreMatch && time !== null) {
+      frames.push({ time, score: parseFloat(scoreMatch[1]) });
+      time = null;
+    }
+  });
+  
+  return frames;
+}
+
+/**
+ * Split a range into shots wherever the scene score crosses the threshold
+ *
+ * This is the same test as select='gt(scene,T)'. A shot's activity is the mean
+ * score of its frames, not counting the cut that starts it, so shots with a lot of
+ * motion score higher than static ones.
+ *
+ * @param {object[]} frames - Frames from parseSceneScores, in time order
+ * @param {number} threshold - Scene score that marks a cut
+ * @param {number} start - Start of the range in seconds
+ * @param {number} end - End of the range in seconds
+ * @returns {object[]} - Shots with start, duration and activity
+ */
+function buildShots(frames, threshold, start, end) {
+  const shots = [];
+  let current = { start, scores: [] };
+  
+  frames.forEach(frame => {
+    const time = start + frame.time;
+    
+    if (frame.score > threshold && time - current.start >= MIN_SHOT_DURATION) {
+      shots.push({ ...current, end: time });
+      current = { start: time, scores: [] };
+    } else {
+      current.scores.push(frame.score);
+    }
+  });
+  
+  // A short last shot is most likely a fade out, so it stays with the one before
+  if (shots.length > 0 && end - current.start < MIN_SHOT_DURATION) {
+    const last = shots.pop();
+    current = { start: last.start, scores: last.scores.concat(current.scores) };
+  }
+  shots.push({ ...current, end });
+  
+  return shots.map(shot => ({
+    start: shot.start,
+    duration: shot.end - shot.start,
+    activity: shot.scores.length > 0 ? shot.scores.reduce((sum, score) => sum + score, 0) / shot.scores.length : 0
+  }));
+}
+
+/**
+ * Pick the most visually active shot
+ * @param {object[]} shots - Shots from buildShots
+ * @returns {object} - The shot with the highest activity
+ */
+function pickMostActiveShot(shots) {
+  return shots.reduce((best, shot) => (shot.activity > best.activity ? shot : best));
+}
+
+module.exports = {
+  SCENE_MODES,
+  DEFAULT_SCENE_THRESHOLD,
+  parseSceneScores,
+  buildShots,
+  pickMostActiveShot
+};
@@ -0,0 +1,397 @@
+// Local HTTP job server: queue conversions through a small REST API
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const converter = require('../video-gif-converter');
+const { toOptionName, applyConfigOptions } = require('./config');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_CONCURRENCY = 2;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Content types for downloaded results, by output format
+const CONTENT_TYPES = {
+  gif: 'image/gif',
+  webp: 'image/webp',
+  apng: 'image/apng',
+  mp4: 'video/mp4',
+  webm: 'video/webm'
+};
+
+// Options the server sets itself, that would produce more than one output per job, or no output at all
+const RESERVED_OPTIONS = ['output', 'clips', 'dryRun', 'preview'];
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} - Parsed body
+ * @throws {Error} With a status property of 400 or 413 if the body is invalid or too large
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Discard the rest of the body so the client gets the 413 instead of a reset connection
+        req.off('data', onData);
+        req.resume();
+        reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        return;
+      }
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('Request body must be a JSON object of conversion options');
+        }
+        resolve(body);
+      } catch (err) {
+        reject(Object.assign(new Error(`Invalid JSON body: ${err.message}`), { status: 400 }));
+      }
+    });
+    
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Turn a request body into conversion options, checking them before the job is queued
+ * @param {object} body - Options as camelCase or kebab-case keys, like the CLI flags
+ * @param {object} [config] - Options from .vgifrc, which the body overrides
+ * @returns {object} - Options for convert()
+ * @throws {Error} If an option is unknown, reserved or invalid
+ */
+function parseJobOptions(body, config = {}) {
+  const knownOptions = Object.keys(converter.DEFAULT_OPTIONS);
+  const options = {};
+  
+  Object.keys(body).forEach(key => {
+    options[toOptionName(key)] = body[key];
+  });
+  
+  const unknown = Object.keys(options).filter(key => !knownOptions.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option(s): ${unknown.join(', ')}`);
+  }
+  
+  const reserved = Object.keys(options).filter(key => RESERVED_OPTIONS.includes(key));
+  if (reserved.length > 0) {
+    throw new Error(`Option(s) not available for server jobs: ${reserved.join(', ')}`);
+  }
+  
+  const jobOptions = applyConfigOptions(config, options, RESERVED_OPTIONS);
+  
+  if (jobOptions.scenes === 'split') {
+    throw new Error('--scenes split writes several outputs; submit one job per shot instead');
+  }
+  
+  // Validation warnings aren't needed here; the job reports them when it runs
+  converter.normalizeOptions(jobOptions, converter.createReporter());
+  
+  return jobOptions;
+}
+
+/**
+ * Describe a job for API responses
+ * @param {object} job - Job record
+ * @returns {object} - Public job fields
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    source: job.options.url || job.options.input,
+    stage: job.stage,
+    message: job.message,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    size: job.result ? job.result.size : null,
+    result: job.status === 'done' ? `/jobs/${job.id}/result` : null,
+    error: job.error
+  };
+}
+
+/**
+ * Create the job server
+ *
+ * POST /jobs queues a conversion with the same options as the CLI (camelCase or
+ * kebab-case keys), GET /jobs lists jobs, GET /jobs/:id reports status and progress,
+ * GET /jobs/:id/result downloads the output and DELETE /jobs/:id cancels a job or
+ * removes a finished one. At most `concurrency` jobs convert at once; the rest wait
+ * in order. Conversions use the normal cache directory and temp file handling.
+ *
+ * @param {object} serverOptions - { concurrency, outputDir, verbose, config }; without an
+ *   outputDir, results go to a temp directory that is removed on close, and config
+ *   holds the .vgifrc options that every job starts from
+ * @param {EventEmitter} [events] - Emitter that receives log, warning and job events
+ * @returns {object} - { server, listen(port, host), close() }
+ */
+function createJobServer(serverOptions = {}, events = new EventEmitter()) {
+  const reporter = converter.createReporter(events);
+  
+  const concurrency = parseInt(serverOptions.concurrency || DEFAULT_CONCURRENCY);
+  if (isNaN(concurrency) || concurrency < 1) {
+    throw new Error('Concurrency must be a positive number');
+  }
+  
+  const ownsOutputDir = !serverOptions.outputDir;
+  const outputDir = ownsOutputDir ?
+    fs.mkdtempSync(path.join(os.tmpdir(), 'vgif-serve-')) :
+    path.resolve(serverOptions.outputDir);
+  fs.mkdirSync(outputDir, { recursive: true });
+  
+  const jobs = new Map();
+  const queue = [];
+  const running = new Set();
+  
+  const removeOutput = (job) => {
+    if (job.result && fs.existsSync(job.result.outputPath)) {
+      fs.unlinkSync(job.result.outputPath);
+    }
+  };
+  
+  const runJob = async (job) => {
+    const label = `[${job.id.slice(0, 8)}]`;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    events.emit('job', { id: job.id, status: job.status });
+    reporter.log(`${label} Converting ${job.options.url || job.options.input}...`);
+    
+    // Keep the latest stage and progress for status requests
+    const jobEvents = new EventEmitter();
+    jobEvents.on('stage', ({ stage, message }) => {
+      job.stage = stage;
+      job.message = message;
+      job.progress = null;
+    });
+    jobEvents.on('progress', ({ percent }) => {
+      job.progress = percent;
+    });
+    jobEvents.on('log', ({ level, message }) => {
+      if (serverOptions.verbose || level === 'error') {
+        events.emit('log', { level, message: `${label} ${message}` });
+      }
+    });
+    jobEvents.on('warning', ({ message }) => events.emit('warning', { message: `${label} ${message}` }));
+    
+    try {
+      job.result = await converter.convert({
+        ...job.options,
+        output: path.join(outputDir, job.id),
+        signal: job.controller.signal
+      }, jobEvents);
+      
+      if (job.status === 'cancelled') {
+        removeOutput(job);
+      } else {
+        job.status = 'done';
+        reporter.log(`${label} Done (${(job.result.size / (1024 * 1024)).toFixed(2)}MB)`);
+      }
+    } catch (err) {
+      if (job.status !== 'cancelled') {
+        job.status = 'failed';
+        job.error = err.message;
+        reporter.error(`${label} Failed: ${err.message}`);
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      running.delete(job);
+      events.emit('job', { id: job.id, status: job.status });
+      startQueuedJobs();
+    }
+  };
+  
+  const startQueuedJobs = () => {
+    while (running.size < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      running.add(job);
+      job.done = runJob(job);
+    }
+  };
+  
+  const submitJob = (options) => {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      options,
+      stage: null,
+      message: null,
+      progress: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController()
+    };
+    
+    jobs.set(job.id, job);
+    queue.push(job);
+    events.emit('job', { id: job.id, status: job.status });
+    startQueuedJobs();
+    
+    return job;
+  };
+  
+  const cancelJob = (job) => {
+    const label = `[${job.id.slice(0, 8)}]`;
+    
+    if (job.status === 'queued') {
+      queue.splice(queue.indexOf(job), 1);
+      job.status = 'cancelled';
+      reporter.log(`${label} Cancelled`);
+    } else if (job.status === 'running') {
+      job.status = 'cancelled';
+      job.controller.abort();
+      reporter.log(`${label} Cancelled`);
+    } else {
+      removeOutput(job);
+      reporter.log(`${label} Removed`);
+    }
+    
+    jobs.delete(job.id);
+  };
+  
+  const sendResult = (res, job) => {
+    if (job.status !== 'done') {
+      sendJson(res, 409, { error: `Job is ${job.status}`, job: describeJob(job) });
+      return;
+    }
+    
+    const outputPath = job.result.outputPath;
+    const format = job.options.format || path.extname(outputPath).slice(1);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[format] || 'application/octet-stream',
+      'Content-Length': fs.statSync(outputPath).size,
+      'Content-Disposition': `attachment; filename="${path.basename(outputPath)}"`
+    });
+    fs.createReadStream(outputPath).pipe(res);
+  };
+  
+  const handleRequest = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const [, resource, id, action, ...rest] = pathname.replace(/\/+$/, '').split('/');
+    
+    if (resource !== 'jobs' || rest.length > 0 || (action !== undefined && action !== 'result')) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    
+    if (!id) {
+      if (req.method === 'GET') {
+        sendJson(res, 200, { jobs: [...jobs.values()].map(describeJob) });
+      } else if (req.method === 'POST') {
+        const job = submitJob(parseJobOptions(await readJsonBody(req), serverOptions.config));
+        res.setHeader('Location', `/jobs/${job.id}`);
+        sendJson(res, 202, describeJob(job));
+      } else {
+        sendJson(res, 405, { error: `${req.method} is not allowed on /jobs` });
+      }
+      return;
+    }
+    
+    const job = jobs.get(id);
+    if (!job) {
+      sendJson(res, 404, { error: `No job with id ${id}` });
+      return;
+    }
+    
+    if (action === 'result' && req.method === 'GET') {
+      sendResult(res, job);
+    } else if (!action && req.method === 'GET') {
+      sendJson(res, 200, describeJob(job));
+    } else if (!action && req.method === 'DELETE') {
+      cancelJob(job);
+      sendJson(res, 200, describeJob(job));
+    } else {
+      sendJson(res, 405, { error: `${req.method} is not allowed on ${pathname}` });
+    }
+  };
+  
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => {
+      if (!res.headersSent) {
+        sendJson(res, err.status || 400, { error: err.message });
+      } else {
+        res.destroy(err);
+      }
+    });
+  });
+  
+  return {
+    server,
+    
+    /**
+     * Start listening
+     * @param {number} [port=DEFAULT_PORT] - Port to listen on
+     * @param {string} [host=DEFAULT_HOST] - Interface to bind; use 0.0.0.0 to accept other machines
+     * @returns {Promise<object>} - The bound address
+     */
+    listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+    
+    /**
+     * Stop accepting requests, cancel queued and running jobs and wait for them to clean up
+     * @returns {Promise<void>} - Resolves once every job has stopped
+     */
+    async close() {
+      server.close();
+      queue.splice(0).forEach(job => {
+        job.status = 'cancelled';
+      });
+      
+      const stopping = [...running].map(job => {
+        job.status = 'cancelled';
+        job.controller.abort();
+        return job.done;
+      });
+      await Promise.all(stopping);
+      
+      if (ownsOutputDir) {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  parseJobOptions,
+  createJobServer
+};
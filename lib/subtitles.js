@@ -0,0 +1,201 @@
+// SRT/WebVTT subtitle parsing, retiming and YouTube caption tracks
+
+const fs = require('fs');
+const { parseTime } = require('./time');
+
+const MIN_CUE_DURATION = 0.05; // Seconds; shorter cues are YouTube's rolling-caption artifacts
+
+/**
+ * Parse a cue timestamp (00:01:02,500 in SRT, 01:02.500 or 00:01:02.500 in WebVTT)
+ * @param {string} value - Timestamp
+ * @returns {number} - Time in seconds
+ */
+function parseCueTime(value) {
+  return parseTime(value.trim().replace(',', '.'));
+}
+
+/**
+ * Remove markup the SRT renderer doesn't understand, keeping <b>, <i> and <u>
+ * @param {string} text - Cue text
+ * @returns {string} - Cleaned text
+ */
+function cleanCueText(text) {
+  return text
+    .replace(/<(?!\/?[biu]>)[^>]*>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse SRT or WebVTT text into cues
+ *
+ * Both formats are blocks separated by blank lines, with a "start --> end" line
+ * followed by the text; blocks without a timing line (WEBVTT, NOTE, STYLE) are skipped.
+ *
+ * @param {string} text - Subtitle file content
+ * @returns {object[]} - Cues with start, end (seconds) and text, in time order
+ * @throws {Error} If a timing line is invalid
+ */
+function parseSubtitles(text) {
+  const cues = [];
+  const content = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const isVtt = content.startsWith('WEBVTT');
+  let previousLines = [];
+  
+  content
+    .split(/\n{2,}/)
+    .forEach(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) {
+        return;
+      }
+      
+      // WebVTT cue settings (align:start position:0%) follow the end time
+      const [start, rest] = lines[timingIndex].split('-->');
+      const end = rest.trim().split(/\s+/)[0];
+      
+      // YouTube's rolling WebVTT captions repeat the previous cue's lines before adding new words
+      const textLines = lines.slice(timingIndex + 1)
+        .map(cleanCueText)
+        .filter(line => line && !(isVtt && previousLines.includes(line)));
+      
+      const cue = { start: parseCueTime(start), end: parseCueTime(end), text: textLines.join('\n') };
+      previousLines = lines.slice(timingIndex + 1).map(cleanCueText);
+      
+      if (cue.text && cue.end - cue.start >= MIN_CUE_DURATION) {
+        cues.push(cue);
+      }
+    });
+  
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Read and parse an SRT or WebVTT file
+ * @param {string} filePath - Path to the subtitle file
+ * @returns {object[]} - Cues from parseSubtitles
+ * @throws {Error} If the file can't be read or contains no cues
+ */
+function loadSubtitleFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Subtitle file does not exist: ${filePath}`);
+  }
+  
+  const cues = parseSubtitles(fs.readFileSync(filePath, 'utf8'));
+  if (cues.length === 0) {
+    throw new Error(`No subtitles found in ${filePath}`);
+  }
+  
+  return cues;
+}
+
+/**
+ * Move cues onto the clip's timeline
+ *
+ * Cue times are made relative to the clip start, divided by the playback speed and
+ * clipped to the clip; cues entirely outside the clip are dropped.
+ *
+ * @param {object[]} cues - Cues in source video time
+ * @param {number} start - Clip start in the source video, in seconds
+ * @param {number} duration - Clip duration in the source video, in seconds
+ * @param {number} speed - Playback speed factor
+ * @returns {object[]} - Cues in clip time
+ */
+function retimeCues(cues, start, duration, speed) {
+  const clipLength = duration / speed;
+  
+  return cues
+    .map(cue => ({ ...cue, start: (cue.start - start) / speed, end: (cue.end - start) / speed }))
+    .filter(cue => cue.end > 0 && cue.start < clipLength)
+    .map(cue => ({ ...cue, start: Math.max(0, cue.start), end: Math.min(clipLength, cue.end) }));
+}
+
+/**
+ * Format a time in seconds as an SRT timestamp (00:01:02,500)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - SRT timestamp
+ */
+function formatSrtTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  
+  return `${pad(Math.floor(totalMs / 3600000))}:${pad(Math.floor(totalMs / 60000) % 60)}:` +
+    `${pad(Math.floor(totalMs / 1000) % 60)},${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Write cues as SRT text
+ * @param {object[]} cues - Cues with start, end and text
+ * @returns {string} - SRT content
+ */
+function formatSrt(cues) {
+  return cues
+    .map((cue, index) => `${index + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cue.text}\n`)
+    .join('\n');
+}
+
+/**
+ * Pick a caption track from YouTube video info
+ *
+ * Manually written tracks are preferred over automatic ones, and "en" also matches
+ * regional variants such as "en-GB".
+ *
+ * @param {object} videoInfo - Video info from ytdl.getInfo
+ * @param {string} language - Language code, e.g. en or pt-BR
+ * @returns {object} - Caption track with baseUrl, languageCode and kind
+ * @throws {Error} If the video has no track in that language
+ */
+function selectCaptionTrack(videoInfo, language) {
+  const renderer = videoInfo.player_response &&
+    videoInfo.player_response.captions &&
+    videoInfo.player_response.captions.playerCaptionsTracklistRenderer;
+  const tracks = (renderer && renderer.captionTracks) || [];
+  
+  if (tracks.length === 0) {
+    throw new Error('This video has no caption tracks');
+  }
+  
+  const wanted = language.toLowerCase();
+  const matches = tracks.filter(track => {
+    const code = (track.languageCode || '').toLowerCase();
+    return code === wanted || code.split('-')[0] === wanted;
+  });
+  
+  const track = matches.find(t => t.kind !== 'asr') || matches[0];
+  if (!track) {
+    const available = [...new Set(tracks.map(t => t.languageCode))].join(', ');
+    throw new Error(`No "${language}" caption track for this video (available: ${available})`);
+  }
+  
+  return track;
+}
+
+/**
+ * Download a YouTube caption track as WebVTT
+ * @param {object} track - Track from selectCaptionTrack
+ * @returns {Promise<string>} - WebVTT content
+ */
+async function downloadCaptionTrack(track) {
+  const url = new URL(track.baseUrl);
+  url.searchParams.set('fmt', 'vtt');
+  
+  const response = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+  if (!response.ok) {
+    throw new Error(`Caption download failed with status ${response.status}`);
+  }
+  
+  return response.text();
+}
+
+module.exports = {
+  parseSubtitles,
+  loadSubtitleFile,
+  retimeCues,
+  formatSrt,
+  selectCaptionTrack,
+  downloadCaptionTrack
+};
@@ -0,0 +1,134 @@
+// Parsing helpers for time values and clip ranges
+
+/**
+ * Check whether a time value is a frame number (f1234)
+ * @param {string|number} value - Time value
+ * @returns {boolean} - True for frame numbers
+ */
+function isFrameTime(value) {
+  return typeof value === 'string' && /^f\d+$/i.test(value.trim());
+}
+
+/**
+ * Parse a time value into seconds
+ *
+ * Accepts plain seconds (12, 12.5), colon forms (1:02, 1:02.5, 1:02:03.250),
+ * unit forms as used in YouTube links (90s, 1m30s, 1h2m3s) and frame numbers
+ * (f1234), which need the video's frame rate.
+ *
+ * @param {string|number} value - Time value
+ * @param {number} [frameRate] - Frame rate used to convert frame numbers
+ * @returns {number} - Time in seconds
+ * @throws {Error} If the value is not a valid time
+ */
+function parseTime(value, frameRate) {
+  if (typeof value === 'number') {
+    if (!isFinite(value) || value < 0) {
+      throw new Error(`Invalid time: ${value}`);
+    }
+    return value;
+  }
+  
+  const text = String(value).trim();
+  
+  if (isFrameTime(text)) {
+    if (!frameRate) {
+      throw new Error(`Cannot convert frame number "${text}" without the video's frame rate`);
+    }
+    return parseInt(text.slice(1)) / frameRate;
+  }
+  
+  // 1h2m3.5s, with every unit optional
+  const unitMatch = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/i);
+  if (unitMatch && text !== '') {
+    const [, hours = 0, minutes = 0, seconds = 0] = unitMatch;
+    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+  }
+  
+  // [[hh:]mm:]ss[.fraction]
+  const match = text.match(/^(?:(\d+):)?(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+  if (!match) {
+    throw new Error(`Invalid time: "${value}" (use seconds, mm:ss, hh:mm:ss.ms, 90s or a frame number like f1234)`);
+  }
+  
+  // With a single colon the first group holds the minutes
+  const [, first, second, seconds] = match;
+  const hasHours = second !== undefined;
+  const hours = hasHours ? parseInt(first) : 0;
+  const minutes = hasHours ? parseInt(second) : (first !== undefined ? parseInt(first) : 0);
+  
+  if ((hasHours && minutes >= 60) || (first !== undefined && parseFloat(seconds) >= 60)) {
+    throw new Error(`Invalid time: "${value}" (minutes and seconds must be below 60)`);
+  }
+  
+  return hours * 3600 + minutes * 60 + parseFloat(seconds);
+}
+
+/**
+ * Format seconds as [h:]mm:ss.mmm for messages
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Formatted time
+ */
+function formatTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = ((totalMs % 60000) / 1000).toFixed(3).padStart(6, '0');
+  const mm = String(minutes).padStart(2, '0');
+  
+  return hours > 0 ? `${hours}:${mm}:${secs}` : `${mm}:${secs}`;
+}
+
+/**
+ * Parse a comma-separated list of clip ranges
+ *
+ * Each range is either start-end or start+duration, optionally prefixed with a
+ * name for its output file: "12-15,intro=1:02-1:08,2:30+4".
+ *
+ * @param {string} spec - Clip range list
+ * @returns {object[]} - Clips with name (or null), start and duration in seconds
+ * @throws {Error} If a range is invalid
+ */
+function parseClipRanges(spec) {
+  const parts = String(spec).split(',').map(part => part.trim()).filter(Boolean);
+  
+  if (parts.length === 0) {
+    throw new Error('Clips must list at least one range, e.g. "12-15,1:02-1:08,2:30+4"');
+  }
+  
+  return parts.map(part => {
+    let name = null;
+    let range = part;
+    
+    const nameSeparator = part.indexOf('=');
+    if (nameSeparator !== -1) {
+      name = part.slice(0, nameSeparator).trim();
+      range = part.slice(nameSeparator + 1).trim();
+      
+      if (!/^[\w.-]+$/.test(name)) {
+        throw new Error(`Invalid clip name "${name}" (use letters, numbers, dots, dashes and underscores)`);
+      }
+    }
+    
+    const match = range.match(/^([^+-]+)([+-])([^+-]+)$/);
+    if (!match) {
+      throw new Error(`Invalid clip range "${part}" (use start-end or start+duration)`);
+    }
+    
+    const start = parseTime(match[1]);
+    const duration = match[2] === '+' ? parseTime(match[3]) : parseTime(match[3]) - start;
+    
+    if (duration <= 0) {
+      throw new Error(`Invalid clip range "${part}" (the clip must end after it starts)`);
+    }
+    
+    return { name, start, duration };
+  });
+}
+
+module.exports = {
+  isFrameTime,
+  parseTime,
+  formatTime,
+  parseClipRanges
+};
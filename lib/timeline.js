@@ -0,0 +1,312 @@
+// Speed ramps, freeze frames and reverse playback: where each moment of a segment lands in the output
+
+/**
+ * Parse a plain decimal number
+ * @param {string|number} value - Value to parse
+ * @returns {number} - Parsed value, or NaN if it isn't a plain non-negative number
+ */
+function parseNumber(value) {
+  const text = String(value).trim();
+  return /^\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Split a spec of time:value pairs such as "0:1,2:0.25" into [time, value] pairs
+ * @param {string|Array} spec - Comma-separated pairs, or an array of such strings or of objects
+ * @param {string} valueName - Name of the value in object entries, e.g. speed
+ * @returns {number[][]} - [time, value] pairs, NaN where a part isn't a number
+ */
+function parsePairs(spec, valueName) {
+  const entries = [].concat(spec).flatMap(entry =>
+    entry && typeof entry === 'object' ? [entry] : String(entry).split(','));
+  
+  return entries.map(entry => {
+    if (entry && typeof entry === 'object') {
+      return [parseNumber(entry.time), parseNumber(entry[valueName])];
+    }
+    const parts = String(entry).split(':');
+    return parts.length === 2 ? parts.map(parseNumber) : [NaN, NaN];
+  });
+}
+
+/**
+ * Parse a --speed value
+ *
+ * A plain factor such as 0.5 plays the whole clip at one speed. Keyframes such as
+ * "0:1,2:0.25,3.5:1" give the speed at seconds into the segment: the speed changes
+ * linearly from one keyframe to the next and holds before the first and after the last.
+ *
+ * @param {string|number|Array} spec - Speed factor or keyframes
+ * @returns {number|object[]} - The factor, or { time, speed } keyframes in time order;
+ *   a single keyframe is returned as its factor
+ * @throws {Error} If a speed isn't positive or keyframes are malformed or repeat a time
+ */
+function parseSpeed(spec) {
+  if (typeof spec === 'number' || (!Array.isArray(spec) && !String(spec).includes(':'))) {
+    const speed = parseNumber(spec);
+    if (isNaN(speed) || speed <= 0) {
+      throw new Error('Speed must be a positive number, or keyframes such as "0:1,2:0.25,3.5:1"');
+    }
+    return speed;
+  }
+  
+  const keyframes = parsePairs(spec, 'speed').map(([time, speed]) => {
+    if (isNaN(time) || isNaN(speed) || speed <= 0) {
+      throw new Error(`Invalid speed keyframes "${spec}": use time:speed pairs with positive speeds, such as "0:1,2:0.25,3.5:1"`);
+    }
+    return { time, speed };
+  }).sort((a, b) => a.time - b.time);
+  
+  if (keyframes.some((keyframe, index) => index > 0 && keyframe.time === keyframes[index - 1].time)) {
+    throw new Error(`Invalid speed keyframes "${spec}": each time may only have one speed`);
+  }
+  
+  return keyframes.length === 1 ? keyframes[0].speed : keyframes;
+}
+
+/**
+ * Parse a --freeze value
+ * @param {string|Array} spec - time:seconds pairs such as "2.4:1.0", comma-separated for several
+ *   freezes; the time is seconds into the segment
+ * @returns {object[]} - { time, hold } freezes in time order
+ * @throws {Error} If a pair is malformed or a hold isn't positive
+ */
+function parseFreeze(spec) {
+  return parsePairs(spec, 'hold').map(([time, hold]) => {
+    if (isNaN(time) || isNaN(hold) || hold <= 0) {
+      throw new Error(`Invalid freeze "${spec}": use time:seconds pairs such as "2.4:1.0"`);
+    }
+    return { time, hold };
+  }).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Work out how a segment is played back
+ *
+ * The speed is divided into sections that each change linearly from one speed to the
+ * next, covering the whole segment.
+ *
+ * @param {object} options - Conversion options (speed, freeze, reverse, duration)
+ * @returns {object} - { duration, sections, freezes, reverse }; sections hold
+ *   { start, end, from, to } in segment seconds, and only freezes within the segment are kept
+ */
+function createTimeline(options) {
+  const duration = options.duration;
+  const keyframes = Array.isArray(options.speed) ?
+    options.speed.filter(keyframe => keyframe.time < duration) :
+    [{ time: 0, speed: options.speed }];
+  
+  // Hold the first and last speeds out to the ends of the segment
+  const points = [...keyframes];
+  if (points.length === 0 || points[0].time > 0) {
+    points.unshift({ time: 0, speed: (keyframes[0] || options.speed[0]).speed });
+  }
+  points.push({ time: duration, speed: speedBetween(options.speed, duration) });
+  
+  const sections = [];
+  for (let i = 0; i + 1 < points.length; i++) {
+    sections.push({ start: points[i].time, end: points[i + 1].time, from: points[i].speed, to: points[i + 1].speed });
+  }
+  
+  return {
+    duration,
+    sections,
+    freezes: (options.freeze || []).filter(freeze => freeze.time < duration),
+    reverse: Boolean(options.reverse)
+  };
+}
+
+/**
+ * Get the speed at a time from a factor or keyframes
+ * @param {number|object[]} speed - Speed factor or keyframes (see parseSpeed)
+ * @param {number} time - Seconds into the segment
+ * @returns {number} - Speed factor at that time
+ */
+function speedBetween(speed, time) {
+  if (!Array.isArray(speed)) {
+    return speed;
+  }
+  
+  const next = speed.findIndex(keyframe => keyframe.time >= time);
+  if (next === -1) {
+    return speed[speed.length - 1].speed;
+  }
+  if (next === 0) {
+    return speed[0].speed;
+  }
+  
+  const a = speed[next - 1];
+  const b = speed[next];
+  return a.speed + (b.speed - a.speed) * (time - a.time) / (b.time - a.time);
+}
+
+/**
+ * Get how long part of a section takes to play
+ *
+ * With the speed changing linearly from `from` to `to`, each moment plays for 1/speed
+ * of its length, which integrates to a logarithm.
+ *
+ * @param {object} section - { start, end, from, to }
+ * @param {number} time - Seconds into the segment to play up to, within the section
+ * @returns {number} - Output seconds
+ */
+function playSection(section, time) {
+  const elapsed = time - section.start;
+  const slope = (section.to - section.from) / (section.end - section.start);
+  
+  return slope === 0 ?
+    elapsed / section.from :
+    Math.log((section.from + slope * elapsed) / section.from) / slope;
+}
+
+/**
+ * Get the output time of a moment in the segment playing forward, without freezes
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {number} time - Seconds into the segment
+ * @returns {number} - Output seconds
+ */
+function playForward(timeline, time) {
+  return timeline.sections.reduce((total, section) =>
+    total + (time > section.start ? playSection(section, Math.min(time, section.end)) : 0), 0);
+}
+
+/**
+ * Get when a moment of the segment appears in the output
+ *
+ * A freeze holds the frame at its time, so everything after it in playback order
+ * (before it, when reversed) appears that much later.
+ *
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {number} time - Seconds into the segment; times outside it are clamped to its ends
+ * @returns {number} - Output seconds
+ */
+function getOutputTime(timeline, time) {
+  const clamped = Math.min(timeline.duration, Math.max(0, time));
+  const played = timeline.reverse ?
+    playForward(timeline, timeline.duration) - playForward(timeline, clamped) :
+    playForward(timeline, clamped);
+  
+  return timeline.freezes.reduce((total, freeze) =>
+    total + ((timeline.reverse ? clamped < freeze.time : clamped > freeze.time) ? freeze.hold : 0), played);
+}
+
+/**
+ * Get which moment of the segment is showing at a time in the output, the inverse of getOutputTime
+ *
+ * Output time only moves one way through the segment, so this bisects getOutputTime.
+ * During a freeze it returns the frozen moment.
+ *
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {number} time - Output seconds; times outside the output are clamped to its ends
+ * @returns {number} - Seconds into the segment
+ */
+function getSourceTime(timeline, time) {
+  let low = 0;
+  let high = timeline.duration;
+  
+  for (let i = 0; i < 50; i++) {
+    const middle = (low + high) / 2;
+    if ((getOutputTime(timeline, middle) < time) !== timeline.reverse) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  
+  return (low + high) / 2;
+}
+
+/**
+ * Get how long a segment plays for
+ * @param {object} timeline - Timeline from createTimeline
+ * @returns {number} - Output seconds, including freezes
+ */
+function getTimelineLength(timeline) {
+  return playForward(timeline, timeline.duration) + timeline.freezes.reduce((total, freeze) => total + freeze.hold, 0);
+}
+
+/**
+ * Build the setpts expression that plays a segment at its speeds
+ *
+ * The expression is getOutputTime without freezes, written for FFmpeg in seconds of
+ * the segment's own timestamps. Reversed frames keep the forward timestamps in order,
+ * so T counts back from the end of the segment.
+ *
+ * @param {object} timeline - Timeline from createTimeline
+ * @returns {string} - Expression for setpts, with commas unescaped
+ */
+function buildSetptsExpression(timeline) {
+  const time = timeline.reverse ? `(${timeline.duration}-T)` : 'T';
+  
+  const played = timeline.sections.map(section => {
+    const elapsed = `(clip(${time},${section.start},${section.end})-${section.start})`;
+    const slope = (section.to - section.from) / (section.end - section.start);
+    return slope === 0 ?
+      `${elapsed}/${section.from}` :
+      `log((${section.from}+(${slope})*${elapsed})/${section.from})/(${slope})`;
+  }).join('+');
+  
+  const output = timeline.reverse ? `${playForward(timeline, timeline.duration)}-(${played})` : played;
+  return `(${output})/TB`;
+}
+
+/**
+ * Build the setpts expression that adds a segment's freezes
+ *
+ * It applies to frames already played at their speeds (see buildSetptsExpression):
+ * every frame after a freeze's moment in playback order is delayed by its hold, so
+ * the frame before the gap is shown for that long.
+ *
+ * @param {object} timeline - Timeline from createTimeline
+ * @returns {string|null} - Expression for setpts with commas unescaped, or null without freezes
+ */
+function buildFreezeExpression(timeline) {
+  if (timeline.freezes.length === 0) {
+    return null;
+  }
+  
+  const total = playForward(timeline, timeline.duration);
+  const holds = timeline.freezes.map(freeze => {
+    const played = playForward(timeline, freeze.time);
+    return `${freeze.hold}*gt(T,${timeline.reverse ? total - played : played})`;
+  });
+  
+  return `(T+${holds.join('+')})/TB`;
+}
+
+/**
+ * Describe how a clip is retimed, for log output and plans
+ * @param {object} settings - Speed, freeze, reverse and interpolate as normalized options
+ * @returns {string[]} - Parts such as ['speed ramp 1x at 0s, 0.25x at 2s', '1s freeze at 2.4s', 'reversed'];
+ *   empty for normal playback
+ */
+function describeRetiming(settings) {
+  const parts = [];
+  
+  if (Array.isArray(settings.speed)) {
+    parts.push('speed ramp ' + settings.speed.map(keyframe => `${keyframe.speed}x at ${keyframe.time}s`).join(', '));
+  } else if (settings.speed !== 1) {
+    parts.push(`${settings.speed}x speed`);
+  }
+  (settings.freeze || []).forEach(freeze => parts.push(`${freeze.hold}s freeze at ${freeze.time}s`));
+  if (settings.reverse) {
+    parts.push('reversed');
+  }
+  if (settings.interpolate && settings.interpolate !== 'none') {
+    parts.push(`${settings.interpolate} interpolation`);
+  }
+  
+  return parts;
+}
+
+module.exports = {
+  parseSpeed,
+  parseFreeze,
+  createTimeline,
+  getOutputTime,
+  getSourceTime,
+  getTimelineLength,
+  buildSetptsExpression,
+  buildFreezeExpression,
+  describeRetiming
+};
@@ -0,0 +1,47 @@
+// Reading the size and frames of animated WebP files, which FFmpeg can't decode
+
+/**
+ * Read the canvas size and frames of an animated WebP file
+ *
+ * The VP8X chunk holds the canvas size, stored less one in 24 bits, and each frame is
+ * an ANMF chunk whose header gives how long it shows in milliseconds.
+ *
+ * @param {Buffer} buffer - The whole file
+ * @returns {object|null} - { width, height, frameCount, length } with length in seconds, or null
+ *   if the file isn't an animated WebP
+ */
+function readAnimatedWebp(buffer) {
+  if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WEBP') {
+    return null;
+  }
+  
+  let canvas = null;
+  let frameCount = 0;
+  let milliseconds = 0;
+  
+  // Chunks are padded to an even size
+  for (let position = 12; position + 8 <= buffer.length;) {
+    const type = buffer.toString('latin1', position, position + 4);
+    const size = buffer.readUInt32LE(position + 4);
+    const data = position + 8;
+    
+    if (type === 'VP8X' && size >= 10 && data + 10 <= buffer.length) {
+      canvas = { width: buffer.readUIntLE(data + 4, 3) + 1, height: buffer.readUIntLE(data + 7, 3) + 1 };
+    } else if (type === 'ANMF' && size >= 16 && data + 16 <= buffer.length) {
+      frameCount++;
+      milliseconds += buffer.readUIntLE(data + 12, 3);
+    }
+    
+    position = data + size + (size % 2);
+  }
+  
+  if (!canvas || frameCount === 0) {
+    return null;
+  }
+  
+  return { ...canvas, frameCount, length: milliseconds / 1000 };
+}
+
+module.exports = {
+  readAnimatedWebp
+};
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, loadManifest, createJobs } = require('../lib/batch');
+const { createReporter } = require('../video-gif-converter');
+
+/**
+ * Write a manifest to a temp directory removed after the test
+ * @param {object} t - Test context
+ * @param {string} name - File name
+ * @param {string} content - File contents
+ * @returns {string} - Path to the manifest
+ */
+function writeManifest(t, name, content) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vgif-test-'));
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  const manifestPath = path.join(tempDir, name);
+  fs.writeFileSync(manifestPath, content);
+  return manifestPath;
+}
+
+test('parseCsv splits rows and fields', () => {
+  assert.deepEqual(parseCsv('source,start\nclip.mp4,12\n'), [['source', 'start'], ['clip.mp4', '12']]);
+});
+
+test('parseCsv reads quoted fields with commas, newlines and doubled quotes', () => {
+  assert.deepEqual(parseCsv('caption\n"Hello, world"\n"two\nlines"\n"say ""hi"""'), [
+    ['caption'],
+    ['Hello, world'],
+    ['two\nlines'],
+    ['say "hi"']
+  ]);
+});
+
+test('parseCsv handles CRLF line endings, blank lines and empty fields', () => {
+  assert.deepEqual(parseCsv('a,b,c\r\n\r\n1,,3\r\nx,y,'), [['a', 'b', 'c'], ['1', '', '3'], ['x', 'y', '']]);
+});
+
+test('loadManifest reads CSV columns as options and skips empty cells', (t) => {
+  const manifestPath = writeManifest(t, 'clips.csv', 'source,start,max-size,output\nvideos/demo.mp4,12,,demo.webp\n');
+  assert.deepEqual(loadManifest(manifestPath), {
+    defaults: {},
+    concurrency: undefined,
+    clips: [{ source: 'videos/demo.mp4', start: '12', output: 'demo.webp' }]
+  });
+});
+
+test('loadManifest reads JSON arrays and objects with defaults', (t) => {
+  const clips = [{ source: 'a.mp4', start: 1 }];
+  assert.deepEqual(loadManifest(writeManifest(t, 'a.json', JSON.stringify(clips))), { defaults: {}, concurrency: undefined, clips });
+  
+  const manifest = { defaults: { width: 320 }, concurrency: 3, clips };
+  assert.deepEqual(loadManifest(writeManifest(t, 'b.json', JSON.stringify(manifest))), manifest);
+});
+
+test('loadManifest rejects missing and malformed manifests', (t) => {
+  assert.throws(() => loadManifest(path.join(os.tmpdir(), 'vgif-missing.json')), /Manifest does not exist/);
+  assert.throws(() => loadManifest(writeManifest(t, 'c.json', '{"clips": 1}')), /must be an array of clips/);
+  assert.throws(() => loadManifest(writeManifest(t, 'd.json', '{')), /Could not parse manifest/);
+});
+
+test('createJobs layers the manifest over the config file options', () => {
+  const manifest = {
+    defaults: { fps: 15 },
+    clips: [{ source: 'a.mp4' }, { source: 'b.mp4', width: 320, output: 'b' }]
+  };
+  const config = { width: 640, fps: 10, dither: 'bayer', output: 'same-name' };
+  const jobs = createJobs(manifest, '/clips', createReporter(), config);
+  
+  assert.deepEqual(jobs.map(job => job.source), [path.resolve('/clips', 'a.mp4'), path.resolve('/clips', 'b.mp4')]);
+  assert.deepEqual(jobs[0].options, { width: 640, fps: 15, dither: 'bayer' });
+  assert.deepEqual(jobs[1].options, { width: 320, fps: 15, dither: 'bayer', output: 'b' });
+});
+
+test('createJobs rejects clips without a source or with unknown options', () => {
+  assert.throws(() => createJobs({ defaults: {}, clips: [{ width: 320 }] }, '/', createReporter()), /Clip 1 has no source/);
+  assert.throws(
+    () => createJobs({ defaults: {}, clips: [{ source: 'a.mp4', colour: 8 }] }, '/', createReporter()),
+    /Clip 1 has unknown option\(s\): colour/
+  );
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeFilterValue, parseCaption, buildCaptionFilters, buildTimestampFilter, buildFrameTimeFilters } = require('../lib/captions');
+
+test('escapeFilterValue escapes for the option value and then the filtergraph', () => {
+  assert.equal(escapeFilterValue('a:b'), String.raw`a\\:b`);
+  assert.equal(escapeFilterValue("it's"), String.raw`it\\\'s`);
+  assert.equal(escapeFilterValue(String.raw`back\slash`), String.raw`back\\\\slash`);
+  assert.equal(escapeFilterValue('x[1],y;z'), String.raw`x\[1\]\,y\;z`);
+  assert.equal(escapeFilterValue('50% off'), '50% off');
+  assert.equal(escapeFilterValue(12), '12');
+});
+
+test('parseCaption reads the text and |-separated settings', () => {
+  assert.deepEqual(parseCaption(String.raw`a\|b|top|size=32|color=yellow|outline|1-3`), {
+    text: 'a|b',
+    position: 'top',
+    size: 32,
+    color: 'yellow',
+    outline: 'black',
+    start: 1,
+    end: 3
+  });
+  assert.deepEqual(parseCaption({ text: 'Hi', box: 'red' }), { text: 'Hi', position: 'bottom', box: 'red' });
+});
+
+test('parseCaption rejects unknown settings and bad values', () => {
+  assert.throws(() => parseCaption('|top'), /has no text/);
+  assert.throws(() => parseCaption('Hi|sideways'), /Unknown caption setting "sideways"/);
+  assert.throws(() => parseCaption('Hi|size=0'), /size must be a positive number/);
+  assert.throws(() => parseCaption('Hi|3-1'), /must end after it starts/);
+  assert.throws(() => parseCaption({ text: 'Hi', position: 'left' }), /position must be one of/);
+});
+
+test('buildCaptionFilters escapes the text and limits the caption to its time range', () => {
+  const [filter] = buildCaptionFilters([parseCaption('Hi: there|top|1-3|box')], 480);
+  assert.match(filter, /^drawtext=text=Hi\\\\: there:expansion=none:/);
+  assert.match(filter, /:y=15:/);
+  assert.match(filter, /:box=1:boxcolor=black@0\.5:/);
+  assert.match(filter, /:enable=between\(t\\,1\\,3\)$/);
+});
+
+test('buildCaptionFilters applies the meme style', () => {
+  const [filter] = buildCaptionFilters([parseCaption('one does not|top|meme')], 480);
+  assert.match(filter, /text=ONE DOES NOT:/);
+  assert.match(filter, /:font=Impact:borderw=\d+:bordercolor=black/);
+  assert.deepEqual(buildCaptionFilters(undefined, 480), []);
+});
+
+test('buildTimestampFilter stamps frames with their time offset into the source', () => {
+  assert.equal(
+    buildTimestampFilter(12.5, 480),
+    String.raw`drawtext=text=%{pts\\:hms\\:12.5}:fontsize=30:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=8:x=15:y=h-text_h-15`
+  );
+});
+
+test('buildFrameTimeFilters stamps each numbered frame with its own time', () => {
+  const filters = buildFrameTimeFilters([3725.0456, 1.5], 480);
+  assert.equal(filters.length, 2);
+  assert.match(filters[0], /^drawtext=text=01\\\\:02\\\\:05\.046:/);
+  assert.match(filters[0], /:enable=eq\(n\\,0\)$/);
+  assert.match(filters[1], /^drawtext=text=00\\\\:00\\\\:01\.500:.*:enable=eq\(n\\,1\)$/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProfile, describeProfile, buildCompareFilterGraph } = require('../lib/compare');
+
+test('parseProfile reads key=value pairs and objects', () => {
+  assert.deepEqual(parseProfile('colors=64, lossy = 80,'), { colors: '64', lossy: '80' });
+  assert.deepEqual(parseProfile({ dither: 'bayer', fps: 15 }), { dither: 'bayer', fps: 15 });
+});
+
+test('parseProfile rejects malformed profiles and other settings', () => {
+  assert.throws(() => parseProfile('colors'), /Invalid profile "colors"/);
+  assert.throws(() => parseProfile(''), /must set at least one of/);
+  assert.throws(() => parseProfile('width=320'), /Profile setting "width" must be one of: colors, lossy, dither, fps, palette/);
+});
+
+test('describeProfile lists the settings on two lines', () => {
+  assert.deepEqual(describeProfile({ colors: 64, lossy: 80, dither: 'bayer', fps: 15, palette: 'global' }), ['64 colors, lossy 80', 'bayer, 15 FPS']);
+  assert.deepEqual(describeProfile({ colors: 64, lossy: 80, dither: 'bayer', fps: 15, palette: 'per-scene' }), ['64 colors, lossy 80', 'bayer, 15 FPS, per-scene palettes']);
+});
+
+test('buildCompareFilterGraph stacks up to three tiles in a row and four in a grid', () => {
+  const row = buildCompareFilterGraph(['a', 'b', 'c'], 15, 240);
+  assert.equal(row.length, 4);
+  assert.match(row[0], /^\[0:v\]fps=15,drawtext=text=a:.*\[tile0\]$/);
+  assert.equal(row[3], '[tile0][tile1][tile2]hstack=inputs=3[compare]');
+  
+  const grid = buildCompareFilterGraph(['a', 'b', 'c', 'd'], 15, 240);
+  assert.deepEqual(grid.slice(4), [
+    '[tile0][tile1]hstack=inputs=2[row0]',
+    '[tile2][tile3]hstack=inputs=2[row1]',
+    '[row0][row1]vstack=inputs=2[compare]'
+  ]);
+});
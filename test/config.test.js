@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYaml, toOptionName, getPresetOptions, applyConfigOptions } = require('../lib/config');
+
+test('parseYaml reads scalars of each type', () => {
+  assert.deepEqual(parseYaml('width: 480\nlossy: 0.5\nverbose: true\nformat: webp\ncaption: ~\nstart: 1:30\n'), {
+    width: 480,
+    lossy: 0.5,
+    verbose: true,
+    format: 'webp',
+    caption: null,
+    start: '1:30'
+  });
+});
+
+test('parseYaml reads quoted strings', () => {
+  assert.deepEqual(parseYaml('a: "line\\nbreak"\nb: \'it\'\'s\'\nc: "42"'), { a: 'line\nbreak', b: 'it\'s', c: '42' });
+});
+
+test('parseYaml strips comments but keeps # inside quotes', () => {
+  assert.deepEqual(parseYaml('# header\ncaption: "a # b" # note\ntext: \'#1\'\nwidth: 320 # px'), {
+    caption: 'a # b',
+    text: '#1',
+    width: 320
+  });
+});
+
+test('parseYaml only treats quotes at the start of a value as quoting', () => {
+  assert.deepEqual(parseYaml('caption: It\'s late # note'), { caption: 'It\'s late' });
+});
+
+test('parseYaml reads inline and block lists', () => {
+  assert.deepEqual(parseYaml('strategy: [single-pass, cli]\nclips:\n  - 1-2\n  - "3+4"\n'), {
+    strategy: ['single-pass', 'cli'],
+    clips: ['1-2', '3+4']
+  });
+});
+
+test('parseYaml keeps quoted commas in inline lists', () => {
+  assert.deepEqual(parseYaml('captions: ["Hello, world", \'a,b\', 3]'), { captions: ['Hello, world', 'a,b', 3] });
+});
+
+test('parseYaml treats a key without value or items as empty', () => {
+  assert.deepEqual(parseYaml('caption:\nwidth: 320'), { caption: null, width: 320 });
+});
+
+test('parseYaml ignores a BOM, document markers and CRLF line endings', () => {
+  assert.deepEqual(parseYaml('\uFEFF---\r\nwidth: 320\r\nfps: 12\r\n'), { width: 320, fps: 12 });
+});
+
+test('parseYaml rejects YAML outside the supported subset', () => {
+  assert.throws(() => parseYaml('width:480'), /Unsupported YAML on line 1/);
+  assert.throws(() => parseYaml('encode:\n  width: 480'), /Unsupported YAML on line 2/);
+  assert.throws(() => parseYaml('- orphan item'), /Unsupported YAML on line 1/);
+});
+
+test('toOptionName converts kebab and snake case to camelCase', () => {
+  assert.equal(toOptionName('max-size'), 'maxSize');
+  assert.equal(toOptionName('webp_quality'), 'webpQuality');
+  assert.equal(toOptionName('width'), 'width');
+});
+
+test('getPresetOptions rejects unknown presets', () => {
+  assert.throws(() => getPresetOptions('no-such-preset'), /Preset must be one of/);
+});
+
+test('applyConfigOptions lets options override the config', () => {
+  assert.deepEqual(applyConfigOptions({ fps: 12, dither: 'bayer' }, { fps: 20 }), { fps: 20, dither: 'bayer' });
+});
+
+test('applyConfigOptions drops config settings covered by a preset in the options', () => {
+  assert.deepEqual(
+    applyConfigOptions({ width: 320, fps: 12, dither: 'bayer' }, { preset: 'slack' }),
+    { dither: 'bayer', preset: 'slack' }
+  );
+});
+
+test('applyConfigOptions skips ignored config options', () => {
+  assert.deepEqual(applyConfigOptions({ output: 'out', fps: 12 }, {}, ['output']), { fps: 12 });
+});
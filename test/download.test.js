@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { EventEmitter } = require('events');
+const converter = require('../video-gif-converter');
+const { FIXTURE_PATH, startStandIn, getFixtureInfo } = require('./stand-in');
+
+const hasFfmpeg = (() => {
+  try {
+    execFileSync('ffprobe', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+const OPTIONS = { quality: 'auto', width: 96, cache: false, threads: 1 };
+
+test('YouTube segment downloads', { skip: !hasFfmpeg && 'needs FFmpeg' }, async (t) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vgif-test-'));
+  const warnings = [];
+  const events = new EventEmitter();
+  events.on('warning', ({ message }) => warnings.push(message));
+  const reporter = converter.createReporter(events);
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  
+  // The segment cut from the whole fixture, which every download should match
+  const expectedPath = path.join(tempDir, 'expected.mp4');
+  await converter.extractSegment(FIXTURE_PATH, 4, 2, expectedPath, OPTIONS, reporter);
+  const expected = fs.readFileSync(expectedPath);
+  
+  await t.test('fetches only the fragments covering the segment', async () => {
+    const standIn = await startStandIn();
+    try {
+      const outputPath = path.join(tempDir, 'partial.mp4');
+      await converter.downloadVideoSegment('fixture', getFixtureInfo(standIn.url), 4, 2, outputPath, OPTIONS, reporter);
+      
+      // The header and index, then the fragments from 3s to 7s with the one-second margin
+      assert.equal(standIn.requests.length, 2);
+      assert.equal(standIn.requests[0], '0-928');
+      const [first, last] = standIn.requests[1].split('-').map(Number);
+      assert.ok(last - first + 1 < fs.statSync(FIXTURE_PATH).size / 2);
+      assert.deepEqual(fs.readFileSync(outputPath), expected);
+      assert.deepEqual(warnings, []);
+      assert.equal(fs.existsSync(`${outputPath}.part.mp4`), false);
+    } finally {
+      await standIn.close();
+    }
+  });
+  
+  await t.test('falls back to the full download when the server ignores Range', async () => {
+    const standIn = await startStandIn({ ranges: false });
+    warnings.length = 0;
+    try {
+      const outputPath = path.join(tempDir, 'full.mp4');
+      await converter.downloadVideoSegment('fixture', getFixtureInfo(standIn.url), 4, 2, outputPath, OPTIONS, reporter);
+      
+      // One refused range request, then ytdl-core's download of the whole format
+      assert.deepEqual(standIn.requests, ['full', 'full']);
+      assert.match(warnings[0], /Partial download failed \(Server does not support range requests\)/);
+      assert.deepEqual(fs.readFileSync(outputPath), expected);
+      assert.equal(fs.existsSync(`${outputPath}.full.mp4`), false);
+    } finally {
+      await standIn.close();
+    }
+  });
+  
+  await t.test('rejects a segment past the end of the index', async () => {
+    const standIn = await startStandIn();
+    try {
+      const format = getFixtureInfo(standIn.url).formats[0];
+      await assert.rejects(
+        converter.downloadPartialVideo(format, 12, 2, path.join(tempDir, 'late.mp4'), OPTIONS, reporter),
+        /The segment starts after the end of the video's index \(00:10\.000\)/
+      );
+      assert.deepEqual(standIn.requests, ['0-928']);
+    } finally {
+      await standIn.close();
+    }
+  });
+});
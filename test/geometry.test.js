@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCrop, parseAspect, parseAnchor, buildCropFilters, parseCropdetect } = require('../lib/geometry');
+
+test('parseCrop reads WxH with an optional offset', () => {
+  assert.deepEqual(parseCrop('640x360+0+60'), { width: 640, height: 360, x: 0, y: 60 });
+  assert.deepEqual(parseCrop(' 640X360 '), { width: 640, height: 360, x: null, y: null });
+  assert.throws(() => parseCrop('640x360+10'), /Invalid crop "640x360\+10"/);
+  assert.throws(() => parseCrop('0x360'), /must be positive/);
+});
+
+test('parseAspect reads W:H, W/H and WxH ratios', () => {
+  assert.equal(parseAspect('16:9'), 16 / 9);
+  assert.equal(parseAspect('4/5'), 0.8);
+  assert.equal(parseAspect('2.39x1'), 2.39);
+  assert.throws(() => parseAspect('16:0'), /Invalid aspect ratio/);
+  assert.throws(() => parseAspect('wide'), /Invalid aspect ratio "wide"/);
+});
+
+test('parseAnchor reads names and fractions', () => {
+  assert.deepEqual(parseAnchor('Top-Left'), [0, 0]);
+  assert.deepEqual(parseAnchor('0.5,0.25'), [0.5, 0.25]);
+  assert.throws(() => parseAnchor('middle'), /Anchor must be one of/);
+  assert.throws(() => parseAnchor('0.5,1.5'), /Anchor must be one of/);
+});
+
+test('buildCropFilters crops the rectangle, then the aspect ratio at the anchor', () => {
+  assert.deepEqual(buildCropFilters(null, null), []);
+  assert.deepEqual(buildCropFilters({ width: 640, height: 360, x: 0, y: 60 }, null), ['crop=640:360:0:60']);
+  assert.deepEqual(buildCropFilters({ width: 640, height: 360, x: null, y: null }, 9 / 16, parseAnchor('top')), [
+    'crop=640:360:(iw-ow)/2:(ih-oh)/2',
+    String.raw`crop=w=min(iw\,ih*0.5625):h=min(ih\,iw/0.5625):x=(iw-ow)*0.5:y=(ih-oh)*0`
+  ]);
+});
+
+test('parseCropdetect picks the most frequent suggestion', () => {
+  const output = [
+    '[Parsed_cropdetect_0] x1:0 x2:639 crop=640:272:0:44',
+    '[Parsed_cropdetect_0] x1:0 x2:639 crop=640:352:0:4',
+    '[Parsed_cropdetect_0] x1:0 x2:639 crop=640:272:0:44'
+  ].join('\n');
+  assert.deepEqual(parseCropdetect(output), { width: 640, height: 272, x: 0, y: 44 });
+  assert.equal(parseCropdetect('no suggestions'), null);
+  assert.equal(parseCropdetect('crop=0:0:0:0'), null);
+});
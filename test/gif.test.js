@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { countGifPalettes } = require('../lib/gif');
+
+/**
+ * Build a minimal 1x1 GIF
+ * @param {number[][]|null} globalTable - Two RGB colors, or null for no global table
+ * @param {Array<number[][]|null>} frames - Each frame's local table (two RGB colors) or null
+ * @returns {Buffer} - GIF file contents
+ */
+function buildGif(globalTable, frames) {
+  const bytes = [...Buffer.from('GIF89a'), 1, 0, 1, 0, globalTable ? 0x80 : 0, 0, 0];
+  if (globalTable) {
+    bytes.push(...globalTable.flat());
+  }
+  
+  // A NETSCAPE looping extension, which must be skipped
+  bytes.push(0x21, 0xFF, 11, ...Buffer.from('NETSCAPE2.0'), 3, 1, 0, 0, 0);
+  
+  frames.forEach(localTable => {
+    // Graphic control extension, then the image descriptor
+    bytes.push(0x21, 0xF9, 4, 0, 10, 0, 0, 0);
+    bytes.push(0x2C, 0, 0, 0, 0, 1, 0, 1, 0, localTable ? 0x80 : 0);
+    if (localTable) {
+      bytes.push(...localTable.flat());
+    }
+    // LZW minimum code size and one data sub-block
+    bytes.push(2, 2, 0x4C, 0x01, 0);
+  });
+  
+  bytes.push(0x3B);
+  return Buffer.from(bytes);
+}
+
+const BLACK_WHITE = [[0, 0, 0], [255, 255, 255]];
+const RED_BLUE = [[255, 0, 0], [0, 0, 255]];
+
+test('countGifPalettes counts a global palette once', () => {
+  assert.deepEqual(countGifPalettes(buildGif(BLACK_WHITE, [null, null, null])), { frames: 3, palettes: 1 });
+});
+
+test('countGifPalettes counts distinct local palettes alongside the global one', () => {
+  assert.deepEqual(countGifPalettes(buildGif(BLACK_WHITE, [null, RED_BLUE, RED_BLUE])), { frames: 3, palettes: 2 });
+  assert.deepEqual(countGifPalettes(buildGif(null, [BLACK_WHITE, RED_BLUE])), { frames: 2, palettes: 2 });
+});
+
+test('countGifPalettes treats a local copy of the global palette as the same palette', () => {
+  assert.deepEqual(countGifPalettes(buildGif(BLACK_WHITE, [null, BLACK_WHITE])), { frames: 2, palettes: 1 });
+});
+
+test('countGifPalettes rejects other files', () => {
+  assert.throws(() => countGifPalettes(Buffer.from('\x89PNG\r\n\x1a\n0000000')), /Not a GIF file/);
+  assert.throws(() => countGifPalettes(Buffer.from('GIF89a')), /Not a GIF file/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { nextSizeAdjustment, nextQualityAdjustment, encodeWithinMaxSize, createReporter } = require('../video-gif-converter');
+
+const LIMITS = { format: 'gif', sizePriority: ['lossy', 'colors', 'fps', 'width'], minWidth: 160, minFps: 8, minColors: 32 };
+const SETTINGS = { width: 480, fps: 30, colors: 256, lossy: 0 };
+
+test('nextSizeAdjustment reduces settings in priority order down to their floors', () => {
+  assert.deepEqual(nextSizeAdjustment(SETTINGS, 1.5, LIMITS, true), { setting: 'lossy', from: 0, to: 30 });
+  assert.deepEqual(nextSizeAdjustment(SETTINGS, 1.5, LIMITS, false), { setting: 'colors', from: 256, to: 128 });
+  assert.deepEqual(nextSizeAdjustment({ ...SETTINGS, colors: 32 }, 1.5, LIMITS, false), { setting: 'fps', from: 30, to: 19 });
+  assert.deepEqual(nextSizeAdjustment({ ...SETTINGS, colors: 32, fps: 8 }, 3, LIMITS, false), { setting: 'width', from: 480, to: 270 });
+  assert.equal(nextSizeAdjustment({ width: 160, fps: 8, colors: 32, lossy: 0 }, 3, LIMITS, false), null);
+});
+
+test('nextSizeAdjustment follows --size-priority', () => {
+  const adjustment = nextSizeAdjustment(SETTINGS, 1.5, { ...LIMITS, sizePriority: ['width', 'fps'] }, true);
+  assert.equal(adjustment.setting, 'width');
+  assert.ok(adjustment.to % 2 === 0 && adjustment.to < 480);
+});
+
+test('nextSizeAdjustment lowers the quality setting of other formats instead of lossy and colors', () => {
+  const webp = { ...LIMITS, format: 'webp' };
+  assert.deepEqual(nextSizeAdjustment({ width: 480, fps: 30, webpQuality: 75 }, 1.5, webp, true), { setting: 'webpQuality', from: 75, to: 60 });
+  assert.deepEqual(nextSizeAdjustment({ width: 480, fps: 30, crf: 23 }, 3, { ...LIMITS, format: 'mp4' }, true), { setting: 'crf', from: 23, to: 31 });
+  assert.deepEqual(nextSizeAdjustment({ width: 480, fps: 30 }, 1.5, { ...LIMITS, format: 'apng' }, true), { setting: 'fps', from: 30, to: 19 });
+});
+
+test('nextQualityAdjustment halves lossy, then doubles the colors', () => {
+  assert.deepEqual(nextQualityAdjustment({ ...SETTINGS, lossy: 80 }), { setting: 'lossy', from: 80, to: 40 });
+  assert.deepEqual(nextQualityAdjustment({ ...SETTINGS, lossy: 15, colors: 64 }), { setting: 'lossy', from: 15, to: 0 });
+  assert.deepEqual(nextQualityAdjustment({ ...SETTINGS, colors: 64 }), { setting: 'colors', from: 64, to: 128 });
+  assert.deepEqual(nextQualityAdjustment({ ...SETTINGS, colors: 100 }), { setting: 'colors', from: 100, to: 128 });
+  assert.equal(nextQualityAdjustment(SETTINGS), null);
+});
+
+test('encodeWithinMaxSize re-encodes until the output fits', async (t) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vgif-test-'));
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  const outputPath = path.join(tempDir, 'out.gif');
+  const logs = [];
+  const events = new EventEmitter();
+  events.on('log', ({ message }) => logs.push(message));
+  events.on('warning', ({ message }) => logs.push(message));
+  
+  // A stand-in encoder whose output grows with the width, 1000 bytes under the limit at 100px
+  const encode = (options) => async () => {
+    fs.writeFileSync(outputPath, Buffer.alloc(options.width * 10));
+    return { strategy: 'single-pass', palettes: 1 };
+  };
+  
+  await t.test('shrinks the width step by step', async () => {
+    const options = { ...SETTINGS, ...LIMITS, sizePriority: ['width'], minWidth: 60, maxSize: 1000 / (1024 * 1024) };
+    const result = await encodeWithinMaxSize(encode(options), outputPath, options, createReporter(events));
+    
+    assert.equal(result.fits, true);
+    assert.ok(result.size <= 1000);
+    assert.equal(result.settings.width, options.width);
+    assert.equal(result.strategy, 'single-pass');
+    const widths = result.attempts.map(attempt => attempt.width);
+    assert.equal(widths[0], 480);
+    assert.ok(widths.every((width, i) => i === 0 || width < widths[i - 1]));
+    assert.deepEqual(result.attempts.map(attempt => attempt.fits), widths.map((width, i) => i === widths.length - 1));
+  });
+  
+  await t.test('stops at the floor and warns', async () => {
+    logs.length = 0;
+    const options = { ...SETTINGS, ...LIMITS, sizePriority: ['width'], minWidth: 400, maxSize: 1000 / (1024 * 1024) };
+    const result = await encodeWithinMaxSize(encode(options), outputPath, options, createReporter(events));
+    
+    assert.equal(result.fits, false);
+    assert.deepEqual(result.attempts.map(attempt => attempt.width), [480, 400]);
+    assert.ok(logs.some(message => /Could not reduce the output below/.test(message)));
+  });
+  
+  await t.test('restores quality until the SSIM reaches --min-ssim', async () => {
+    const options = { ...SETTINGS, ...LIMITS, lossy: 80, colors: 64, minSsim: 0.95, maxSize: 1 };
+    // SSIM improves once lossy is 20 or less and the palette has 128 colors
+    const result = await encodeWithinMaxSize(async () => {
+      fs.writeFileSync(outputPath, Buffer.alloc(100));
+      return { strategy: 'single-pass', palettes: 1, quality: { ssim: options.lossy <= 20 && options.colors >= 128 ? 0.97 : 0.9, psnr: 30 } };
+    }, outputPath, options, createReporter(events));
+    
+    assert.equal(result.quality.ssim, 0.97);
+    assert.deepEqual(result.attempts.map(attempt => [attempt.lossy, attempt.colors]), [[80, 64], [40, 64], [20, 64], [10, 64], [0, 64], [0, 128]]);
+  });
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSsim, parsePsnr } = require('../lib/metrics');
+
+const SSIM_LOG = [
+  'frame=   30 fps=0.0 q=-0.0 Lsize=N/A time=00:00:01.00 bitrate=N/A speed=8.1x',
+  '[Parsed_ssim_4 @ 0x5581c1e0] SSIM Y:0.962181 (14.221917) U:0.981335 (17.289553) V:0.979024 (16.781240) All:0.969407 (15.142345)'
+].join('\n');
+
+const PSNR_LOG = '[Parsed_psnr_4 @ 0x5581c1e0] PSNR y:31.271545 u:38.810227 v:38.017164 average:32.690812 min:30.127419 max:35.884713';
+
+test('parseSsim reads the overall SSIM', () => {
+  assert.equal(parseSsim(SSIM_LOG), 0.969407);
+  assert.equal(parseSsim(PSNR_LOG), null);
+});
+
+test('parsePsnr reads the average PSNR', () => {
+  assert.equal(parsePsnr(PSNR_LOG), 32.690812);
+  assert.equal(parsePsnr(PSNR_LOG.replace('average:32.690812', 'average:inf')), Infinity);
+  assert.equal(parsePsnr(SSIM_LOG), null);
+});
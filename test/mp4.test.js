@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { parseSegmentIndex, getFragmentRange } = require('../lib/mp4');
+const { FIXTURE_PATH, FIXTURE_INDEX_RANGE } = require('./stand-in');
+
+/**
+ * Build a sidx box
+ * @param {number} version - 0 or 1
+ * @param {number[][]} references - [size, duration, keyframe, nested] for each fragment
+ * @returns {Buffer} - Box data
+ */
+function buildSidx(version, references) {
+  const header = Buffer.alloc(version === 0 ? 32 : 40);
+  header.write('sidx', 4, 'latin1');
+  header[8] = version;
+  header.writeUInt32BE(1000, 16); // timescale
+  if (version === 0) {
+    header.writeUInt32BE(500, 20); // earliest presentation time
+    header.writeUInt32BE(10, 24); // first offset
+  } else {
+    header.writeBigUInt64BE(500n, 20);
+    header.writeBigUInt64BE(10n, 28);
+  }
+  header.writeUInt16BE(references.length, header.length - 2);
+  
+  const body = Buffer.alloc(references.length * 12);
+  references.forEach(([size, duration, keyframe, nested], i) => {
+    body.writeUInt32BE(((nested ? 0x80000000 : 0) | size) >>> 0, i * 12);
+    body.writeUInt32BE(duration, i * 12 + 4);
+    body.writeUInt32BE(keyframe ? 0x90000000 : 0, i * 12 + 8);
+  });
+  
+  const box = Buffer.concat([header, body]);
+  box.writeUInt32BE(box.length, 0);
+  return box;
+}
+
+test('parseSegmentIndex reads the fragments of the fixture', () => {
+  const file = fs.readFileSync(FIXTURE_PATH);
+  const fragments = parseSegmentIndex(file.subarray(0, parseInt(FIXTURE_INDEX_RANGE.end) + 1), parseInt(FIXTURE_INDEX_RANGE.start));
+  
+  assert.equal(fragments.length, 10);
+  assert.equal(fragments[0].offset, parseInt(FIXTURE_INDEX_RANGE.end) + 1);
+  fragments.forEach((fragment, i) => {
+    assert.equal(fragment.keyframe, true);
+    assert.ok(Math.abs(fragment.duration - 1) < 1e-9);
+    if (i > 0) {
+      assert.equal(fragment.offset, fragments[i - 1].offset + fragments[i - 1].size);
+    }
+  });
+  
+  // Only the fragment random access (mfra) box follows the last fragment
+  const last = fragments[fragments.length - 1];
+  assert.equal(file.toString('latin1', last.offset + last.size + 4, last.offset + last.size + 8), 'mfra');
+  // Each fragment's moof box starts where the index says
+  assert.equal(file.toString('latin1', fragments[3].offset + 4, fragments[3].offset + 8), 'moof');
+});
+
+test('parseSegmentIndex reads version 0 and 1 boxes at an offset', () => {
+  for (const version of [0, 1]) {
+    const box = buildSidx(version, [[100, 2000, true], [200, 1500, false]]);
+    const fragments = parseSegmentIndex(Buffer.concat([Buffer.alloc(50), box]), 50);
+    
+    assert.deepEqual(fragments, [
+      { offset: 50 + box.length + 10, size: 100, start: 0.5, duration: 2, keyframe: true },
+      { offset: 50 + box.length + 110, size: 200, start: 2.5, duration: 1.5, keyframe: false }
+    ]);
+  }
+});
+
+test('parseSegmentIndex rejects missing, cut short and nested indexes', () => {
+  assert.throws(() => parseSegmentIndex(Buffer.alloc(64), 0), /No segment index/);
+  assert.throws(() => parseSegmentIndex(buildSidx(0, [[100, 1000, true]]).subarray(0, 40), 0), /cut short/);
+  assert.throws(() => parseSegmentIndex(buildSidx(0, [[100, 1000, true, true]]), 0), /Nested segment indexes/);
+});
+
+test('getFragmentRange covers the range from the keyframe before it', () => {
+  const fragments = [
+    { offset: 0, size: 10, start: 0, duration: 1, keyframe: true },
+    { offset: 10, size: 10, start: 1, duration: 1, keyframe: true },
+    { offset: 20, size: 10, start: 2, duration: 1, keyframe: false },
+    { offset: 30, size: 10, start: 3, duration: 1, keyframe: true },
+    { offset: 40, size: 10, start: 4, duration: 1, keyframe: true }
+  ];
+  
+  assert.deepEqual(getFragmentRange(fragments, 3.5, 4), { first: 30, last: 39, start: 3, end: 4 });
+  assert.deepEqual(getFragmentRange(fragments, 2.5, 3.2), { first: 10, last: 39, start: 1, end: 4 });
+  assert.deepEqual(getFragmentRange(fragments, -1, 9), { first: 0, last: 49, start: 0, end: 5 });
+  assert.equal(getFragmentRange(fragments, 5, 6), null);
+});
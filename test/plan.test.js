@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { quoteShellArg, formatPlanScript } = require('../lib/plan');
+
+test('quoteShellArg leaves safe arguments bare', () => {
+  assert.equal(quoteShellArg('clip.mp4'), 'clip.mp4');
+  assert.equal(quoteShellArg('fps=15,scale=480:-1'), 'fps=15,scale=480:-1');
+  assert.equal(quoteShellArg(30), '30');
+});
+
+test('quoteShellArg single-quotes other arguments', () => {
+  assert.equal(quoteShellArg(''), '\'\'');
+  assert.equal(quoteShellArg('my clip.mp4'), '\'my clip.mp4\'');
+  assert.equal(quoteShellArg('it\'s $HOME'), String.raw`'it'\''s $HOME'`);
+});
+
+test('quoteShellArg keeps $WORK expandable and escapes the rest', () => {
+  assert.equal(quoteShellArg('$WORK/part.mp4'), '"$WORK/part.mp4"');
+  assert.equal(quoteShellArg('$WORK/a "b" $c`d`.mp4'), String.raw`"$WORK/a \"b\" \$c\`d\`.mp4"`);
+});
+
+test('formatPlanScript writes analysis steps as comments and alternatives with ||', () => {
+  const script = formatPlanScript({
+    outputs: [{ path: 'out.gif' }],
+    notes: ['Start and duration are assumed.'],
+    steps: [
+      { title: 'Probe the source', analysis: true, commands: [['ffprobe', 'in.mp4']] },
+      {
+        title: 'Encode',
+        note: 'Uses the palette',
+        commands: [['ffmpeg', '-i', 'in.mp4', '$WORK/a.gif']],
+        alternatives: [{ name: 'the basic method', commands: [['ffmpeg', '-i', 'in.mp4', 'b.gif'], ['mv', 'b.gif', 'out.gif']] }]
+      }
+    ]
+  });
+  
+  assert.equal(script, [
+    '#!/bin/sh',
+    '# Generated by vgif --print-script for out.gif',
+    '# Start and duration are assumed.',
+    'set -e',
+    '',
+    'WORK="$(mktemp -d)"',
+    'trap \'rm -rf "$WORK"\' EXIT',
+    '',
+    '# 1. Probe the source',
+    '# ffprobe in.mp4',
+    '',
+    '# 2. Encode',
+    '# Uses the palette',
+    'ffmpeg -i in.mp4 "$WORK/a.gif" ||',
+    '  { ffmpeg -i in.mp4 b.gif && mv b.gif out.gif; }',
+    ''
+  ].join('\n'));
+});
+
+test('formatPlanScript here-documents expand $WORK and nothing else', () => {
+  const content = 'file \'$WORK/a.mp4\'\nprice $5 `date` \\n\n';
+  const script = formatPlanScript({
+    outputs: [{ path: 'out.gif' }],
+    notes: [],
+    steps: [
+      { title: 'Write the list', file: { path: '$WORK/list.txt', content } },
+      { title: 'Show it', commands: [['cat', '$WORK/list.txt']] }
+    ]
+  });
+  
+  assert.match(script, /^cat > "\$WORK\/list\.txt" <<VGIF_EOF\nfile '\$WORK\/a\.mp4'\nprice \\\$5 \\`date\\` \\\\n\nVGIF_EOF$/m);
+  
+  const output = execFileSync('sh', { input: script, encoding: 'utf8' });
+  assert.match(output, /^file '\/.+\/a\.mp4'\nprice \$5 `date` \\n\n$/);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createJobServer, parseJobOptions } = require('../lib/server');
+
+const VIDEO_ID = 'AAAAAAAAAAA';
+
+/**
+ * Start a video server that sends the first bytes of every request and then stalls,
+ * like a download in progress
+ * @returns {Promise<object>} - { url, requests, closed, close() } where requests and closed
+ *   count the requests received and the ones whose connection has gone
+ */
+function startStallingServer() {
+  const state = { requests: 0, closed: 0 };
+  const server = http.createServer((req, res) => {
+    state.requests++;
+    req.on('close', () => state.closed++);
+    res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': 10 * 1024 * 1024 });
+    res.write(Buffer.alloc(1024));
+  });
+  
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(Object.assign(state, {
+      url: `http://127.0.0.1:${server.address().port}/videoplayback`,
+      close: () => {
+        server.closeAllConnections();
+        return new Promise(done => server.close(done));
+      }
+    })));
+  });
+}
+
+/**
+ * Write cached video info whose only format is served by the stalling server
+ * @param {string} cacheDir - Cache directory for the jobs
+ * @param {string} url - Stalling server URL
+ */
+function cacheVideoInfo(cacheDir, url) {
+  fs.mkdirSync(path.join(cacheDir, 'info'), { recursive: true });
+  fs.writeFileSync(path.join(cacheDir, 'info', `${VIDEO_ID}.json`), JSON.stringify({
+    full: true,
+    videoDetails: { videoId: VIDEO_ID, title: 'Stalling', lengthSeconds: '60' },
+    formats: [{
+      itag: 18,
+      url,
+      mimeType: 'video/mp4; codecs="avc1.42001E, mp4a.40.2"',
+      container: 'mp4',
+      qualityLabel: '360p',
+      width: 640,
+      height: 360,
+      hasVideo: true,
+      hasAudio: true,
+      contentLength: String(10 * 1024 * 1024)
+    }]
+  }));
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Async function returning true when done
+ * @param {number} [timeout=10000] - Milliseconds to wait
+ */
+async function waitFor(condition, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('parseJobOptions layers the body over the config file options', () => {
+  const config = { fps: 12, dither: 'bayer', output: 'same-name' };
+  assert.deepEqual(
+    parseJobOptions({ input: 'a.mp4', 'max-size': 2, fps: 20 }, config),
+    { fps: 20, dither: 'bayer', input: 'a.mp4', maxSize: 2 }
+  );
+  assert.throws(() => parseJobOptions({ input: 'a.mp4' }, { scenes: 'split' }), /--scenes split writes several outputs/);
+});
+
+test('job server', async (t) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vgif-test-'));
+  const video = await startStallingServer();
+  cacheVideoInfo(tempDir, video.url);
+  
+  const jobServer = createJobServer({ concurrency: 2 });
+  const address = await jobServer.listen(0, '127.0.0.1');
+  const base = `http://127.0.0.1:${address.port}`;
+  let closing = null;
+  t.after(async () => {
+    // Ending the stalled downloads first lets close() finish even if cancelling failed
+    await video.close();
+    await (closing || jobServer.close());
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const request = async (method, pathname, body) => {
+    const res = await fetch(base + pathname, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const submit = () => request('POST', '/jobs', {
+    url: `https://www.youtube.com/watch?v=${VIDEO_ID}`,
+    'cache-dir': tempDir,
+    duration: 2
+  });
+  
+  await t.test('lists no jobs at first', async () => {
+    assert.deepEqual(await request('GET', '/jobs'), { status: 200, body: { jobs: [] } });
+  });
+  
+  await t.test('answers 404 for unknown paths and jobs', async () => {
+    assert.equal((await request('GET', '/')).status, 404);
+    assert.equal((await request('GET', '/jobs/x/result/more')).status, 404);
+    assert.equal((await request('GET', '/jobs/x/status')).status, 404);
+    assert.deepEqual(await request('GET', '/jobs/missing'), { status: 404, body: { error: 'No job with id missing' } });
+  });
+  
+  await t.test('answers 405 for other methods', async () => {
+    assert.deepEqual(await request('PUT', '/jobs'), { status: 405, body: { error: 'PUT is not allowed on /jobs' } });
+  });
+  
+  await t.test('rejects invalid job bodies', async () => {
+    assert.match((await request('POST', '/jobs', '{')).body.error, /^Invalid JSON body/);
+    assert.match((await request('POST', '/jobs', '[1]')).body.error, /must be a JSON object/);
+    assert.deepEqual(await request('POST', '/jobs', { input: 'a.mp4', colour: 'red' }),
+      { status: 400, body: { error: 'Unknown option(s): colour' } });
+    assert.deepEqual(await request('POST', '/jobs', { input: 'a.mp4', output: 'b.gif' }),
+      { status: 400, body: { error: 'Option(s) not available for server jobs: output' } });
+  });
+  
+  await t.test('answers 413 for a body over the limit', async () => {
+    const response = await request('POST', '/jobs', JSON.stringify({ caption: 'x'.repeat(2 * 1024 * 1024) }));
+    assert.deepEqual(response, { status: 413, body: { error: 'Request body is too large' } });
+  });
+  
+  await t.test('queues a job and reports it while it runs', async () => {
+    const { status, body } = await submit();
+    assert.equal(status, 202);
+    assert.equal(body.source, `https://www.youtube.com/watch?v=${VIDEO_ID}`);
+    
+    await waitFor(() => video.requests === 1);
+    const job = await request('GET', `/jobs/${body.id}`);
+    assert.equal(job.body.status, 'running');
+    assert.deepEqual(await request('GET', `/jobs/${body.id}/result`), {
+      status: 409,
+      body: { error: 'Job is running', job: job.body }
+    });
+    assert.equal((await request('PATCH', `/jobs/${body.id}`)).status, 405);
+    
+    // Cancelling stops the download and forgets the job
+    const cancelled = await request('DELETE', `/jobs/${body.id}`);
+    assert.equal(cancelled.body.status, 'cancelled');
+    await waitFor(() => video.closed === 1);
+    assert.equal((await request('GET', `/jobs/${body.id}`)).status, 404);
+  });
+  
+  await t.test('close stops a running download promptly', async () => {
+    await submit();
+    await waitFor(() => video.requests === 2);
+    
+    closing = jobServer.close();
+    const timeout = new Promise(resolve => setTimeout(resolve, 5000, 'timed out').unref());
+    assert.equal(await Promise.race([closing.then(() => 'closed'), timeout]), 'closed');
+    await waitFor(() => video.closed === 2, 1000);
+  });
+});
@@ -0,0 +1,89 @@
+// Local HTTP stand-in for YouTube's video servers, serving fixture formats
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// 10s of testsrc at 96x64 and 30 FPS as fragmented MP4 with one keyframe per second and a
+// segment index, like YouTube's adaptive formats:
+// ffmpeg -f lavfi -i testsrc=size=96x64:rate=30:duration=10 -c:v libx264 -preset veryfast -crf 35
+//   -g 30 -keyint_min 30 -sc_threshold 0 -pix_fmt yuv420p
+//   -movflags frag_keyframe+empty_moov+global_sidx+default_base_moof fragmented.mp4
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'fragmented.mp4');
+const FIXTURE_INIT_RANGE = { start: '0', end: '768' };
+const FIXTURE_INDEX_RANGE = { start: '769', end: '928' };
+
+/**
+ * Start a server for the fixture
+ * @param {object} [serverOptions] - { ranges }: with ranges false the server ignores Range
+ *   headers and always answers 200 with the whole file
+ * @returns {Promise<object>} - { url, requests, close() } where requests lists the ranges
+ *   served, as "first-last" or "full"
+ */
+function startStandIn(serverOptions = {}) {
+  const ranges = serverOptions.ranges !== false;
+  const file = fs.readFileSync(FIXTURE_PATH);
+  const requests = [];
+  
+  const server = http.createServer((req, res) => {
+    const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (!ranges || !match) {
+      requests.push('full');
+      res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': file.length });
+      res.end(file);
+      return;
+    }
+    
+    const first = parseInt(match[1]);
+    const last = Math.min(match[2] === '' ? Infinity : parseInt(match[2]), file.length - 1);
+    requests.push(`${first}-${last}`);
+    res.writeHead(206, {
+      'Content-Type': 'video/mp4',
+      'Content-Range': `bytes ${first}-${last}/${file.length}`,
+      'Content-Length': last - first + 1
+    });
+    res.end(file.subarray(first, last + 1));
+  });
+  
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/videoplayback`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+/**
+ * Build ytdl-core video info for the fixture, as ytdl.getInfo returns it
+ * @param {string} url - Stand-in URL
+ * @returns {object} - Video info with one video-only MP4 format
+ */
+function getFixtureInfo(url) {
+  return {
+    full: true,
+    videoDetails: { title: 'Fixture', lengthSeconds: '10' },
+    formats: [{
+      itag: 160,
+      url,
+      mimeType: 'video/mp4; codecs="avc1.4d400c"',
+      container: 'mp4',
+      qualityLabel: '144p',
+      width: 96,
+      height: 64,
+      fps: 30,
+      hasVideo: true,
+      hasAudio: false,
+      contentLength: String(fs.statSync(FIXTURE_PATH).size),
+      initRange: FIXTURE_INIT_RANGE,
+      indexRange: FIXTURE_INDEX_RANGE
+    }]
+  };
+}
+
+module.exports = {
+  FIXTURE_PATH,
+  FIXTURE_INDEX_RANGE,
+  startStandIn,
+  getFixtureInfo
+};
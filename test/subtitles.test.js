@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSubtitles, retimeCues, formatSrt, selectCaptionTrack } = require('../lib/subtitles');
+
+test('parseSubtitles reads SRT cues in time order', () => {
+  const srt = '\uFEFF2\r\n00:00:04,000 --> 00:00:05,500\r\nSecond\r\n\r\n1\r\n00:00:01,000 --> 00:00:02,250\r\n<font color="red">First</font> &amp; <i>more</i>\r\nline two\r\n';
+  assert.deepEqual(parseSubtitles(srt), [
+    { start: 1, end: 2.25, text: 'First & <i>more</i>\nline two' },
+    { start: 4, end: 5.5, text: 'Second' }
+  ]);
+});
+
+test('parseSubtitles reads WebVTT with cue settings and skips header blocks', () => {
+  const vtt = 'WEBVTT\nKind: captions\n\nNOTE a comment\n\n01:02.500 --> 01:04.000 align:start position:0%\nHello\n';
+  assert.deepEqual(parseSubtitles(vtt), [{ start: 62.5, end: 64, text: 'Hello' }]);
+});
+
+test('parseSubtitles drops the repeated lines and blips of rolling YouTube captions', () => {
+  const vtt = [
+    'WEBVTT',
+    '00:00:01.000 --> 00:00:02.000\nhello there',
+    '00:00:02.000 --> 00:00:02.010\nhello there',
+    '00:00:02.010 --> 00:00:03.000\nhello there\ngeneral kenobi'
+  ].join('\n\n');
+  assert.deepEqual(parseSubtitles(vtt), [
+    { start: 1, end: 2, text: 'hello there' },
+    { start: 2.01, end: 3, text: 'general kenobi' }
+  ]);
+});
+
+test('retimeCues moves cues onto the clip, clipping and dropping them at its edges', () => {
+  const cues = [
+    { start: 0, end: 1, text: 'A' },
+    { start: 9, end: 11, text: 'B' },
+    { start: 12, end: 13, text: 'C' },
+    { start: 13.5, end: 15, text: 'D' }
+  ];
+  assert.deepEqual(retimeCues(cues, 10, 4, 1), [
+    { start: 0, end: 1, text: 'B' },
+    { start: 2, end: 3, text: 'C' },
+    { start: 3.5, end: 4, text: 'D' }
+  ]);
+  assert.deepEqual(retimeCues(cues, 10, 4, 2), [
+    { start: 0, end: 0.5, text: 'B' },
+    { start: 1, end: 1.5, text: 'C' },
+    { start: 1.75, end: 2, text: 'D' }
+  ]);
+});
+
+test('formatSrt numbers cues and writes SRT timestamps', () => {
+  assert.equal(formatSrt([{ start: 0, end: 1.5, text: 'A' }, { start: 3723.25, end: 3724, text: 'B' }]),
+    '1\n00:00:00,000 --> 00:00:01,500\nA\n\n2\n01:02:03,250 --> 01:02:04,000\nB\n');
+});
+
+test('selectCaptionTrack prefers written tracks and matches regional variants', () => {
+  const info = (tracks) => ({ player_response: { captions: { playerCaptionsTracklistRenderer: { captionTracks: tracks } } } });
+  const tracks = [
+    { languageCode: 'en', kind: 'asr', baseUrl: 'auto' },
+    { languageCode: 'en-GB', baseUrl: 'written' },
+    { languageCode: 'de', baseUrl: 'de' }
+  ];
+  assert.equal(selectCaptionTrack(info(tracks), 'en').baseUrl, 'written');
+  assert.equal(selectCaptionTrack(info(tracks), 'DE').baseUrl, 'de');
+  assert.throws(() => selectCaptionTrack(info(tracks), 'fr'), /No "fr" caption track for this video \(available: en, en-GB, de\)/);
+  assert.throws(() => selectCaptionTrack({}, 'en'), /no caption tracks/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isFrameTime, parseTime, formatTime, parseClipRanges } = require('../lib/time');
+
+test('parseTime reads plain seconds', () => {
+  assert.equal(parseTime(12), 12);
+  assert.equal(parseTime('12.5'), 12.5);
+  assert.equal(parseTime(' 0 '), 0);
+});
+
+test('parseTime reads colon forms', () => {
+  assert.equal(parseTime('1:02'), 62);
+  assert.equal(parseTime('1:02.5'), 62.5);
+  assert.equal(parseTime('1:02:03.250'), 3723.25);
+  assert.equal(parseTime('90:00'), 5400);
+});
+
+test('parseTime reads YouTube unit forms', () => {
+  assert.equal(parseTime('90s'), 90);
+  assert.equal(parseTime('1m30s'), 90);
+  assert.equal(parseTime('1h2m3s'), 3723);
+  assert.equal(parseTime('2m'), 120);
+});
+
+test('parseTime converts frame numbers with the frame rate', () => {
+  assert.equal(isFrameTime('f120'), true);
+  assert.equal(isFrameTime('120'), false);
+  assert.equal(parseTime('f120', 30), 4);
+  assert.throws(() => parseTime('f120'), /without the video's frame rate/);
+});
+
+test('parseTime rejects invalid times', () => {
+  assert.throws(() => parseTime(''), /Invalid time/);
+  assert.throws(() => parseTime('abc'), /Invalid time/);
+  assert.throws(() => parseTime(-1), /Invalid time/);
+  assert.throws(() => parseTime('1:60'), /below 60/);
+  assert.throws(() => parseTime('1:60:00'), /below 60/);
+});
+
+test('formatTime pads minutes and seconds and adds hours when needed', () => {
+  assert.equal(formatTime(0), '00:00.000');
+  assert.equal(formatTime(62.5), '01:02.500');
+  assert.equal(formatTime(3723.25), '1:02:03.250');
+});
+
+test('parseClipRanges reads start-end and start+duration ranges with optional names', () => {
+  assert.deepEqual(parseClipRanges('12-15, intro=1:02-1:08,2:30+4'), [
+    { name: null, start: 12, duration: 3 },
+    { name: 'intro', start: 62, duration: 6 },
+    { name: null, start: 150, duration: 4 }
+  ]);
+});
+
+test('parseClipRanges rejects invalid ranges', () => {
+  assert.throws(() => parseClipRanges(''), /at least one range/);
+  assert.throws(() => parseClipRanges('15-12'), /must end after it starts/);
+  assert.throws(() => parseClipRanges('12'), /Invalid clip range/);
+  assert.throws(() => parseClipRanges('bad name=1-2'), /Invalid clip name/);
+});
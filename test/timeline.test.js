@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseSpeed,
+  parseFreeze,
+  createTimeline,
+  getOutputTime,
+  getSourceTime,
+  getTimelineLength,
+  buildSetptsExpression,
+  buildFreezeExpression,
+  describeRetiming
+} = require('../lib/timeline');
+
+const TB = 1 / 90000;
+
+/**
+ * Evaluate a setpts expression the way FFmpeg would
+ * @param {string} expression - Expression from buildSetptsExpression or buildFreezeExpression
+ * @param {number} T - Frame timestamp in seconds
+ * @returns {number} - New timestamp, converted from time base units back to seconds
+ */
+function evaluate(expression, T) {
+  const clip = (x, min, max) => Math.min(max, Math.max(min, x));
+  const gt = (a, b) => (a > b ? 1 : 0);
+  const log = Math.log;
+  return new Function('T', 'TB', 'clip', 'gt', 'log', `return ${expression};`)(T, TB, clip, gt, log) * TB;
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+test('parseSpeed reads factors and sorted keyframes', () => {
+  assert.equal(parseSpeed('0.5'), 0.5);
+  assert.equal(parseSpeed(2), 2);
+  assert.deepEqual(parseSpeed('2:0.25,0:1,3.5:1'), [
+    { time: 0, speed: 1 },
+    { time: 2, speed: 0.25 },
+    { time: 3.5, speed: 1 }
+  ]);
+  assert.equal(parseSpeed('1:3'), 3);
+});
+
+test('parseSpeed rejects bad factors and keyframes', () => {
+  assert.throws(() => parseSpeed('0'), /positive number/);
+  assert.throws(() => parseSpeed('fast'), /positive number/);
+  assert.throws(() => parseSpeed('0:1,2'), /Invalid speed keyframes/);
+  assert.throws(() => parseSpeed('0:1,0:2'), /only have one speed/);
+});
+
+test('parseFreeze reads sorted time:seconds pairs', () => {
+  assert.deepEqual(parseFreeze(['3:0.5', '1:2']), [{ time: 1, hold: 2 }, { time: 3, hold: 0.5 }]);
+  assert.throws(() => parseFreeze('2'), /Invalid freeze/);
+  assert.throws(() => parseFreeze('2:0'), /Invalid freeze/);
+});
+
+test('a constant speed scales output time', () => {
+  const timeline = createTimeline({ duration: 4, speed: 2 });
+  close(getOutputTime(timeline, 3), 1.5);
+  close(getTimelineLength(timeline), 2);
+});
+
+test('a speed ramp integrates the changing speed', () => {
+  const timeline = createTimeline({ duration: 4, speed: parseSpeed('0:1,2:0.5') });
+  // 1/speed over 0-2s, with speed falling linearly from 1 to 0.5, integrates to 4 ln 2
+  close(getOutputTime(timeline, 2), 4 * Math.log(2));
+  close(getTimelineLength(timeline), 4 * Math.log(2) + 4);
+});
+
+test('freezes delay everything after them, or before them when reversed', () => {
+  const forward = createTimeline({ duration: 4, speed: 1, freeze: parseFreeze('1:2') });
+  close(getOutputTime(forward, 0.5), 0.5);
+  close(getOutputTime(forward, 3), 5);
+  close(getTimelineLength(forward), 6);
+  
+  const reversed = createTimeline({ duration: 4, speed: 1, freeze: parseFreeze('1:2'), reverse: true });
+  close(getOutputTime(reversed, 3), 1);
+  close(getOutputTime(reversed, 0.5), 5.5);
+});
+
+test('getSourceTime inverts getOutputTime and holds during freezes', () => {
+  for (const reverse of [false, true]) {
+    const timeline = createTimeline({ duration: 4, speed: parseSpeed('0:1,2:0.5'), freeze: parseFreeze('1:2'), reverse });
+    
+    for (const time of [0.3, 1.8, 3.6]) {
+      close(getSourceTime(timeline, getOutputTime(timeline, time)), time);
+    }
+    // Halfway through the hold, which follows the frozen moment either way
+    close(getSourceTime(timeline, getOutputTime(timeline, 1) + 1), 1);
+  }
+});
+
+test('freezes past the end of the segment are dropped', () => {
+  assert.deepEqual(createTimeline({ duration: 4, speed: 1, freeze: parseFreeze('5:1') }).freezes, []);
+});
+
+for (const reverse of [false, true]) {
+  test(`setpts expressions match getOutputTime${reverse ? ' when reversed' : ''}`, () => {
+    const timeline = createTimeline({
+      duration: 4,
+      speed: parseSpeed('0:1,1:0.25,2.5:2'),
+      freeze: parseFreeze('1.5:1,3:0.5'),
+      reverse
+    });
+    const setpts = buildSetptsExpression(timeline).replace(/\\,/g, ',');
+    const freeze = buildFreezeExpression(timeline);
+    
+    for (const time of [0.2, 0.9, 1.3, 1.7, 2.6, 3.4, 3.9]) {
+      // Reversed frames keep the forward timestamps in order, so the frame at `time` carries duration - time
+      const played = evaluate(setpts, reverse ? timeline.duration - time : time);
+      close(evaluate(freeze, played), getOutputTime(timeline, time));
+    }
+  });
+}
+
+test('buildFreezeExpression returns null without freezes', () => {
+  assert.equal(buildFreezeExpression(createTimeline({ duration: 4, speed: 1 })), null);
+});
+
+test('describeRetiming lists each change', () => {
+  assert.deepEqual(describeRetiming({ speed: 1, freeze: [] }), []);
+  assert.deepEqual(describeRetiming({
+    speed: parseSpeed('0:1,2:0.25'),
+    freeze: parseFreeze('2.4:1'),
+    reverse: true,
+    interpolate: 'mci'
+  }), ['speed ramp 1x at 0s, 0.25x at 2s', '1s freeze at 2.4s', 'reversed', 'mci interpolation']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readAnimatedWebp } = require('../lib/webp');
+
+/**
+ * Build a RIFF chunk
+ * @param {string} type - Four-character chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - The chunk, padded to an even size
+ */
+function chunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Build an animated WebP file with empty frames
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number[]} durations - Milliseconds each frame shows
+ * @returns {Buffer} - File data
+ */
+function buildWebp(width, height, durations) {
+  const vp8x = Buffer.alloc(10);
+  vp8x[0] = 0x02; // animation flag
+  vp8x.writeUIntLE(width - 1, 4, 3);
+  vp8x.writeUIntLE(height - 1, 7, 3);
+  
+  const frames = durations.map(duration => {
+    const header = Buffer.alloc(16);
+    header.writeUIntLE(width - 1, 6, 3);
+    header.writeUIntLE(height - 1, 9, 3);
+    header.writeUIntLE(duration, 12, 3);
+    return chunk('ANMF', Buffer.concat([header, chunk('VP8L', Buffer.alloc(5))]));
+  });
+  
+  const body = Buffer.concat([Buffer.from('WEBP'), chunk('VP8X', vp8x), chunk('ANIM', Buffer.alloc(6)), ...frames]);
+  const riff = Buffer.alloc(8);
+  riff.write('RIFF', 0, 'latin1');
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
+
+test('readAnimatedWebp reads the canvas size, frame count and length', () => {
+  assert.deepEqual(readAnimatedWebp(buildWebp(160, 119, [100, 100, 250])),
+    { width: 160, height: 119, frameCount: 3, length: 0.45 });
+});
+
+test('readAnimatedWebp returns null for other files', () => {
+  assert.equal(readAnimatedWebp(Buffer.from('GIF89a')), null);
+  assert.equal(readAnimatedWebp(buildWebp(16, 16, [])), null);
+});
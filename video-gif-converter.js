@@ -4,12 +4,61 @@ const { program } = require('commander');
 const ytdl = require('@distube/ytdl-core');
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const path = require('path');
 const os = require('os');
-const { execFile } = require('child_process');
-const gifsicle = require('gifsicle');
+const util = require('util');
+const { EventEmitter } = require('events');
+const { execFile, execSync } = require('child_process');
 const v8 = require('v8');
 const crypto = require('crypto');
+const { isFrameTime, parseTime, formatTime, parseClipRanges } = require('./lib/time');
+const { parseCaption, buildCaptionFilters, buildTimestampFilter, buildFrameTimeFilters, escapeFilterValue } = require('./lib/captions');
+const {
+  parseSubtitles,
+  loadSubtitleFile,
+  retimeCues,
+  formatSrt,
+  selectCaptionTrack,
+  downloadCaptionTrack
+} = require('./lib/subtitles');
+const { parseCrop, parseAspect, parseAnchor, buildCropFilters, parseCropdetect } = require('./lib/geometry');
+const { ANALYSIS_SIZE, splitFrames, findLoopPoints } = require('./lib/loop');
+const { PRESETS, loadConfig, getPresetOptions, applyConfigOptions, formatPresetFlags } = require('./lib/config');
+const { SCENE_MODES, DEFAULT_SCENE_THRESHOLD, parseSceneScores, buildShots, pickMostActiveShot } = require('./lib/scenes');
+const { PLAN_WORK_DIR, formatPlan, formatPlanScript } = require('./lib/plan');
+const { countGifPalettes } = require('./lib/gif');
+const { parseSegmentIndex, getFragmentRange } = require('./lib/mp4');
+const {
+  CONTENT_SIZE,
+  AUTO_COLORS,
+  MIN_AUTO_COLORS_PSNR,
+  splitRgbFrames,
+  measureContent,
+  chooseDither
+} = require('./lib/content');
+const { parseSsim, parsePsnr } = require('./lib/metrics');
+const {
+  parseSpeed,
+  parseFreeze,
+  createTimeline,
+  getOutputTime,
+  getSourceTime,
+  getTimelineLength,
+  buildSetptsExpression,
+  buildFreezeExpression,
+  describeRetiming
+} = require('./lib/timeline');
+const {
+  COMPARE_SETTINGS,
+  MIN_PROFILES,
+  MAX_PROFILES,
+  parseProfile,
+  describeProfile,
+  buildCompareFilterGraph
+} = require('./lib/compare');
+const { readAnimatedWebp } = require('./lib/webp');
 
 // Cache configuration
 const CACHE_DIR = path.join(os.homedir(), '.vgif-cache');
@@ -17,131 +66,754 @@ const CACHE_MAX_SIZE_MB = 2048; // 2GB default cache size limit
 const CACHE_MAX_AGE_DAYS = 7; // 1 week max cache age
 const DEFAULT_RETRY_ATTEMPTS = 3;
 const DEFAULT_RETRY_DELAY_MS = 1000;
+const DEFAULT_DURATION = 5; // Seconds, used when neither --duration nor --end is given
+const LENGTH_TOLERANCE = 0.5; // Seconds a clip may run past the probed length (YouTube rounds it)
 
-// Check if FFmpeg is installed
-try {
-  require('child_process').execSync('ffmpeg -version', { stdio: 'ignore' });
-} catch (e) {
-  console.error('Error: FFmpeg is not installed or not in your PATH');
-  console.error('Please install FFmpeg: https://ffmpeg.org/download.html');
-  console.error('For macOS: brew install ffmpeg');
-  console.error('For Ubuntu/Debian: sudo apt install ffmpeg');
-  process.exit(1);
-}
+// Loop point search (--find-loop)
+const DEFAULT_LOOP_WINDOW = 1; // Seconds searched either side of the start and end
+const MIN_LOOP_SSIM = 0.9; // Weaker matches fall back to a crossfade
+const FALLBACK_CROSSFADE = 0.5; // Crossfade used when no match is found and --crossfade isn't set
+const CONTENT_PAIRS = 8; // Pairs of consecutive frames sampled for --dither auto and --colors auto
+const MAX_ANALYSIS_FPS = 30;
+
+// Codec options for cutting segments: stream copy first, then a transcode if that fails
+const SEGMENT_COPY_CODECS = ['-c:v', 'copy', '-c:a', 'copy'];
+const SEGMENT_TRANSCODE_CODECS = ['-c:v', 'h264', '-crf', '23', '-preset', 'fast'];
+
+// Partial downloads of YouTube segments
+const PARTIAL_DOWNLOAD_MARGIN = 1; // Seconds fetched either side of the segment
+const MAX_REDIRECTS = 5;
+
+// Motion interpolation (--interpolate)
+const INTERPOLATION_SAMPLE = 1; // Seconds of the segment retimed up front to estimate the cost
+// Memory the interpolation filters use per source pixel: blending keeps a few frames, while
+// minterpolate's mci mode keeps up to 32 motion vectors, weights and references for every pixel
+const INTERPOLATION_BYTES_PER_PIXEL = { blend: 8, mci: 300 };
+
+// Contact sheet previews (--preview)
+const PREVIEW_TILES = 12; // Frames sampled evenly across the segment
+const PREVIEW_COLUMNS = 4;
+
+// Size limit enforcement
+const MAX_SIZE_ATTEMPTS = 12; // Maximum number of encodes when enforcing --max-size
+const MAX_LOSSY = 100; // Highest lossy level the size search will use
+const MIN_WEBP_QUALITY = 10; // Lowest WebP quality the size search will use
+const SIZE_SETTINGS = ['lossy', 'colors', 'fps', 'width'];
+
+// Supported output formats. qualitySetting names the option --max-size adjusts in
+// place of gifsicle's lossy level; defaultCrf applies to the video formats.
+const OUTPUT_FORMATS = {
+  gif: { label: 'GIF', extensions: ['.gif'] },
+  webp: { label: 'animated WebP', extensions: ['.webp'], qualitySetting: 'webpQuality' },
+  apng: { label: 'APNG', extensions: ['.png', '.apng'] },
+  mp4: { label: 'MP4', extensions: ['.mp4'], qualitySetting: 'crf', defaultCrf: 23, maxCrf: 51 },
+  webm: { label: 'WebM', extensions: ['.webm'], qualitySetting: 'crf', defaultCrf: 33, maxCrf: 63 }
+};
+
+// GIF encoding strategies, in the order they are tried. build() returns the commands
+// that write the GIF; they all encode the same settings, and later ones trade quality
+// or speed for compatibility.
+const GIF_STRATEGIES = [
+  { name: 'single-pass', description: 'palette generated and applied in one filtergraph', build: buildGifSinglePass },
+  { name: 'two-pass', description: 'palette written to an image, then applied', build: buildGifTwoPass },
+  { name: 'cli', description: 'single-pass filtergraph run as a plain ffmpeg process', build: buildGifCli },
+  { name: 'basic', description: 'FFmpeg\'s default GIF palette', build: buildGifBasic }
+];
 
-// Check if gifsicle is available (either via npm package or system installation)
+// FFmpeg messages that follow any failure without saying what went wrong
+const GENERIC_FFMPEG_ERRORS = /^(Conversion failed!|Error reinitializing filters!|Failed to inject frame into filter network|Error while (processing|filtering|decoding)|ffmpeg exited with code)/;
+
+// Default conversion options, shared by the CLI and the library API
+const DEFAULT_OPTIONS = {
+  url: undefined,
+  input: undefined,
+  start: undefined, // Read from the URL's t= parameter, otherwise 0
+  duration: undefined, // DEFAULT_DURATION unless --end is given
+  end: undefined,
+  clips: undefined,
+  scenes: undefined,
+  sceneThreshold: String(DEFAULT_SCENE_THRESHOLD),
+  output: undefined,
+  format: undefined,
+  preset: undefined,
+  dryRun: false,
+  preview: undefined,
+  compare: undefined,
+  width: '480',
+  fps: '30',
+  loops: '0',
+  verbose: false,
+  maxSize: '50',
+  sizePriority: SIZE_SETTINGS.join(','),
+  minWidth: '160',
+  minFps: '8',
+  minColors: '32',
+  minSsim: undefined,
+  metrics: false,
+  crossfade: '0',
+  loopMode: undefined,
+  findLoop: false,
+  speed: '1.0',
+  freeze: undefined,
+  reverse: false,
+  interpolate: 'none',
+  colors: '256',
+  lossy: '80',
+  dither: 'sierra2_4a',
+  bayerScale: '5',
+  palette: 'global',
+  strategy: GIF_STRATEGIES.map(strategy => strategy.name).join(','),
+  webpQuality: '75',
+  crf: undefined,
+  crop: undefined,
+  aspect: undefined,
+  anchor: 'center',
+  autocrop: false,
+  caption: undefined,
+  subtitles: undefined,
+  subs: undefined,
+  memoryLimit: '2048',
+  threads: '0',
+  cache: true,
+  cacheDir: CACHE_DIR,
+  cacheSize: String(CACHE_MAX_SIZE_MB),
+  quality: 'auto'
+};
+
+const validDithers = ['none', 'floyd_steinberg', 'bayer', 'heckbert', 'sierra2', 'sierra2_4a'];
+const validPalettes = ['global', 'per-scene', 'per-frame'];
+const validInterpolations = ['none', 'blend', 'mci'];
+const validLoopModes = ['normal', 'crossfade', 'boomerang'];
+const validProgressFormats = ['ndjson'];
+const validQualities = ['auto', 'lowest', 'low', 'medium', 'high', 'highest'];
+
+// Result of the FFmpeg check, computed on first use
+let ffmpegChecked = false;
+
+// Gifsicle availability, detected on first use (either via npm package or system installation)
+let gifsicleDetected = false;
 let gifsicleAvailable = false;
 let gifsicleExePath = null;
 
-try {
-  // First try to get the gifsicle binary path from the npm package
-  gifsicleExePath = require('gifsicle');
-  gifsicleAvailable = true;
-} catch (e) {
-  // Then try to check if gifsicle is available in system path
+/**
+ * Check if FFmpeg is installed
+ * @throws {Error} If FFmpeg is not installed or not in the PATH
+ */
+function checkFfmpeg() {
+  if (ffmpegChecked) return;
+  
+  try {
+    execSync('ffmpeg -version', { stdio: 'ignore' });
+    ffmpegChecked = true;
+  } catch (e) {
+    throw new Error([
+      'FFmpeg is not installed or not in your PATH',
+      'Please install FFmpeg: https://ffmpeg.org/download.html',
+      'For macOS: brew install ffmpeg',
+      'For Ubuntu/Debian: sudo apt install ffmpeg'
+    ].join('\n'));
+  }
+}
+
+/**
+ * Detect gifsicle, warning once if it cannot be found
+ * @param {object} reporter - Reporter used for the warning
+ * @returns {boolean} - True if gifsicle is available
+ */
+function detectGifsicle(reporter) {
+  if (gifsicleDetected) return gifsicleAvailable;
+  gifsicleDetected = true;
+  
   try {
-    require('child_process').execSync('gifsicle --version', { stdio: 'ignore' });
-    gifsicleExePath = 'gifsicle';
+    // First try to get the gifsicle binary path from the npm package
+    gifsicleExePath = require('gifsicle');
     gifsicleAvailable = true;
+  } catch (e) {
+    // Then try to check if gifsicle is available in system path
+    try {
+      execSync('gifsicle --version', { stdio: 'ignore' });
+      gifsicleExePath = 'gifsicle';
+      gifsicleAvailable = true;
+    } catch (err) {
+      reporter.warn('Warning: Gifsicle not found. Advanced compression will be disabled.');
+      reporter.warn('To enable better compression, install gifsicle:');
+      reporter.warn(' - macOS: brew install gifsicle');
+      reporter.warn(' - Ubuntu/Debian: sudo apt install gifsicle');
+      reporter.warn(' - npm: npm install gifsicle');
+    }
+  }
+  
+  return gifsicleAvailable;
+}
+
+/**
+ * Create a reporter that turns messages into events on an emitter
+ *
+ * Emitted events:
+ *  - 'log'      { level: 'info' | 'error', message }
+ *  - 'warning'  { message }
+ *  - 'stage'    { stage, message }
+ *  - 'progress' { stage, percent }
+ *
+ * @param {EventEmitter} [events] - Emitter that receives the events
+ * @returns {object} - Reporter with log, warn, error, stage and progress methods
+ */
+function createReporter(events = new EventEmitter()) {
+  return {
+    events,
+    log: (...args) => events.emit('log', { level: 'info', message: util.format(...args) }),
+    error: (...args) => events.emit('log', { level: 'error', message: util.format(...args) }),
+    warn: (...args) => events.emit('warning', { message: util.format(...args) }),
+    stage: (stage, message) => events.emit('stage', { stage, message }),
+    progress: (stage, percent) => events.emit('progress', { stage, percent })
+  };
+}
+
+/**
+ * Create an FFmpeg command that is killed when the conversion is cancelled
+ * @param {string} input - Input file
+ * @param {object} options - Conversion options (signal, an optional AbortSignal)
+ * @returns {object} - fluent-ffmpeg command
+ */
+function createFfmpegCommand(input, options) {
+  const command = ffmpeg(input);
+  const { signal } = options;
+  
+  if (signal) {
+    const kill = () => command.kill('SIGKILL');
+    const release = () => signal.removeEventListener('abort', kill);
+    
+    command
+      .on('start', () => {
+        if (signal.aborted) {
+          kill();
+        } else {
+          signal.addEventListener('abort', kill, { once: true });
+        }
+      })
+      .on('end', release)
+      .on('error', release);
+  }
+  
+  return command;
+}
+
+/**
+ * Check whether the conversion has been cancelled through options.signal
+ * @param {object} options - Conversion options
+ * @throws {Error} If the signal has aborted
+ */
+function checkCancelled(options) {
+  if (options.signal && options.signal.aborted) {
+    throw new Error('Conversion cancelled');
+  }
+}
+
+/**
+ * Parse a time option, keeping frame numbers (f1234) until the frame rate is known
+ * @param {string|number} value - Time value
+ * @param {string} label - Option name used in error messages
+ * @returns {number|string} - Seconds, or the frame number as given
+ * @throws {Error} If the value is not a valid time
+ */
+function parseTimeOption(value, label) {
+  if (isFrameTime(value)) {
+    return value.trim();
+  }
+  
+  try {
+    return parseTime(value);
   } catch (err) {
-    console.warn('Warning: Gifsicle not found. Advanced compression will be disabled.');
-    console.warn('To enable better compression, install gifsicle:');
-    console.warn(' - macOS: brew install gifsicle');
-    console.warn(' - Ubuntu/Debian: sudo apt install gifsicle');
-    console.warn(' - npm: npm install gifsicle');
-  }
-}
-
-program
-  .name('vgif')
-  .description('CLI to convert YouTube videos or local video files to looping GIFs')
-  .version('1.1.0')
-  .option('-u, --url <url>', 'YouTube video URL')
-  .option('-i, --input <filepath>', 'Local video file path')
-  .option('-s, --start <seconds>', 'Start time in seconds', '0')
-  .option('-d, --duration <seconds>', 'Duration in seconds', '5')
-  .option('-o, --output <filename>', 'Output filename (defaults to input filename with .gif extension)')
-  .option('-w, --width <pixels>', 'Width of the GIF in pixels', '480')
-  .option('-f, --fps <fps>', 'Frames per second', '30')
-  .option('-l, --loops <count>', 'Number of loops (0 = infinite)', '0')
-  .option('-v, --verbose', 'Enable verbose logging')
-  .option('-m, --max-size <mb>', 'Maximum output file size in MB (constrains quality automatically)', '50')
-  .option('-c, --crossfade <seconds>', 'Apply crossfade effect for looping, duration in seconds', '0')
-  .option('-p, --speed <factor>', 'Playback speed (0.5 = half speed, 2.0 = double speed)', '1.0')
-  .option('--colors <number>', 'Maximum number of colors in the palette (2-256, fewer colors = smaller files)', '256')
-  .option('--lossy <level>', 'Lossy compression level (1-100, higher = smaller files but lower quality)', '80') 
-  .option('--dither <type>', 'Dithering method (none, floyd_steinberg, bayer, sierra2_4a)', 'sierra2_4a')
-  .option('--memory-limit <mb>', 'Maximum memory usage in MB (0 = no limit)', '2048')
-  .option('--threads <count>', 'Number of FFmpeg threads to use (0 = auto)', '0')
-  .option('--no-cache', 'Disable caching for YouTube downloads')
-  .option('--cache-dir <path>', 'Directory to store downloaded video cache', CACHE_DIR)
-  .option('--cache-size <mb>', 'Maximum cache size in MB', String(CACHE_MAX_SIZE_MB))
-  .option('--quality <value>', 'Video quality to download (lowest, low, medium, high, highest)', 'auto')
-  .parse(process.argv);
-
-const options = program.opts();
-
-// Convert numeric options to appropriate types
-options.crossfade = parseFloat(options.crossfade);
-options.speed = parseFloat(options.speed);
-options.colors = parseInt(options.colors);
-options.lossy = parseInt(options.lossy);
-options.memoryLimit = parseInt(options.memoryLimit);
-options.threads = parseInt(options.threads);
-options.cacheSize = parseInt(options.cacheSize);
-
-// Validate speed option
-if (isNaN(options.speed) || options.speed <= 0) {
-  console.error('Error: Speed must be a positive number');
-  process.exit(1);
-}
-
-if (options.speed < 0.25 || options.speed > 4.0) {
-  console.warn('Warning: Speed values outside the range of 0.25-4.0 may produce unexpected results');
-}
-
-// Validate colors option
-if (isNaN(options.colors) || options.colors < 2 || options.colors > 256) {
-  console.error('Error: Colors must be a number between 2 and 256');
-  process.exit(1);
-}
-
-// Validate lossy option
-if (isNaN(options.lossy) || options.lossy < 0 || options.lossy > 100) {
-  console.error('Error: Lossy compression level must be a number between 0 and 100');
-  process.exit(1);
-}
-
-// Validate dither option
-const validDithers = ['none', 'floyd_steinberg', 'bayer', 'sierra2_4a'];
-if (!validDithers.includes(options.dither)) {
-  console.error(`Error: Dither must be one of: ${validDithers.join(', ')}`);
-  process.exit(1);
-}
-
-// Validate memory limit
-if (isNaN(options.memoryLimit) || options.memoryLimit < 0) {
-  console.error('Error: Memory limit must be a non-negative number');
-  process.exit(1);
-}
-
-// Validate threads
-if (isNaN(options.threads) || options.threads < 0) {
-  console.error('Error: Thread count must be a non-negative number');
-  process.exit(1);
-}
-
-// Validate cache size
-if (isNaN(options.cacheSize) || options.cacheSize < 0) {
-  console.error('Error: Cache size must be a non-negative number');
-  process.exit(1);
-}
-
-// Validate quality option
-const validQualities = ['auto', 'lowest', 'low', 'medium', 'high', 'highest'];
-if (!validQualities.includes(options.quality)) {
-  console.error(`Error: Quality must be one of: ${validQualities.join(', ')}`);
-  process.exit(1);
+    throw new Error(`${label}: ${err.message}`);
+  }
+}
+
+/**
+ * Merge user options with the defaults, convert them to the right types and validate them
+ * @param {object} userOptions - Options as given on the command line or to convert()
+ * @param {object} reporter - Reporter used for non-fatal warnings
+ * @returns {object} - Normalized options
+ * @throws {Error} If an option is invalid
+ */
+function normalizeOptions(userOptions, reporter) {
+  // A preset's settings replace the defaults; the user's own options still win
+  const options = { ...DEFAULT_OPTIONS, ...(userOptions.preset ? getPresetOptions(userOptions.preset) : {}) };
+  
+  // Ignore explicitly undefined values so they don't override the defaults
+  Object.keys(userOptions).forEach(key => {
+    if (userOptions[key] !== undefined) {
+      options[key] = userOptions[key];
+    }
+  });
+  
+  // Validate that either URL or input file is provided
+  if (!options.url && !options.input) {
+    throw new Error('You must provide either a YouTube URL (-u, --url) or a local video file path (-i, --input)');
+  }
+  
+  // Validate that both URL and input aren't provided at the same time
+  if (options.url && options.input) {
+    throw new Error('Please provide either a YouTube URL (-u, --url) OR a local file path (-i, --input), not both');
+  }
+  
+  // Infer the output format from the output extension unless it was given explicitly
+  if (!options.format) {
+    options.format = (options.output && getFormatFromPath(options.output)) || 'gif';
+  }
+  
+  if (!OUTPUT_FORMATS[options.format]) {
+    throw new Error(`Format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+  
+  // Take the start time from a YouTube link's t= or start= parameter when none is given
+  if (options.start === undefined && options.url) {
+    options.start = getTimestampFromUrl(options.url);
+  }
+  
+  // Validate scene detection; pick only chooses the start when none is given
+  if (options.scenes !== undefined) {
+    if (!SCENE_MODES.includes(options.scenes)) {
+      throw new Error(`Scene mode must be one of: ${SCENE_MODES.join(', ')}`);
+    }
+    
+    if (options.clips) {
+      throw new Error('Please provide either --scenes OR --clips, not both');
+    }
+    
+    if (options.scenes === 'pick' && options.start !== undefined) {
+      reporter.warn('Warning: --scenes pick is ignored when a start time is given');
+      options.scenes = undefined;
+    }
+  }
+  
+  if (options.start === undefined) {
+    options.start = 0;
+  }
+  
+  if (options.end !== undefined && options.duration !== undefined) {
+    throw new Error('Please provide either a duration (-d, --duration) OR an end time (-e, --end), not both');
+  }
+  
+  // Scene detection scans to the end of the video unless a duration or end is given
+  if (options.end === undefined && options.duration === undefined && !options.scenes) {
+    options.duration = DEFAULT_DURATION;
+  }
+  
+  // Parse time options; frame numbers are resolved once the video's frame rate is known
+  options.start = parseTimeOption(options.start, 'Start time');
+  if (options.end !== undefined) {
+    options.end = parseTimeOption(options.end, 'End time');
+    options.duration = undefined;
+    
+    if (typeof options.start === 'number' && typeof options.end === 'number') {
+      if (options.end <= options.start) {
+        throw new Error(`End time (${formatTime(options.end)}) must be after the start time (${formatTime(options.start)})`);
+      }
+      options.duration = options.end - options.start;
+    }
+  } else if (options.duration !== undefined) {
+    options.duration = parseTimeOption(options.duration, 'Duration');
+  }
+  
+  // Convert numeric options to appropriate types
+  options.width = parseInt(options.width);
+  options.fps = parseInt(options.fps);
+  options.loops = parseInt(options.loops);
+  options.maxSize = parseFloat(options.maxSize);
+  options.crossfade = parseFloat(options.crossfade);
+  options.sceneThreshold = parseFloat(options.sceneThreshold);
+  options.colors = options.colors === 'auto' ? 'auto' : parseInt(options.colors);
+  options.lossy = parseInt(options.lossy);
+  options.bayerScale = parseInt(options.bayerScale);
+  options.memoryLimit = parseInt(options.memoryLimit);
+  options.threads = parseInt(options.threads);
+  options.cacheSize = parseInt(options.cacheSize);
+  
+  // Validate segment options
+  if (options.duration === 0) {
+    throw new Error('Duration must be a positive number');
+  }
+  
+  // Clip ranges replace start and duration with one output per range
+  if (typeof options.clips === 'string') {
+    options.clips = parseClipRanges(options.clips);
+  }
+  
+  if (isNaN(options.sceneThreshold) || options.sceneThreshold <= 0 || options.sceneThreshold >= 1) {
+    throw new Error('Scene threshold must be a number between 0 and 1');
+  }
+  
+  if (isNaN(options.width) || options.width <= 0) {
+    throw new Error('Width must be a positive number');
+  }
+  
+  if (isNaN(options.fps) || options.fps <= 0) {
+    throw new Error('FPS must be a positive number');
+  }
+  
+  if (isNaN(options.loops) || options.loops < 0) {
+    throw new Error('Loop count must be a non-negative number');
+  }
+  
+  if (isNaN(options.maxSize) || options.maxSize <= 0) {
+    throw new Error('Maximum size must be a positive number');
+  }
+  
+  // Validate size search options
+  if (typeof options.sizePriority === 'string') {
+    options.sizePriority = options.sizePriority.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  
+  const invalidPriority = options.sizePriority.filter(s => !SIZE_SETTINGS.includes(s));
+  if (invalidPriority.length > 0) {
+    throw new Error(`Size priority must be a comma-separated list of: ${SIZE_SETTINGS.join(', ')}`);
+  }
+  
+  options.minWidth = parseInt(options.minWidth);
+  options.minFps = parseInt(options.minFps);
+  options.minColors = parseInt(options.minColors);
+  
+  if (isNaN(options.minWidth) || options.minWidth <= 0) {
+    throw new Error('Minimum width must be a positive number');
+  }
+  
+  if (isNaN(options.minFps) || options.minFps <= 0) {
+    throw new Error('Minimum FPS must be a positive number');
+  }
+  
+  if (isNaN(options.minColors) || options.minColors < 2 || options.minColors > 256) {
+    throw new Error('Minimum colors must be a number between 2 and 256');
+  }
+  
+  // Validate the quality floor
+  if (options.minSsim !== undefined) {
+    options.minSsim = parseFloat(options.minSsim);
+    if (isNaN(options.minSsim) || options.minSsim <= 0 || options.minSsim > 1) {
+      throw new Error('Minimum SSIM must be a number between 0 and 1');
+    }
+  }
+  
+  if (isNaN(options.crossfade) || options.crossfade < 0) {
+    throw new Error('Crossfade must be a non-negative number');
+  }
+  
+  // Validate loop mode; a crossfade duration implies the crossfade loop
+  if (options.loopMode === undefined) {
+    options.loopMode = isCrossfadeEnabled(options) ? 'crossfade' : 'normal';
+  }
+  
+  if (!validLoopModes.includes(options.loopMode)) {
+    throw new Error(`Loop mode must be one of: ${validLoopModes.join(', ')}`);
+  }
+  
+  if (options.loopMode === 'crossfade' && !isCrossfadeEnabled(options)) {
+    throw new Error('The crossfade loop mode needs a crossfade duration (-c, --crossfade)');
+  }
+  
+  if (options.loopMode !== 'crossfade' && isCrossfadeEnabled(options)) {
+    throw new Error(`A crossfade (-c, --crossfade) can't be combined with the ${options.loopMode} loop mode`);
+  }
+  
+  // Validate the loop search window; the flag on its own searches the default window
+  if (options.findLoop === true) {
+    options.findLoop = DEFAULT_LOOP_WINDOW;
+  } else if (options.findLoop) {
+    const window = parseTimeOption(options.findLoop, 'Loop search window');
+    if (typeof window !== 'number' || window <= 0) {
+      throw new Error('Loop search window (--find-loop) must be a positive time');
+    }
+    options.findLoop = window;
+  }
+  
+  if (options.findLoop && options.loopMode === 'boomerang') {
+    throw new Error('--find-loop can\'t be combined with the boomerang loop mode');
+  }
+  
+  // Parse the speed factor or keyframes, and any freezes
+  options.speed = parseSpeed(options.speed);
+  options.freeze = options.freeze !== undefined ? parseFreeze(options.freeze) : [];
+  
+  const speeds = Array.isArray(options.speed) ? options.speed.map(keyframe => keyframe.speed) : [options.speed];
+  if (speeds.some(speed => speed < 0.25 || speed > 4.0)) {
+    reporter.warn('Warning: Speed values outside the range of 0.25-4.0 may produce unexpected results');
+  }
+  
+  if (!validInterpolations.includes(options.interpolate)) {
+    throw new Error(`Interpolation must be one of: ${validInterpolations.join(', ')}`);
+  }
+  
+  // Validate colors option; auto is resolved from the content before encoding
+  if (options.colors !== 'auto' && (isNaN(options.colors) || options.colors < 2 || options.colors > 256)) {
+    throw new Error('Colors must be auto or a number between 2 and 256');
+  }
+  
+  // Validate lossy option
+  if (isNaN(options.lossy) || options.lossy < 0 || options.lossy > 100) {
+    throw new Error('Lossy compression level must be a number between 0 and 100');
+  }
+  
+  // Validate dither option
+  if (options.dither !== 'auto' && !validDithers.includes(options.dither)) {
+    throw new Error(`Dither must be auto or one of: ${validDithers.join(', ')}`);
+  }
+  
+  if (isNaN(options.bayerScale) || options.bayerScale < 0 || options.bayerScale > 5) {
+    throw new Error('Bayer scale must be a number between 0 and 5');
+  }
+  
+  // Validate palette option
+  if (!validPalettes.includes(options.palette)) {
+    throw new Error(`Palette must be one of: ${validPalettes.join(', ')}`);
+  }
+  
+  // Validate the GIF encoding strategies, kept in the order given
+  if (typeof options.strategy === 'string') {
+    options.strategy = options.strategy.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  
+  const strategyNames = GIF_STRATEGIES.map(strategy => strategy.name);
+  if (!Array.isArray(options.strategy) || options.strategy.length === 0 ||
+      options.strategy.some(name => !strategyNames.includes(name))) {
+    throw new Error(`Strategy must be a comma-separated list of: ${strategyNames.join(', ')}`);
+  }
+  options.strategy = [...new Set(options.strategy)];
+  
+  // Parse geometry options
+  if (options.crop && options.autocrop) {
+    throw new Error('Please provide either a crop rectangle (--crop) OR --autocrop, not both');
+  }
+  
+  if (typeof options.crop === 'string') {
+    options.crop = parseCrop(options.crop);
+  }
+  
+  if (typeof options.aspect === 'string') {
+    options.aspect = parseAspect(options.aspect);
+  }
+  
+  if (typeof options.anchor === 'string') {
+    options.anchor = parseAnchor(options.anchor);
+  }
+  
+  // Parse caption specs; a single caption may be given without an array
+  if (options.caption !== undefined) {
+    options.caption = [].concat(options.caption).map(parseCaption);
+  }
+  
+  // Validate subtitle sources
+  if (options.subtitles && options.subs) {
+    throw new Error('Please provide either a subtitle file (--subtitles) OR a YouTube caption language (--subs), not both');
+  }
+  
+  if (options.subs && !options.url) {
+    throw new Error('--subs only works with a YouTube URL (-u); use --subtitles for local files');
+  }
+  
+  if (options.subtitles) {
+    if (!/\.(srt|vtt)$/i.test(options.subtitles)) {
+      throw new Error('Subtitle file must be an .srt or .vtt file');
+    }
+    if (!fs.existsSync(options.subtitles)) {
+      throw new Error(`Subtitle file does not exist: ${options.subtitles}`);
+    }
+  }
+  
+  // Validate the contact sheet path
+  if (options.preview) {
+    if (!/\.(png|jpe?g)$/i.test(options.preview)) {
+      throw new Error('Preview must be a .png or .jpg file');
+    }
+    if (options.clips || options.scenes === 'split') {
+      throw new Error('--preview shows a single clip, so it can\'t be combined with --clips or --scenes split');
+    }
+  }
+  
+  // Validate comparison profiles, each as a full set of options
+  if (options.compare !== undefined) {
+    const profiles = [].concat(options.compare);
+    if (profiles.length < MIN_PROFILES || profiles.length > MAX_PROFILES) {
+      throw new Error(`Compare needs ${MIN_PROFILES} to ${MAX_PROFILES} profiles`);
+    }
+    if (options.clips || options.scenes || options.preview || options.dryRun) {
+      throw new Error('Compare encodes one segment, so it can\'t be combined with --clips, --scenes, --preview or --dry-run');
+    }
+    
+    // Warnings for the shared options were already reported above
+    options.compare = profiles.map(profile => {
+      const profileOptions = normalizeOptions({ ...userOptions, ...parseProfile(profile), compare: undefined }, createReporter());
+      return Object.fromEntries(COMPARE_SETTINGS.map(key => [key, profileOptions[key]]));
+    });
+  }
+  
+  // Quality is measured on the optimized GIF
+  if ((options.metrics || options.minSsim !== undefined) && options.format !== 'gif') {
+    reporter.warn(`Warning: --metrics and --min-ssim only measure GIFs, so they are ignored for ${options.format}`);
+  }
+  
+  // Validate per-format quality options
+  options.webpQuality = parseInt(options.webpQuality);
+  if (isNaN(options.webpQuality) || options.webpQuality < 0 || options.webpQuality > 100) {
+    throw new Error('WebP quality must be a number between 0 and 100');
+  }
+  
+  const formatInfo = OUTPUT_FORMATS[options.format];
+  options.crf = options.crf === undefined ? formatInfo.defaultCrf : parseInt(options.crf);
+  if (formatInfo.maxCrf && (isNaN(options.crf) || options.crf < 0 || options.crf > formatInfo.maxCrf)) {
+    throw new Error(`CRF for ${options.format} must be a number between 0 and ${formatInfo.maxCrf}`);
+  }
+  
+  // Validate memory limit
+  if (isNaN(options.memoryLimit) || options.memoryLimit < 0) {
+    throw new Error('Memory limit must be a non-negative number');
+  }
+  
+  // Validate threads
+  if (isNaN(options.threads) || options.threads < 0) {
+    throw new Error('Thread count must be a non-negative number');
+  }
+  
+  // Validate cache size
+  if (isNaN(options.cacheSize) || options.cacheSize < 0) {
+    throw new Error('Cache size must be a non-negative number');
+  }
+  
+  // Validate quality option
+  if (!validQualities.includes(options.quality)) {
+    throw new Error(`Quality must be one of: ${validQualities.join(', ')}`);
+  }
+  
+  return options;
+}
+
+/**
+ * Convert frame-number times to seconds and check the clip against the video length
+ * @param {object} options - Normalized options; start and duration are updated in place
+ * @param {object} media - { length, frameRate } of the source video (either may be unknown)
+ * @throws {Error} If the clip doesn't fit within the video
+ */
+function resolveTimes(options, media) {
+  options.start = parseTime(options.start, media.frameRate);
+  
+  if (options.end !== undefined) {
+    options.end = parseTime(options.end, media.frameRate);
+    if (options.end <= options.start) {
+      throw new Error(`End time (${formatTime(options.end)}) must be after the start time (${formatTime(options.start)})`);
+    }
+    options.duration = options.end - options.start;
+  } else {
+    options.duration = parseTime(options.duration, media.frameRate);
+    if (options.duration <= 0) {
+      throw new Error('Duration must be a positive number');
+    }
+  }
+  
+  if (!media.length) {
+    return;
+  }
+  
+  if (options.start >= media.length) {
+    throw new Error(`Start time ${formatTime(options.start)} is past the end of the video (${formatTime(media.length)} long)`);
+  }
+  
+  const clipEnd = options.start + options.duration;
+  if (clipEnd > media.length + LENGTH_TOLERANCE) {
+    throw new Error(`The clip ends at ${formatTime(clipEnd)}, after the end of the video (${formatTime(media.length)} long). Use a shorter duration or an earlier end time`);
+  }
+}
+
+/**
+ * Find the output format that uses a file's extension
+ * @param {string} filePath - Output file path
+ * @returns {string|null} - Format name or null if the extension is not recognized
+ */
+function getFormatFromPath(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return Object.keys(OUTPUT_FORMATS).find(format => OUTPUT_FORMATS[format].extensions.includes(ext)) || null;
+}
+
+/**
+ * Get the per-frame filter chain: frame rate, crop, scale and overlays
+ * @param {object} options - Conversion options (fps, width, crop, aspect, anchor, autocropArea, overlays)
+ * @param {boolean} [evenHeight=false] - Round the height to a multiple of 2, as video codecs need
+ * @returns {string[]} - Filters in the order they apply
+ */
+function getVideoFilters(options, evenHeight = false) {
+  return [
+    `fps=${options.fps}`,
+    // autocropArea is the rectangle run() found with cropdetect for --autocrop
+    ...buildCropFilters(options.crop || options.autocropArea, options.aspect, options.anchor),
+    `scale=${options.width}:${evenHeight ? -2 : -1}:flags=lanczos`,
+    ...getOverlayFilters(options)
+  ];
+}
+
+/**
+ * Get the filters that draw on top of the scaled video, such as captions
+ * @param {object} options - Conversion options (subtitleFile, caption, width)
+ * @returns {string[]} - Filters to apply after scaling, possibly empty
+ */
+function getOverlayFilters(options) {
+  const filters = [];
+  
+  // subtitleFile is the retimed SRT that run() writes for --subtitles and --subs.
+  // libass sizes fonts against a 288px-high canvas, so 20 is about 7% of the height.
+  if (options.subtitleFile) {
+    filters.push(`subtitles=filename=${escapeFilterValue(options.subtitleFile)}:force_style=${escapeFilterValue('FontSize=20')}`);
+  }
+  
+  return filters.concat(buildCaptionFilters(options.caption, options.width));
+}
+
+/**
+ * Get the FFmpeg output options and container for a non-GIF output format
+ * @param {object} options - Conversion options (format, loops, webpQuality, crf)
+ * @returns {object} - { outputOptions, container }
+ */
+function getFormatOutputOptions(options) {
+  switch (options.format) {
+    case 'webp':
+      return {
+        container: 'webp',
+        outputOptions: [
+          '-c:v', 'libwebp',
+          '-lossless', '0',
+          '-q:v', String(options.webpQuality),
+          '-compression_level', '6',
+          '-loop', String(options.loops),
+          '-an'
+        ]
+      };
+    case 'apng':
+      return {
+        container: 'apng',
+        outputOptions: ['-c:v', 'apng', '-plays', String(options.loops), '-an']
+      };
+    case 'mp4':
+      return {
+        container: 'mp4',
+        outputOptions: [
+          '-c:v', 'libx264',
+          '-crf', String(options.crf),
+          '-preset', 'slow',
+          '-pix_fmt', 'yuv420p',
+          '-movflags', '+faststart',
+          '-an'
+        ]
+      };
+    case 'webm':
+      return {
+        container: 'webm',
+        outputOptions: [
+          '-c:v', 'libvpx-vp9',
+          '-crf', String(options.crf),
+          '-b:v', '0',
+          '-pix_fmt', 'yuv420p',
+          '-an'
+        ]
+      };
+    default:
+      throw new Error(`Unsupported output format: ${options.format}`);
+  }
 }
 
 /**
@@ -165,9 +837,10 @@ function getMemoryUsage() {
 
 /**
  * Check if memory usage exceeds the limit
+ * @param {object} options - Conversion options
  * @returns {boolean} True if memory limit is exceeded, false otherwise
  */
-function isMemoryLimitExceeded() {
+function isMemoryLimitExceeded(options) {
   if (options.memoryLimit <= 0) {
     return false; // No limit set
   }
@@ -178,28 +851,33 @@ function isMemoryLimitExceeded() {
 
 /**
  * Log memory usage if verbose mode is enabled
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
  */
-function logMemoryUsage() {
+function logMemoryUsage(options, reporter) {
   if (!options.verbose) return;
   
   const memUsage = getMemoryUsage();
-  console.log('Memory usage:');
-  console.log(`  Process RSS: ${memUsage.rss}MB`);
-  console.log(`  Heap used: ${memUsage.heapUsed}MB / ${memUsage.heapTotal}MB`);
-  console.log(`  System memory: ${memUsage.freeSystemMemory}MB free of ${memUsage.totalSystemMemory}MB`);
+  reporter.log('Memory usage:');
+  reporter.log(`  Process RSS: ${memUsage.rss}MB`);
+  reporter.log(`  Heap used: ${memUsage.heapUsed}MB / ${memUsage.heapTotal}MB`);
+  reporter.log(`  System memory: ${memUsage.freeSystemMemory}MB free of ${memUsage.totalSystemMemory}MB`);
   
   if (options.memoryLimit > 0) {
-    console.log(`  Memory limit: ${options.memoryLimit}MB (${Math.round(memUsage.rss / options.memoryLimit * 100)}% used)`);
+    reporter.log(`  Memory limit: ${options.memoryLimit}MB (${Math.round(memUsage.rss / options.memoryLimit * 100)}% used)`);
   }
 }
 
 /**
  * Create cache directory if it doesn't exist
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
+ * @returns {boolean} - True if the cache is ready to use
  */
-function initializeCache() {
+function initializeCache(options, reporter) {
   if (!options.cache) {
     if (options.verbose) {
-      console.log('Cache disabled with --no-cache flag');
+      reporter.log('Cache disabled with --no-cache flag');
     }
     return false;
   }
@@ -209,7 +887,7 @@ function initializeCache() {
     if (!fs.existsSync(options.cacheDir)) {
       fs.mkdirSync(options.cacheDir, { recursive: true });
       if (options.verbose) {
-        console.log(`Created cache directory: ${options.cacheDir}`);
+        reporter.log(`Created cache directory: ${options.cacheDir}`);
       }
     }
     
@@ -225,12 +903,18 @@ function initializeCache() {
       fs.mkdirSync(infoDir, { recursive: true });
     }
     
+    // Create sources directory for complete downloaded videos
+    const sourcesDir = path.join(options.cacheDir, 'sources');
+    if (!fs.existsSync(sourcesDir)) {
+      fs.mkdirSync(sourcesDir, { recursive: true });
+    }
+    
     // Clean cache if it exceeds size limit
-    cleanupCache();
+    cleanupCache(options, reporter);
     return true;
   } catch (err) {
-    console.warn(`Warning: Could not initialize cache: ${err.message}`);
-    console.warn('Continuing without caching');
+    reporter.warn(`Warning: Could not initialize cache: ${err.message}`);
+    reporter.warn('Continuing without caching');
     return false;
   }
 }
@@ -252,9 +936,11 @@ function getCacheKey(videoId, start, duration) {
  * @param {string} videoId - YouTube video ID
  * @param {number} start - Start time in seconds
  * @param {number} duration - Duration in seconds
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
  * @returns {string|null} - Path to cached segment or null if not cached
  */
-function getCachedSegment(videoId, start, duration) {
+function getCachedSegment(videoId, start, duration, options, reporter) {
   if (!options.cache) return null;
   
   const cacheKey = getCacheKey(videoId, start, duration);
@@ -267,7 +953,7 @@ function getCachedSegment(videoId, start, duration) {
     // Check if the file is not too old and not empty
     if (fileAgeDays <= CACHE_MAX_AGE_DAYS && stats.size > 0) {
       if (options.verbose) {
-        console.log(`Using cached segment: ${cachedSegmentPath}`);
+        reporter.log(`Using cached segment: ${cachedSegmentPath}`);
       }
       return cachedSegmentPath;
     }
@@ -276,7 +962,7 @@ function getCachedSegment(videoId, start, duration) {
     try {
       fs.unlinkSync(cachedSegmentPath);
     } catch (err) {
-      console.warn(`Warning: Could not remove stale cache entry: ${err.message}`);
+      reporter.warn(`Warning: Could not remove stale cache entry: ${err.message}`);
     }
   }
   
@@ -289,9 +975,11 @@ function getCachedSegment(videoId, start, duration) {
  * @param {number} start - Start time in seconds
  * @param {number} duration - Duration in seconds
  * @param {string} segmentPath - Path to segment file
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
  * @returns {string} - Path to cached segment
  */
-function saveCachedSegment(videoId, start, duration, segmentPath) {
+function saveCachedSegment(videoId, start, duration, segmentPath, options, reporter) {
   if (!options.cache) return segmentPath;
   
   try {
@@ -302,12 +990,12 @@ function saveCachedSegment(videoId, start, duration, segmentPath) {
     fs.copyFileSync(segmentPath, cachedSegmentPath);
     
     if (options.verbose) {
-      console.log(`Saved segment to cache: ${cachedSegmentPath}`);
+      reporter.log(`Saved segment to cache: ${cachedSegmentPath}`);
     }
     
     return cachedSegmentPath;
   } catch (err) {
-    console.warn(`Warning: Could not save segment to cache: ${err.message}`);
+    reporter.warn(`Warning: Could not save segment to cache: ${err.message}`);
     return segmentPath;
   }
 }
@@ -315,9 +1003,11 @@ function saveCachedSegment(videoId, start, duration, segmentPath) {
 /**
  * Get cached video info
  * @param {string} videoId - YouTube video ID
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
  * @returns {object|null} - Cached video info or null if not cached
  */
-function getCachedVideoInfo(videoId) {
+function getCachedVideoInfo(videoId, options, reporter) {
   if (!options.cache) return null;
   
   const cacheInfoPath = path.join(options.cacheDir, 'info', `${videoId}.json`);
@@ -332,11 +1022,11 @@ function getCachedVideoInfo(videoId) {
         const infoData = fs.readFileSync(cacheInfoPath, 'utf8');
         const info = JSON.parse(infoData);
         if (options.verbose) {
-          console.log(`Using cached video info for: ${videoId}`);
+          reporter.log(`Using cached video info for: ${videoId}`);
         }
         return info;
       } catch (err) {
-        console.warn(`Warning: Could not read cached video info: ${err.message}`);
+        reporter.warn(`Warning: Could not read cached video info: ${err.message}`);
       }
     }
     
@@ -344,7 +1034,7 @@ function getCachedVideoInfo(videoId) {
     try {
       fs.unlinkSync(cacheInfoPath);
     } catch (err) {
-      console.warn(`Warning: Could not remove stale cache info: ${err.message}`);
+      reporter.warn(`Warning: Could not remove stale cache info: ${err.message}`);
     }
   }
   
@@ -355,8 +1045,10 @@ function getCachedVideoInfo(videoId) {
  * Save video info to cache
  * @param {string} videoId - YouTube video ID
  * @param {object} info - Video info object
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
  */
-function saveCachedVideoInfo(videoId, info) {
+function saveCachedVideoInfo(videoId, info, options, reporter) {
   if (!options.cache) return;
   
   try {
@@ -364,26 +1056,105 @@ function saveCachedVideoInfo(videoId, info) {
     fs.writeFileSync(cacheInfoPath, JSON.stringify(info, null, 2));
     
     if (options.verbose) {
-      console.log(`Saved video info to cache: ${cacheInfoPath}`);
+      reporter.log(`Saved video info to cache: ${cacheInfoPath}`);
     }
   } catch (err) {
-    console.warn(`Warning: Could not save video info to cache: ${err.message}`);
+    reporter.warn(`Warning: Could not save video info to cache: ${err.message}`);
   }
 }
 
 /**
- * Clean up cache based on size and age limits
+ * Get the cache path for a complete source video in a given format
+ * @param {string} videoId - YouTube video ID
+ * @param {object} format - ytdl format
+ * @param {object} options - Conversion options
+ * @returns {string} - Path inside the cache's sources directory
  */
-function cleanupCache() {
-  if (!options.cache) return;
+function getSourceCachePath(videoId, format, options) {
+  return path.join(options.cacheDir, 'sources', `${videoId}-${format.itag}.${format.container || 'mp4'}`);
+}
+
+/**
+ * Check if a complete source video is cached
+ * @param {string} videoId - YouTube video ID
+ * @param {object} format - ytdl format
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
+ * @returns {string|null} - Path to cached video or null if not cached
+ */
+function getCachedSource(videoId, format, options, reporter) {
+  if (!options.cache) return null;
   
-  try {
-    // Get all cache files
-    const segmentsDir = path.join(options.cacheDir, 'segments');
-    const infoDir = path.join(options.cacheDir, 'info');
+  const cachedSourcePath = getSourceCachePath(videoId, format, options);
+  
+  if (fs.existsSync(cachedSourcePath)) {
+    const stats = fs.statSync(cachedSourcePath);
+    const fileAgeDays = (Date.now() - stats.mtime.getTime()) / (1000 * 60 * 60 * 24);
     
-    // Get all cache files with stats
-    const cacheFiles = [];
+    // Check if the file is not too old and not empty
+    if (fileAgeDays <= CACHE_MAX_AGE_DAYS && stats.size > 0) {
+      if (options.verbose) {
+        reporter.log(`Using cached source video: ${cachedSourcePath}`);
+      }
+      return cachedSourcePath;
+    }
+    
+    // Remove stale cache entry
+    try {
+      fs.unlinkSync(cachedSourcePath);
+    } catch (err) {
+      reporter.warn(`Warning: Could not remove stale cache entry: ${err.message}`);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Save a complete source video to cache
+ * @param {string} videoId - YouTube video ID
+ * @param {object} format - ytdl format
+ * @param {string} sourcePath - Path to the downloaded video
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
+ * @returns {string} - Path to cached video, or sourcePath if it could not be cached
+ */
+function saveCachedSource(videoId, format, sourcePath, options, reporter) {
+  if (!options.cache) return sourcePath;
+  
+  try {
+    const cachedSourcePath = getSourceCachePath(videoId, format, options);
+    
+    // Copy video to cache
+    fs.copyFileSync(sourcePath, cachedSourcePath);
+    
+    if (options.verbose) {
+      reporter.log(`Saved source video to cache: ${cachedSourcePath}`);
+    }
+    
+    return cachedSourcePath;
+  } catch (err) {
+    reporter.warn(`Warning: Could not save source video to cache: ${err.message}`);
+    return sourcePath;
+  }
+}
+
+/**
+ * Clean up cache based on size and age limits
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
+ */
+function cleanupCache(options, reporter) {
+  if (!options.cache) return;
+  
+  try {
+    // Get all cache files
+    const segmentsDir = path.join(options.cacheDir, 'segments');
+    const infoDir = path.join(options.cacheDir, 'info');
+    const sourcesDir = path.join(options.cacheDir, 'sources');
+    
+    // Get all cache files with stats
+    const cacheFiles = [];
     
     // Add segment files
     if (fs.existsSync(segmentsDir)) {
@@ -411,6 +1182,19 @@ function cleanupCache() {
       });
     }
     
+    // Add source videos
+    if (fs.existsSync(sourcesDir)) {
+      fs.readdirSync(sourcesDir).forEach(file => {
+        const filePath = path.join(sourcesDir, file);
+        const stats = fs.statSync(filePath);
+        cacheFiles.push({
+          path: filePath,
+          size: stats.size,
+          mtime: stats.mtime.getTime()
+        });
+      });
+    }
+    
     // First remove files that are too old
     const now = Date.now();
     const maxAge = CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
@@ -424,10 +1208,10 @@ function cleanupCache() {
       try {
         fs.unlinkSync(file.path);
         if (options.verbose) {
-          console.log(`Removed stale cache file: ${file.path}`);
+          reporter.log(`Removed stale cache file: ${file.path}`);
         }
       } catch (err) {
-        console.warn(`Warning: Could not remove cache file: ${err.message}`);
+        reporter.warn(`Warning: Could not remove cache file: ${err.message}`);
       }
     });
     
@@ -447,19 +1231,19 @@ function cleanupCache() {
         totalSize -= oldestFile.size;
         
         if (options.verbose) {
-          console.log(`Removed old cache file to save space: ${oldestFile.path}`);
+          reporter.log(`Removed old cache file to save space: ${oldestFile.path}`);
         }
       } catch (err) {
-        console.warn(`Warning: Could not remove cache file: ${err.message}`);
+        reporter.warn(`Warning: Could not remove cache file: ${err.message}`);
       }
     }
     
     if (options.verbose) {
       const currentSizeMB = Math.round(totalSize / (1024 * 1024));
-      console.log(`Cache size after cleanup: ${currentSizeMB}MB / ${options.cacheSize}MB`);
+      reporter.log(`Cache size after cleanup: ${currentSizeMB}MB / ${options.cacheSize}MB`);
     }
   } catch (err) {
-    console.warn(`Warning: Error during cache cleanup: ${err.message}`);
+    reporter.warn(`Warning: Error during cache cleanup: ${err.message}`);
   }
 }
 
@@ -469,9 +1253,10 @@ function cleanupCache() {
  * @param {number} [maxRetries=3] - Maximum number of retry attempts
  * @param {number} [delay=1000] - Delay between retries in milliseconds
  * @param {Function} [onRetry] - Function to call on retry
+ * @param {object} [reporter] - Reporter used when no onRetry callback is given
  * @returns {Promise<any>} - Result of the function
  */
-async function withRetry(fn, maxRetries = DEFAULT_RETRY_ATTEMPTS, delay = DEFAULT_RETRY_DELAY_MS, onRetry = null) {
+async function withRetry(fn, maxRetries = DEFAULT_RETRY_ATTEMPTS, delay = DEFAULT_RETRY_DELAY_MS, onRetry = null, reporter = null) {
   let lastError;
   
   for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
@@ -486,9 +1271,9 @@ async function withRetry(fn, maxRetries = DEFAULT_RETRY_ATTEMPTS, delay = DEFAUL
         
         if (onRetry) {
           onRetry(err, attempt, maxRetries);
-        } else if (options.verbose) {
-          console.warn(`Attempt ${attempt}/${maxRetries + 1} failed: ${err.message}`);
-          console.warn(`Retrying in ${Math.round(retryDelay / 1000)} seconds...`);
+        } else if (reporter) {
+          reporter.warn(`Attempt ${attempt}/${maxRetries + 1} failed: ${err.message}`);
+          reporter.warn(`Retrying in ${Math.round(retryDelay / 1000)} seconds...`);
         }
         
         await new Promise(resolve => setTimeout(resolve, retryDelay));
@@ -575,1355 +1360,4239 @@ function addTimestampToUrl(url, seconds) {
 }
 
 /**
- * Check if memory usage exceeds the limit
- * @returns {boolean} True if memory limit is exceeded, false otherwise
+ * Download a YouTube caption track in the given language
+ * @param {object} videoInfo - Video info from ytdl.getInfo
+ * @param {string} language - Language code, e.g. en
+ * @param {object} options - Conversion options (verbose)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<string>} - The track as WebVTT
  */
-function isMemoryLimitExceeded() {
-  if (options.memoryLimit <= 0) {
-    return false; // No limit set
-  }
+async function fetchYouTubeSubtitles(videoInfo, language, options, reporter) {
+  const track = selectCaptionTrack(videoInfo, language);
   
-  const memUsage = getMemoryUsage();
-  return memUsage.rss > options.memoryLimit;
+  reporter.log(`Downloading ${track.kind === 'asr' ? 'automatic ' : ''}"${track.languageCode}" captions...`);
+  return withRetry(() => downloadCaptionTrack(track), DEFAULT_RETRY_ATTEMPTS, DEFAULT_RETRY_DELAY_MS, null, reporter);
 }
 
 /**
- * Log memory usage if verbose mode is enabled
+ * Read the start time from a YouTube URL's t= or start= parameter (90, 90s, 1m30s)
+ * @param {string} url - YouTube URL
+ * @returns {number|undefined} - Start time in seconds, or undefined if the URL has none
+ * @throws {Error} If the parameter is not a valid time
  */
-function logMemoryUsage() {
-  if (!options.verbose) return;
+function getTimestampFromUrl(url) {
+  let value;
+  try {
+    const parsedUrl = new URL(url);
+    const hashParams = new URLSearchParams(parsedUrl.hash.slice(1));
+    value = parsedUrl.searchParams.get('t') || parsedUrl.searchParams.get('start') || hashParams.get('t');
+  } catch (e) {
+    const match = url.match(/[?&#](?:t|start)=([^&#]+)/);
+    value = match ? match[1] : null;
+  }
   
-  const memUsage = getMemoryUsage();
-  console.log('Memory usage:');
-  console.log(`  Process RSS: ${memUsage.rss}MB`);
-  console.log(`  Heap used: ${memUsage.heapUsed}MB / ${memUsage.heapTotal}MB`);
-  console.log(`  System memory: ${memUsage.freeSystemMemory}MB free of ${memUsage.totalSystemMemory}MB`);
+  if (!value) {
+    return undefined;
+  }
   
-  if (options.memoryLimit > 0) {
-    console.log(`  Memory limit: ${options.memoryLimit}MB (${Math.round(memUsage.rss / options.memoryLimit * 100)}% used)`);
+  try {
+    return parseTime(value);
+  } catch (err) {
+    throw new Error(`Invalid timestamp in URL: ${err.message}`);
   }
 }
 
 /**
- * Download a segment of a YouTube video based on start time and duration
- * This implementation downloads the entire video and then extracts the segment
- * @param {string} videoId - YouTube video ID
- * @param {object} videoInfo - Video info from ytdl.getInfo
- * @param {number} startTime - Start time in seconds
- * @param {number} duration - Duration in seconds
- * @param {string} outputPath - Output path for the segment
- * @param {string} quality - Quality level to download
- * @returns {Promise<string>} - Path to the downloaded segment
+ * Get the length, frame rate, size and frame count of a local video
+ * @param {string} videoPath - Path to the video
+ * @param {boolean} [countFrames=false] - Decode the file to count frames exactly, for formats
+ *   such as GIF whose headers don't record the count
+ * @returns {Promise<object>} - { length, frameRate, width, height, frameCount, startTime }, with null for anything
+ *   ffprobe can't tell; startTime is the first timestamp in seconds, 0 if unknown
  */
-async function downloadVideoSegment(videoId, videoInfo, startTime, duration, outputPath, quality = 'auto') {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Check if segment is already cached
-      const cachedSegmentPath = getCachedSegment(videoId, startTime, duration);
-      if (cachedSegmentPath) {
-        // If we found a cached segment, copy it to the output path
-        fs.copyFileSync(cachedSegmentPath, outputPath);
-        return resolve(outputPath);
-      }
-      
-      // Output appropriate message for seeking vs. starting at 0
-      if (startTime > 0) {
-        console.log(`Downloading segment from ${startTime}s to ${startTime + duration}s...`);
-      } else {
-        console.log(`Downloading segment of ${duration}s duration...`);
-      }
-      
-      // Select format based on quality preference
-      let formats = videoInfo.formats.filter(format => format.hasVideo);
-      
-      // Prefer MP4 format when available for better compatibility
-      const mp4Formats = formats.filter(format => 
-        format.container === 'mp4' || 
-        format.mimeType?.includes('mp4') ||
-        format.mimeType?.includes('h264')
-      );
-      
-      // Use MP4 formats if available, otherwise use all available formats
-      const compatibleFormats = mp4Formats.length > 0 ? mp4Formats : formats;
-      
-      if (options.verbose && mp4Formats.length > 0) {
-        console.log('Found MP4/H.264 formats for better compatibility');
+function probeVideo(videoPath, countFrames = false) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, countFrames ? ['-count_frames'] : [], (err, metadata) => {
+      if (err) {
+        return reject(new Error(`Could not read video information from ${videoPath}: ${err.message}`));
       }
       
-      let selectedFormat;
-      
-      // If auto quality, use target width to determine best format
-      if (quality === 'auto') {
-        // Target width from options plus a buffer (1.5x to ensure quality)
-        const targetWidth = Math.min(1920, parseInt(options.width) * 1.5);
-        
-        // Sort by width and find first format with width >= target
-        compatibleFormats.sort((a, b) => a.width - b.width);
-        
-        // Find first format with width >= target or use highest available
-        selectedFormat = compatibleFormats.find(f => f.width >= targetWidth) || compatibleFormats[compatibleFormats.length - 1];
-        
-        if (options.verbose) {
-          console.log(`Auto-selected format: ${selectedFormat.qualityLabel || 'unknown'} (${selectedFormat.width}x${selectedFormat.height})`);
-        }
-      }
-      // Handle specific quality requests
-      else {
-        compatibleFormats.sort((a, b) => a.width - b.width);
-        
-        // Quality selection based on the user's preference
-        const formatCount = compatibleFormats.length;
-        
-        switch (quality) {
-          case 'lowest':
-            selectedFormat = compatibleFormats[0];
-            break;
-          case 'low':
-            selectedFormat = compatibleFormats[Math.floor(formatCount * 0.25)] || compatibleFormats[0];
-            break;
-          case 'medium':
-            selectedFormat = compatibleFormats[Math.floor(formatCount * 0.5)] || compatibleFormats[0];
-            break;
-          case 'high':
-            selectedFormat = compatibleFormats[Math.floor(formatCount * 0.75)] || compatibleFormats[compatibleFormats.length - 1];
-            break;
-          case 'highest':
-            selectedFormat = compatibleFormats[formatCount - 1];
-            break;
-          default:
-            selectedFormat = compatibleFormats[Math.floor(formatCount * 0.5)] || compatibleFormats[0];
-        }
-        
-        if (options.verbose) {
-          console.log(`Selected ${quality} quality format: ${selectedFormat.qualityLabel || 'unknown'} (${selectedFormat.width}x${selectedFormat.height})`);
-        }
+      const stream = metadata.streams.find(s => s.codec_type === 'video');
+      if (!stream) {
+        return reject(new Error(`No video stream found in ${videoPath}`));
       }
       
-      // Generate temporary file paths
-      const tempFullVideoPath = `${outputPath}.full.mp4`;
-      
-      // Download the full video or a larger segment
-      console.log(`Downloading full or partial video...`);
-      
-      // Create a video stream
-      const videoStream = ytdl.downloadFromInfo(videoInfo, { format: selectedFormat });
-      const writeStream = fs.createWriteStream(tempFullVideoPath);
-      
-      videoStream.pipe(writeStream);
-      
-      videoStream.on('error', (streamErr) => {
-        console.error('Error downloading video stream:', streamErr.message);
-        
-        // Provide more helpful error messages for common issues
-        if (streamErr.message.includes('403')) {
-          console.error('\nAccess denied (403 Forbidden) when downloading this video.');
-          console.error('This can happen due to:');
-          console.error('  - Age-restricted videos');
-          console.error('  - Geo-restricted videos');
-          console.error('  - Videos with copyright strikes');
-          console.error('  - Recent changes in YouTube\'s access policies');
-          console.error('\nTry downloading the video manually and use the -i option instead:');
-          console.error(`  yt-dlp "${options.url}" -o video.mp4`);
-          console.error(`  vgif -i video.mp4 -s ${options.start} -d ${options.duration} -c ${options.crossfade} -w ${options.width}`);
-        }
-        
-        reject(streamErr);
-      });
-      
-      writeStream.on('finish', () => {
-        console.log('Video download complete. Extracting segment...');
-        
-        // Use FFmpeg to extract the segment from the full video
-        const threadOpt = options.threads > 0 ? 
-          ['-threads', String(options.threads)] : 
-          (options.threads === 0 ? ['-threads', String(os.cpus().length)] : []);
-        
-        ffmpeg(tempFullVideoPath)
-          .seekInput(startTime)
-          .duration(duration)
-          .outputOptions([
-            // Copy streams without re-encoding if possible
-            '-c:v', 'copy',
-            '-c:a', 'copy',
-            ...threadOpt
-          ])
-          .output(outputPath)
-          .on('start', (commandLine) => {
-            if (options.verbose) {
-              console.log('FFmpeg extract command:', commandLine);
-            }
-          })
-          .on('end', () => {
-            console.log('Segment extraction complete');
-            
-            // Clean up temp files
-            try {
-              fs.unlinkSync(tempFullVideoPath);
-            } catch (e) {
-              // Ignore cleanup errors
-            }
-            
-            // Verify output file
-            if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
-              console.error('Error: Extracted segment is empty or missing');
-              
-              // Try one more time with transcoding instead of copy
-              console.log('Retrying extraction with transcoding...');
-              
-              ffmpeg(tempFullVideoPath)
-                .seekInput(startTime)
-                .duration(duration)
-                .outputOptions([
-                  '-c:v', 'h264',
-                  '-crf', '23',
-                  '-preset', 'fast',
-                  ...threadOpt
-                ])
-                .output(outputPath)
-                .on('end', () => {
-                  console.log('Transcoded segment extraction complete');
-                  
-                  try {
-                    if (fs.existsSync(tempFullVideoPath)) {
-                      fs.unlinkSync(tempFullVideoPath);
-                    }
-                  } catch (e) {
-                    // Ignore cleanup errors
-                  }
-                  
-                  // Save to cache
-                  if (options.cache) {
-                    saveCachedSegment(videoId, startTime, duration, outputPath);
-                  }
-                  
-                  resolve(outputPath);
-                })
-                .on('error', (transErr) => {
-                  console.error('Transcoded extraction failed:', transErr.message);
-                  reject(transErr);
-                })
-                .run();
-            } else {
-              // Save to cache
-              if (options.cache) {
-                saveCachedSegment(videoId, startTime, duration, outputPath);
-              }
-              
-              resolve(outputPath);
-            }
-          })
-          .on('error', (extractErr) => {
-            console.error('Error extracting segment:', extractErr.message);
-            
-            // Try one more time with transcoding instead of copy
-            console.log('Retrying extraction with transcoding...');
-            
-            ffmpeg(tempFullVideoPath)
-              .seekInput(startTime)
-              .duration(duration)
-              .outputOptions([
-                '-c:v', 'h264',
-                '-crf', '23',
-                '-preset', 'fast',
-                ...threadOpt
-              ])
-              .output(outputPath)
-              .on('end', () => {
-                console.log('Transcoded segment extraction complete');
-                
-                try {
-                  if (fs.existsSync(tempFullVideoPath)) {
-                    fs.unlinkSync(tempFullVideoPath);
-                  }
-                } catch (e) {
-                  // Ignore cleanup errors
-                }
-                
-                // Save to cache
-                if (options.cache) {
-                  saveCachedSegment(videoId, startTime, duration, outputPath);
-                }
-                
-                resolve(outputPath);
-              })
-              .on('error', (transErr) => {
-                console.error('Transcoded extraction failed:', transErr.message);
-                reject(transErr);
-              })
-              .run();
-          })
-          .run();
-      });
+      // r_frame_rate is a fraction like 30000/1001
+      const [num, den] = String(stream.avg_frame_rate || stream.r_frame_rate || '').split('/').map(Number);
+      const frameRate = num && den ? num / den : null;
+      const length = parseFloat(metadata.format.duration) || parseFloat(stream.duration) || null;
       
-      writeStream.on('error', (fileErr) => {
-        console.error('Error writing video file:', fileErr.message);
-        reject(fileErr);
+      resolve({
+        length,
+        frameRate,
+        width: stream.width || null,
+        height: stream.height || null,
+        frameCount: parseInt(stream.nb_read_frames) || parseInt(stream.nb_frames) ||
+          (length && frameRate ? Math.round(length * frameRate) : null),
+        startTime: parseFloat(metadata.format.start_time) || 0
       });
-      
-    } catch (err) {
-      console.error('Error in downloadVideoSegment:', err.message);
-      reject(err);
-    }
+    });
   });
 }
 
-// Function to check if crossfade is enabled
-function isCrossfadeEnabled() {
-  return options.crossfade > 0;
-}
-
-// Function to check if hardware acceleration is available
-async function detectHardwareAcceleration() {
-  return new Promise((resolve) => {
-    // Always return no hardware acceleration for troubleshooting
-    const hwAccel = {
-      available: false,
-      type: null,
-      filters: [],
-      options: []
-    };
+/**
+ * Get YouTube video info from the cache, or fetch it with retry logic
+ * @param {string} videoId - YouTube video ID
+ * @param {string} url - YouTube URL
+ * @param {object} options - Conversion options (cache, verbose)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object>} - Video info from ytdl.getInfo
+ */
+async function fetchVideoInfo(videoId, url, options, reporter) {
+  // Try to get video info from cache first
+  let videoInfo = getCachedVideoInfo(videoId, options, reporter);
+  
+  if (videoInfo) {
+    return videoInfo;
+  }
+  
+  // If not in cache, fetch it with retry logic
+  try {
+    videoInfo = await withRetry(
+      async () => await ytdl.getInfo(url, { 
+        requestOptions: { headers: { 'User-Agent': 'Mozilla/5.0' } } 
+      }),
+      DEFAULT_RETRY_ATTEMPTS,
+      DEFAULT_RETRY_DELAY_MS,
+      (err, attempt, max) => {
+        reporter.warn(`Attempt ${attempt}/${max + 1} to fetch video info failed: ${err.message}`);
+        reporter.warn(`Retrying in ${Math.round(DEFAULT_RETRY_DELAY_MS * Math.pow(1.5, attempt - 1) / 1000)} seconds...`);
+      }
+    );
     
-    console.log('Hardware acceleration disabled for troubleshooting');
-    resolve(hwAccel);
-  });
-}
-
-// Validate that either URL or input file is provided
-if (!options.url && !options.input) {
-  console.error('Error: You must provide either a YouTube URL (-u, --url) or a local video file path (-i, --input)');
-  process.exit(1);
-}
-
-// Validate that both URL and input aren't provided at the same time
-if (options.url && options.input) {
-  console.error('Error: Please provide either a YouTube URL (-u, --url) OR a local file path (-i, --input), not both');
-  process.exit(1);
+    // Save to cache if successful
+    if (videoInfo && options.cache) {
+      saveCachedVideoInfo(videoId, videoInfo, options, reporter);
+    }
+  } catch (error) {
+    if (options.verbose) {
+      reporter.error('Error details:', error);
+    }
+    reporter.error('Failed to fetch video information after multiple attempts.');
+    throw new Error('YouTube may have changed their API or the video might be restricted.');
+  }
+  
+  return videoInfo;
 }
 
 /**
- * Function to create a crossfade effect for perfectly looping GIFs using a simplified approach
- * that should work regardless of how the video was downloaded or what position we're seeking to.
- *
- * @param {string} videoPath - Path to the source video
- * @param {string} tempDir - Temporary directory for processing files
- * @param {string} outputPath - Path where the final GIF will be saved
- * @param {object} hwAccel - Hardware acceleration object with detection results
- * @param {function} cleanupCallback - Optional callback function for cleaning up temp files
- * @returns {Promise} - Resolves when GIF is created
+ * Select the YouTube format to download based on the quality preference
+ * @param {object} videoInfo - Video info from ytdl.getInfo
+ * @param {object} options - Conversion options (quality, width, verbose)
+ * @param {object} reporter - Reporter used for output
+ * @returns {object} - Selected ytdl format
  */
-async function processCrossfade(videoPath, tempDir, outputPath, hwAccel = { available: false }, cleanupCallback = null) {
-  try {
-    console.log('Creating crossfade effect directly...');
+function selectVideoFormat(videoInfo, options, reporter) {
+  const quality = options.quality;
+  
+  // Select format based on quality preference
+  let formats = videoInfo.formats.filter(format => format.hasVideo);
+  
+  // Prefer MP4 format when available for better compatibility
+  const mp4Formats = formats.filter(format => 
+    format.container === 'mp4' || 
+    format.mimeType?.includes('mp4') ||
+    format.mimeType?.includes('h264')
+  );
+  
+  // Use MP4 formats if available, otherwise use all available formats
+  const compatibleFormats = mp4Formats.length > 0 ? mp4Formats : formats;
+  
+  if (options.verbose && mp4Formats.length > 0) {
+    reporter.log('Found MP4/H.264 formats for better compatibility');
+  }
+  
+  let selectedFormat;
+  
+  // If auto quality, use target width to determine best format
+  if (quality === 'auto') {
+    // Target width from options plus a buffer (1.5x to ensure quality)
+    const targetWidth = Math.min(1920, options.width * 1.5);
     
-    // Create a temporary video with crossfade
-    const tempVideoPath = path.join(tempDir, 'crossfade_video.mp4');
+    // Sort by width and find first format with width >= target
+    compatibleFormats.sort((a, b) => a.width - b.width);
     
-    // Track this temp file for cleanup if needed
-    if (typeof trackTempFile === 'function') {
-      trackTempFile(tempVideoPath);
+    // Find first format with width >= target or use highest available
+    selectedFormat = compatibleFormats.find(f => f.width >= targetWidth) || compatibleFormats[compatibleFormats.length - 1];
+    
+    if (options.verbose) {
+      reporter.log(`Auto-selected format: ${selectedFormat.qualityLabel || 'unknown'} (${selectedFormat.width}x${selectedFormat.height})`);
     }
+  }
+  // Handle specific quality requests
+  else {
+    compatibleFormats.sort((a, b) => a.width - b.width);
     
-    // Parse durations and calculate timing
-    const totalDuration = parseFloat(options.duration);
-    const crossfadeDuration = options.crossfade;
+    // Quality selection based on the user's preference
+    const formatCount = compatibleFormats.length;
     
-    // For simplicity's sake, we'll just extract the whole segment once and create the crossfade
-    // using that segment, rather than trying to calculate offsets into the original video
-    return new Promise((resolve, reject) => {
-      // Create a filter that makes the end of the clip fade into the beginning
-      // to create a perfect loop
-      let complexFilter = [
-        // Split the video into parts we'll need
-        '[0:v]split=3[begin][middle][end]',
-        
-        // Extract the main portion from after the initial crossfade duration to before the end
-        '[middle]trim=start=' + crossfadeDuration + ':end=' + (totalDuration - crossfadeDuration) + ',setpts=PTS-STARTPTS[main]',
-        
-        // Extract the beginning portion for the end transition
-        '[begin]trim=start=0:end=' + crossfadeDuration + ',setpts=PTS-STARTPTS,format=yuva420p,fade=t=in:st=0:d=' + crossfadeDuration + ':alpha=1[fadein]',
-        
-        // Extract the end portion with fade out
-        '[end]trim=start=' + (totalDuration - crossfadeDuration) + ':end=' + totalDuration + ',setpts=PTS-STARTPTS,format=yuva420p,fade=t=out:st=0:d=' + crossfadeDuration + ':alpha=1[fadeout]',
-        
-        // Overlay the beginning (fadein) over the end (fadeout) to create the loop transition
-        '[fadeout][fadein]overlay[transition]',
-        
-        // Concatenate the main part with the transition to create the final looping video
-        '[main][transition]concat=n=2:v=1:a=0'
-      ].join(';');
-      
-      /* 
-      // DEBUG VERSION with visual timecodes - uncomment if needed for troubleshooting
-      if (options.verbose) {
-        complexFilter = [
-          // Main section with RED timestamp
-          `[0:v]trim=start=${startTime + baseOffset}:duration=${mainDuration},setpts=PTS-STARTPTS,drawtext=text='MAIN %{pts\\:hms}':x=10:y=10:fontsize=36:fontcolor=red:box=1:boxcolor=black@0.5[main]`,
-          
-          // End segment with fade out
-          `[0:v]trim=start=${startTime + mainDuration + baseOffset}:duration=${crossfadeDuration},setpts=PTS-STARTPTS,format=yuva420p,fade=t=out:st=0:d=${crossfadeDuration}:alpha=1[fout]`,
-          
-          // Beginning segment with BLUE timestamp in top-right
-          `[0:v]trim=start=${startTime}:duration=${crossfadeDuration},setpts=PTS-STARTPTS,drawtext=text='START %{pts\\:hms}':x=w-280:y=10:fontsize=36:fontcolor=blue:box=1:boxcolor=white@0.5,format=yuva420p,fade=t=in:st=0:d=${crossfadeDuration}:alpha=1[fin]`,
-          
-          // Overlay the fading segments
-          `[fin][fout]overlay[crossfade]`,
-          
-          // Join the main part with the crossfade
-          `[main][crossfade]concat=n=2:v=1:a=0`
-        ].join(';');
-      }
-      */
-      
-      // Log memory usage before processing
-      logMemoryUsage();
-      
-      // Check if memory limit is already exceeded
-      if (isMemoryLimitExceeded()) {
-        console.warn('Warning: Memory limit already exceeded before processing');
-        if (options.memoryLimit > 0) {
-          console.warn(`Current memory usage: ${getMemoryUsage().rss}MB, limit: ${options.memoryLimit}MB`);
-        }
-      }
-      
-      let command = ffmpeg(videoPath)
-        .complexFilter(complexFilter)
-        .output(tempVideoPath)
-        .outputOptions(['-map', '0:a?']); // Include audio if present
-        
-      // Apply threading options if specified
-      if (options.threads > 0) {
-        command.outputOptions([
-          `-threads ${options.threads}`
-        ]);
-        if (options.verbose) {
-          console.log(`Using ${options.threads} FFmpeg threads for crossfade processing`);
-        }
-      } else if (options.threads === 0) {
-        // Auto-threading mode - use CPU core count
-        const cpuCount = os.cpus().length;
-        command.outputOptions([
-          `-threads ${cpuCount}`
-        ]);
-        if (options.verbose) {
-          console.log(`Using auto-threading with ${cpuCount} CPU cores for crossfade processing`);
-        }
-      }
-        
-      command.on('start', (commandLine) => {
-        if (options.verbose) {
-          console.log('FFmpeg command:', commandLine);
-        }
-      })
-        .on('end', () => {
-          console.log('Crossfade video created successfully');
-          
-          // Now convert the video to GIF using high-quality two-pass approach
-          console.log('Generating palette for high-quality GIF...');
-          
-          // Ensure output directory exists
-          const outputDir = path.dirname(path.resolve(outputPath));
-          if (!fs.existsSync(outputDir)) {
-            console.log(`Creating output directory: ${outputDir}`);
-            fs.mkdirSync(outputDir, { recursive: true });
-          }
-          
-          // Check that we have write access to the output directory
-          try {
-            fs.accessSync(outputDir, fs.constants.W_OK);
-          } catch (err) {
-            console.error(`Error: No write permission to output directory: ${outputDir}`);
-            throw err;
-          }
-          
-          // Log memory usage before second pass
-          logMemoryUsage();
-          
-          // Optimized single-pass approach for crossfade GIF
-          console.log('Creating optimized GIF with single-pass filtergraph...');
-          
-          // Use a single complex filtergraph for palette generation and application
-          let ffmpegCrossfade = ffmpeg(tempVideoPath);
-          
-          // Apply hardware acceleration if available
-          if (hwAccel.available) {
-            console.log(`Using ${hwAccel.type} hardware acceleration for crossfade`);
-            hwAccel.options.forEach(option => {
-              ffmpegCrossfade.inputOption(option);
-            });
-          }
-          
-          // Apply threading options
-          if (options.threads > 0) {
-            ffmpegCrossfade.outputOptions([
-              `-threads ${options.threads}`
-            ]);
-            if (options.verbose) {
-              console.log(`Using ${options.threads} FFmpeg threads for GIF creation`);
-            }
-          } else if (options.threads === 0) {
-            // Auto-threading mode - use CPU core count
-            const cpuCount = os.cpus().length;
-            ffmpegCrossfade.outputOptions([
-              `-threads ${cpuCount}`
-            ]);
-            if (options.verbose) {
-              console.log(`Using auto-threading with ${cpuCount} CPU cores for GIF creation`);
-            }
-          }
-          
-          ffmpegCrossfade
-            .complexFilter([
-              // Set FPS and scale the video
-              `fps=${options.fps},scale=${options.width}:-1:flags=lanczos,split[s0][s1]`,
-              // Generate the palette from the scaled video
-              `[s0]palettegen=stats_mode=diff:max_colors=${options.colors}[palette]`,
-              // Apply the palette to the scaled video
-              `[s1][palette]paletteuse=dither=${options.dither}`
-            ])
-            .outputOption('-loop', options.loops)
-            .format('gif')
-            .save(outputPath) // Use save() instead of output().run()
-            .on('end', async () => {
-              // Clean up the temporary crossfade video immediately
-              if (cleanupCallback) {
-                cleanupCallback(tempVideoPath);
-              }
-              
-              // Apply post-processing with gifsicle for better compression
-              try {
-                await postProcessGif(outputPath, options);
-              } catch (err) {
-                console.error('Error during post-processing:', err.message);
-              }
-              console.log(`Success! GIF with crossfade saved to: ${path.resolve(outputPath)}`);
-              resolve();
-            })
-            .on('error', (err) => {
-              console.error('Error creating final GIF:', err.message);
-              reject(err);
-            });
-        })
-        .on('error', (err) => {
-          console.error('Error creating crossfade video:', err.message);
-          reject(err);
-        })
-        .run();
-    });
-  } catch (error) {
-    console.error('Error in crossfade processing:', error.message);
-    throw error;
+    switch (quality) {
+      case 'lowest':
+        selectedFormat = compatibleFormats[0];
+        break;
+      case 'low':
+        selectedFormat = compatibleFormats[Math.floor(formatCount * 0.25)] || compatibleFormats[0];
+        break;
+      case 'medium':
+        selectedFormat = compatibleFormats[Math.floor(formatCount * 0.5)] || compatibleFormats[0];
+        break;
+      case 'high':
+        selectedFormat = compatibleFormats[Math.floor(formatCount * 0.75)] || compatibleFormats[compatibleFormats.length - 1];
+        break;
+      case 'highest':
+        selectedFormat = compatibleFormats[formatCount - 1];
+        break;
+      default:
+        selectedFormat = compatibleFormats[Math.floor(formatCount * 0.5)] || compatibleFormats[0];
+    }
+    
+    if (options.verbose) {
+      reporter.log(`Selected ${quality} quality format: ${selectedFormat.qualityLabel || 'unknown'} (${selectedFormat.width}x${selectedFormat.height})`);
+    }
   }
+  
+  return selectedFormat;
 }
 
 /**
- * Post-process a GIF file to optimize and compress it
- * @param {string} inputPath - Path to the input GIF
- * @param {object} options - Compression options
- * @param {number} options.colors - Number of colors (2-256)
- * @param {number} options.lossy - Lossy compression level (1-100)
- * @param {string} options.dither - Dithering method
- * @returns {Promise<void>} - Resolves when compression is complete
+ * Download a complete YouTube video in the given format
+ * @param {object} videoInfo - Video info from ytdl.getInfo
+ * @param {object} format - Format to download (see selectVideoFormat)
+ * @param {string} outputPath - Path where the video will be written
+ * @param {object} options - Conversion options (signal cancels the download)
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<string>} - Path to the downloaded video
  */
-async function postProcessGif(inputPath, options) {
+async function downloadFullVideo(videoInfo, format, outputPath, options, reporter) {
   return new Promise((resolve, reject) => {
-    // Skip if gifsicle is not available
-    if (!gifsicleAvailable) {
-      console.warn('Skipping optimization (gifsicle not available)');
-      return resolve();
-    }
+    // Create a video stream
+    const videoStream = ytdl.downloadFromInfo(videoInfo, { format });
+    const writeStream = fs.createWriteStream(outputPath);
     
-    // Skip optimization if colors are 256 and lossy is 0
-    if (options.colors === 256 && options.lossy === 0) {
-      console.log('Skipping optimization (using maximum quality settings)');
-      return resolve();
+    videoStream.pipe(writeStream);
+    
+    // Stop downloading when the conversion is cancelled
+    const { signal } = options;
+    const cancel = () => {
+      videoStream.destroy();
+      writeStream.destroy();
+      reject(new Error('Conversion cancelled'));
+    };
+    const release = () => signal && signal.removeEventListener('abort', cancel);
+    if (signal && signal.aborted) {
+      cancel();
+    } else if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
     }
     
-    console.log('Optimizing GIF to reduce file size...');
+    videoStream.on('progress', (chunkLength, downloaded, total) => {
+      if (total > 0) {
+        reporter.progress('download', downloaded / total * 100);
+      }
+    });
     
-    // Calculate original file size
-    const originalSize = fs.statSync(inputPath).size / (1024 * 1024); // in MB
-    
-    // Build gifsicle arguments
-    const args = [
-      '--optimize=3', // Highest optimization level
-      '--no-warnings',
-      `--colors=${options.colors}`
-    ];
-    
-    // Add lossy compression if enabled
-    if (options.lossy > 0) {
-      args.push(`--lossy=${options.lossy}`);
-    }
-    
-    // Add dithering option
-    if (options.dither === 'none') {
-      args.push('--no-dither');
-    } else if (options.dither === 'floyd_steinberg') {
-      args.push('--dither=floyd-steinberg');
-    } else if (options.dither === 'bayer') {
-      args.push('--dither=ordered');
-    } // sierra2_4a is used by default in gifsicle
-    
-    // Create a temporary path for the optimized GIF
-    const tempPath = `${inputPath}.tmp`;
-    args.push('--output', tempPath, inputPath);
-    
-    if (options.verbose) {
-      console.log(`Gifsicle arguments: ${args.join(' ')}`);
-    }
-    
-    // Use the gifsicle path we determined earlier
-    let gifsicleExe = gifsicleExePath;
-    
-    // If the path is an object (from npm package), extract the actual path
-    if (typeof gifsicleExe === 'object' && gifsicleExe !== null) {
-      if (gifsicleExe.path) {
-        gifsicleExe = gifsicleExe.path;
-      } else if (gifsicleExe.bin) {
-        gifsicleExe = gifsicleExe.bin;
-      } else {
-        // If we can't find the path in the object, use system gifsicle
-        gifsicleExe = 'gifsicle';
+    videoStream.on('error', (streamErr) => {
+      reporter.error('Error downloading video stream:', streamErr.message);
+      
+      // Provide more helpful error messages for common issues
+      if (streamErr.message.includes('403')) {
+        reporter.error('\nAccess denied (403 Forbidden) when downloading this video.');
+        reporter.error('This can happen due to:');
+        reporter.error('  - Age-restricted videos');
+        reporter.error('  - Geo-restricted videos');
+        reporter.error('  - Videos with copyright strikes');
+        reporter.error('  - Recent changes in YouTube\'s access policies');
+        reporter.error('\nTry downloading the video manually and use the -i option instead:');
+        reporter.error(`  yt-dlp "${options.url}" -o video.mp4`);
+        reporter.error(`  vgif -i video.mp4 -s ${options.start} -d ${options.duration} -c ${options.crossfade} -w ${options.width}`);
       }
-    }
+      
+      release();
+      reject(streamErr);
+    });
     
-    if (options.verbose) {
-      console.log(`Using gifsicle: ${gifsicleExe}`);
-    }
+    writeStream.on('finish', () => {
+      release();
+      resolve(outputPath);
+    });
     
-    execFile(gifsicleExe, args, (error) => {
-      if (error) {
-        console.error('Error optimizing GIF:', error.message);
-        console.warn('Using original unoptimized GIF');
-        return resolve();
+    writeStream.on('error', (fileErr) => {
+      reporter.error('Error writing video file:', fileErr.message);
+      release();
+      reject(fileErr);
+    });
+  });
+}
+
+/**
+ * Check whether only part of a format can be downloaded
+ *
+ * YouTube's adaptive MP4 formats are fragmented, with a segment index (sidx) that
+ * gives the byte range of every fragment; ytdl-core reports where the header and
+ * the index are.
+ *
+ * @param {object} format - ytdl format
+ * @returns {boolean} - True if the format has a header and segment index to fetch fragments by
+ */
+function supportsPartialDownload(format) {
+  return Boolean(format.url && format.initRange && format.indexRange &&
+    (format.container === 'mp4' || format.mimeType?.includes('mp4')));
+}
+
+/**
+ * Request a byte range over HTTP or HTTPS, following redirects
+ * @param {string} url - URL to request
+ * @param {number} first - First byte
+ * @param {number} last - Last byte, inclusive
+ * @param {object} options - Conversion options (signal)
+ * @param {number} [redirects=0] - Redirects followed so far
+ * @returns {Promise<http.IncomingMessage>} - Response carrying just the range
+ * @throws {Error} If the request fails or the server doesn't answer with the range
+ */
+function requestRange(url, first, last, options, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'http:' ? http : https;
+    const req = client.get(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0', Range: `bytes=${first}-${last}` },
+      signal: options.signal
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < MAX_REDIRECTS) {
+        res.resume();
+        resolve(requestRange(new URL(res.headers.location, url).href, first, last, options, redirects + 1));
+        return;
       }
       
-      // Replace the original file with the optimized one
-      fs.unlinkSync(inputPath);
-      fs.renameSync(tempPath, inputPath);
-      
-      // Calculate compression ratio
-      const newSize = fs.statSync(inputPath).size / (1024 * 1024); // in MB
-      const savingsPercent = ((originalSize - newSize) / originalSize) * 100;
+      // A 200 is the whole file: the server ignored the range
+      if (res.statusCode !== 206) {
+        res.resume();
+        reject(new Error(res.statusCode === 200 ?
+          'Server does not support range requests' :
+          `Range request failed with status ${res.statusCode}`));
+        return;
+      }
       
-      console.log(`GIF optimized: ${originalSize.toFixed(2)}MB → ${newSize.toFixed(2)}MB (${savingsPercent.toFixed(1)}% smaller)`);
-      resolve();
+      resolve(res);
     });
+    
+    req.on('error', reject);
   });
 }
 
 /**
- * Preprocess video with speed adjustment if needed
- * @param {string} inputPath - Path to the input video
- * @param {string} tempDir - Temporary directory for processing
- * @param {number} speed - Speed factor (1.0 = normal, 0.5 = half speed, 2.0 = double speed)
- * @returns {Promise<string>} - Path to the processed video
+ * Read a whole response body
+ * @param {http.IncomingMessage} res - Response
+ * @returns {Promise<Buffer>} - Body
  */
-async function preprocessVideoSpeed(inputPath, tempDir, speed) {
-  // If speed is 1.0 (normal), skip preprocessing
-  if (speed === 1.0) {
-    return inputPath;
-  }
-
+function readResponse(res) {
   return new Promise((resolve, reject) => {
-    const speedAdjustedPath = path.join(tempDir, 'speed_adjusted.mp4');
-    
-    // Track this temp file for cleanup if needed
-    if (typeof trackTempFile === 'function') {
-      trackTempFile(speedAdjustedPath);
-    }
-    
-    console.log(`Preprocessing video to ${speed}x speed...`);
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks)));
+    res.on('error', reject);
+  });
+}
+
+/**
+ * Download the part of a fragmented MP4 format that covers a segment
+ *
+ * Reads the format's header and segment index, then fetches just the fragments from
+ * the keyframe before the segment (less PARTIAL_DOWNLOAD_MARGIN) to the end of it (plus
+ * the margin) and writes them after the header. The result is a playable MP4 that
+ * keeps the timestamps of the full video, so a seek into it is offset by its start.
+ *
+ * @param {object} format - ytdl format that supportsPartialDownload
+ * @param {number} startTime - Start of the segment in seconds
+ * @param {number} duration - Duration of the segment in seconds
+ * @param {string} outputPath - Path where the partial video will be written
+ * @param {object} options - Conversion options (signal, verbose)
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<object>} - { path, offset } where offset is how many seconds of the
+ *   full video come before the partial one, to subtract from seek times
+ * @throws {Error} If the index can't be read or a range can't be fetched
+ */
+async function downloadPartialVideo(format, startTime, duration, outputPath, options, reporter) {
+  const initEnd = parseInt(format.initRange.end);
+  const indexStart = parseInt(format.indexRange.start);
+  const indexEnd = parseInt(format.indexRange.end);
+  
+  // The header and the index come first in the file, so one request gets both
+  const head = await readResponse(await requestRange(format.url, 0, indexEnd, options));
+  
+  const fragments = parseSegmentIndex(head, indexStart);
+  const range = getFragmentRange(
+    fragments,
+    startTime + fragments[0].start - PARTIAL_DOWNLOAD_MARGIN,
+    startTime + fragments[0].start + duration + PARTIAL_DOWNLOAD_MARGIN
+  );
+  if (!range) {
+    const last = fragments[fragments.length - 1];
+    throw new Error(`The segment starts after the end of the video's index (${formatTime(last.start + last.duration - fragments[0].start)})`);
+  }
+  
+  const total = range.last - range.first + 1;
+  if (options.verbose) {
+    reporter.log(`Fetching ${(total / (1024 * 1024)).toFixed(2)}MB of fragments covering ${formatTime(range.start - fragments[0].start)} to ${formatTime(range.end - fragments[0].start)}`);
+  }
+  
+  fs.writeFileSync(outputPath, head.subarray(0, initEnd + 1));
+  const res = await requestRange(format.url, range.first, range.last, options);
+  
+  await new Promise((resolve, reject) => {
+    const writeStream = fs.createWriteStream(outputPath, { flags: 'a' });
+    let downloaded = 0;
     
-    // Log memory usage if enabled
-    logMemoryUsage();
-    
-    // Apply speed effect using setpts filter
-    // Note: setpts=1/speed*PTS makes the video faster when speed > 1.0 and slower when speed < 1.0
-    let command = ffmpeg(inputPath)
-      .videoFilter(`setpts=1/${speed}*PTS`)
-      .audioFilter(`atempo=${speed}`); // Adjust audio speed too if present
-    
-    // Apply threading options if specified
-    if (options.threads > 0) {
-      command.outputOptions([
-        `-threads ${options.threads}`
-      ]);
-      if (options.verbose) {
-        console.log(`Using ${options.threads} FFmpeg threads for speed preprocessing`);
-      }
-    } else if (options.threads === 0) {
-      // Auto-threading mode - use CPU core count
-      const cpuCount = os.cpus().length;
-      command.outputOptions([
-        `-threads ${cpuCount}`
-      ]);
-      if (options.verbose) {
-        console.log(`Using auto-threading with ${cpuCount} CPU cores for speed preprocessing`);
+    res.on('data', (chunk) => {
+      downloaded += chunk.length;
+      reporter.progress('download', downloaded / total * 100);
+    });
+    res.on('error', reject);
+    writeStream.on('error', reject);
+    writeStream.on('finish', () => {
+      if (downloaded < total) {
+        reject(new Error(`Download ended after ${downloaded} of ${total} bytes`));
+      } else {
+        resolve();
       }
-    }
+    });
     
-    command.output(speedAdjustedPath)
+    res.pipe(writeStream);
+  });
+  
+  // FFmpeg seeks from the first timestamp in the file, which the fragments keep from the full video
+  const media = await probeVideo(outputPath);
+  return { path: outputPath, offset: media.startTime - fragments[0].start };
+}
+
+/**
+ * Build the command that cuts a segment out of a video
+ * @param {string} sourcePath - Path to the source video
+ * @param {number} startTime - Start time in seconds
+ * @param {number} duration - Duration in seconds
+ * @param {string} outputPath - Output path for the segment
+ * @param {string[]} codecOptions - SEGMENT_COPY_CODECS or SEGMENT_TRANSCODE_CODECS
+ * @param {object} options - Conversion options (threads)
+ * @returns {object} - fluent-ffmpeg command
+ */
+function buildExtractCommand(sourcePath, startTime, duration, outputPath, codecOptions, options) {
+  return createFfmpegCommand(sourcePath, options)
+    .seekInput(startTime)
+    .duration(duration)
+    .outputOptions([...codecOptions, ...getThreadOptions(options)])
+    .output(outputPath);
+}
+
+/**
+ * Cut a segment out of a local video, copying streams when possible and
+ * falling back to transcoding if the copy fails or produces an empty file
+ * @param {string} sourcePath - Path to the source video
+ * @param {number} startTime - Start time in seconds
+ * @param {number} duration - Duration in seconds
+ * @param {string} outputPath - Output path for the segment
+ * @param {object} options - Conversion options (threads, verbose)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<string>} - Path to the extracted segment
+ */
+async function extractSegment(sourcePath, startTime, duration, outputPath, options, reporter) {
+  const extract = (codecOptions) => new Promise((resolve, reject) => {
+    buildExtractCommand(sourcePath, startTime, duration, outputPath, codecOptions, options)
       .on('start', (commandLine) => {
         if (options.verbose) {
-          console.log('Speed preprocessing command:', commandLine);
+          reporter.log('FFmpeg extract command:', commandLine);
         }
       })
-      .on('end', () => {
-        console.log('Speed preprocessing complete');
-        // Log memory usage after processing if enabled
-        logMemoryUsage();
-        // Don't clean up the original file here - it will be handled after this function returns
-        resolve(speedAdjustedPath);
-      })
-      .on('error', (err) => {
-        console.error('Error preprocessing speed:', err.message);
-        // If speed preprocessing fails, fall back to the original video
-        console.warn('Falling back to original video speed');
-        resolve(inputPath);
-      })
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
       .run();
   });
+  
+  try {
+    // Copy streams without re-encoding if possible
+    await extract(SEGMENT_COPY_CODECS);
+    reporter.log('Segment extraction complete');
+    
+    // Verify output file
+    if (fs.existsSync(outputPath) && fs.statSync(outputPath).size > 0) {
+      return outputPath;
+    }
+    
+    reporter.error('Error: Extracted segment is empty or missing');
+  } catch (extractErr) {
+    reporter.error('Error extracting segment:', extractErr.message);
+  }
+  
+  // Try one more time with transcoding instead of copy
+  reporter.log('Retrying extraction with transcoding...');
+  
+  try {
+    await extract(SEGMENT_TRANSCODE_CODECS);
+  } catch (transErr) {
+    reporter.error('Transcoded extraction failed:', transErr.message);
+    throw transErr;
+  }
+  
+  reporter.log('Transcoded segment extraction complete');
+  return outputPath;
 }
 
-async function run() {
-  let tempDir = null;
-  let videoPath = null;
-  let processedVideoPath = null;
-  let usingTempVideo = false;
-  let tempFiles = [];
+/**
+ * Get a local copy of a complete YouTube video, reusing the cached copy when there is one
+ * so that any number of segments can be cut from a single download
+ * @param {string} videoId - YouTube video ID
+ * @param {object} videoInfo - Video info from ytdl.getInfo
+ * @param {string} downloadPath - Where to download the video if it is not cached
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output and progress
+ * @param {object} [format] - Format to download, if the caller has already selected it
+ * @returns {Promise<object>} - { path, downloaded } where downloaded is true if path is
+ *   a new file at downloadPath that the caller should clean up
+ */
+async function downloadSourceVideo(videoId, videoInfo, downloadPath, options, reporter, format = null) {
+  const selectedFormat = format || selectVideoFormat(videoInfo, options, reporter);
   
-  // Initialize cache if enabled
+  const cachedSourcePath = getCachedSource(videoId, selectedFormat, options, reporter);
+  if (cachedSourcePath) {
+    return { path: cachedSourcePath, downloaded: false };
+  }
+  
+  reporter.log(`Downloading full or partial video...`);
+  await downloadFullVideo(videoInfo, selectedFormat, downloadPath, options, reporter);
+  reporter.log('Video download complete.');
+  
+  // Save to cache
   if (options.cache) {
-    initializeCache();
+    saveCachedSource(videoId, selectedFormat, downloadPath, options, reporter);
   }
   
-  // Detect hardware acceleration capabilities
-  const hwAccel = await detectHardwareAcceleration();
+  return { path: downloadPath, downloaded: true };
+}
+
+/**
+ * Download a segment of a YouTube video based on start time and duration
+ * Formats with a segment index only have the fragments covering the segment downloaded;
+ * otherwise, or if that fails, this downloads the entire video (or reuses the cached
+ * source video). The segment is then cut out with FFmpeg.
+ * @param {string} videoId - YouTube video ID
+ * @param {object} videoInfo - Video info from ytdl.getInfo
+ * @param {number} startTime - Start time in seconds
+ * @param {number} duration - Duration in seconds
+ * @param {string} outputPath - Output path for the segment
+ * @param {object} options - Conversion options (quality, width, threads, cache)
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<string>} - Path to the downloaded segment
+ */
+async function downloadVideoSegment(videoId, videoInfo, startTime, duration, outputPath, options, reporter) {
+  // Check if segment is already cached
+  const cachedSegmentPath = getCachedSegment(videoId, startTime, duration, options, reporter);
+  if (cachedSegmentPath) {
+    // If we found a cached segment, copy it to the output path
+    fs.copyFileSync(cachedSegmentPath, outputPath);
+    return outputPath;
+  }
+  
+  // Output appropriate message for seeking vs. starting at 0
+  if (startTime > 0) {
+    reporter.log(`Downloading segment from ${startTime}s to ${startTime + duration}s...`);
+  } else {
+    reporter.log(`Downloading segment of ${duration}s duration...`);
+  }
+  
+  // Generate temporary file paths
+  const tempFullVideoPath = `${outputPath}.full.mp4`;
+  const tempPartialVideoPath = `${outputPath}.part.mp4`;
   
   try {
-    // Create temp directory
-    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-gif-'));
-    
-    // Create a function to clean up temp files immediately
-    const cleanupTempFile = (filePath) => {
-      if (filePath && fs.existsSync(filePath)) {
-        try {
-          fs.unlinkSync(filePath);
-          
-          // Remove from the tracked temp files array if present
-          const index = tempFiles.indexOf(filePath);
-          if (index > -1) {
-            tempFiles.splice(index, 1);
-          }
-          
-          if (options.verbose) {
-            console.log(`Cleaned up temp file: ${filePath}`);
-          }
-        } catch (err) {
-          console.warn(`Failed to clean up temp file ${filePath}: ${err.message}`);
-        }
-      }
-    };
+    const selectedFormat = selectVideoFormat(videoInfo, options, reporter);
+    const cachedSourcePath = getCachedSource(videoId, selectedFormat, options, reporter);
+    let source = cachedSourcePath ? { path: cachedSourcePath, offset: 0 } : null;
     
-    // Create a function to track temp files for later cleanup
-    const trackTempFile = (filePath) => {
-      if (filePath && !tempFiles.includes(filePath)) {
-        tempFiles.push(filePath);
+    // Fetch just the fragments around the segment when the format is indexed
+    if (!source && supportsPartialDownload(selectedFormat)) {
+      try {
+        source = await downloadPartialVideo(selectedFormat, startTime, duration, tempPartialVideoPath, options, reporter);
+        reporter.log('Partial video download complete.');
+      } catch (err) {
+        checkCancelled(options);
+        reporter.warn(`Warning: Partial download failed (${err.message}), downloading the full video instead`);
       }
-    };
+    }
     
-    // Function to find a non-conflicting filename
-    function getUniqueFilePath(basePath) {
-      if (!fs.existsSync(basePath)) {
-        return basePath;
-      }
-      
-      const ext = path.extname(basePath);
-      const baseWithoutExt = basePath.slice(0, -ext.length);
-      
-      let counter = 1;
-      let newPath;
-      
-      do {
-        newPath = `${baseWithoutExt}-${counter}${ext}`;
-        counter++;
-      } while (fs.existsSync(newPath));
-      
-      return newPath;
+    // Download the full video, or reuse the cached copy from an earlier segment
+    if (!source) {
+      const full = await downloadSourceVideo(videoId, videoInfo, tempFullVideoPath, options, reporter, selectedFormat);
+      source = { path: full.path, offset: 0 };
     }
     
-    // Determine output path based on input if not specified
-    let outputPath;
-    if (options.output) {
-      outputPath = options.output.endsWith('.gif') ? options.output : `${options.output}.gif`;
-    } else if (options.input) {
-      // Use input filename with .gif extension
-      const inputBasename = path.basename(options.input, path.extname(options.input));
-      const inputDir = path.dirname(options.input);
-      outputPath = path.join(inputDir, `${inputBasename}.gif`);
-    } else if (options.url) {
-      // For YouTube URLs without specified output, use the video ID (slug)
-      let videoId;
+    reporter.log('Extracting segment...');
+    await extractSegment(source.path, startTime - source.offset, duration, outputPath, options, reporter);
+  } catch (err) {
+    reporter.error('Error in downloadVideoSegment:', err.message);
+    throw err;
+  } finally {
+    // Clean up temp files
+    [tempFullVideoPath, tempPartialVideoPath].forEach(tempPath => {
       try {
-        // Extract the video ID from URL
-        const url = new URL(options.url);
-        if (url.hostname.includes('youtube.com')) {
-          videoId = url.searchParams.get('v');
-        } else if (url.hostname.includes('youtu.be')) {
-          videoId = url.pathname.substring(1);
+        if (fs.existsSync(tempPath)) {
+          fs.unlinkSync(tempPath);
         }
       } catch (e) {
-        // If URL parsing fails, fallback to regex
-        const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/i;
-        const match = options.url.match(regex);
-        videoId = match ? match[1] : null;
+        // Ignore cleanup errors
       }
-      
-      outputPath = videoId ? `youtube-${videoId}.gif` : `youtube-${Date.now()}.gif`;
-    } else {
-      outputPath = 'output.gif';
-    }
+    });
+  }
+  
+  // Save to cache
+  if (options.cache) {
+    saveCachedSegment(videoId, startTime, duration, outputPath, options, reporter);
+  }
+  
+  return outputPath;
+}
+
+/**
+ * Build the command that runs cropdetect over part of a video
+ * @param {string} videoPath - Path to the video
+ * @param {number} start - Start of the range in seconds
+ * @param {number} duration - Length of the range in seconds
+ * @param {object} options - Conversion options
+ * @returns {object} - fluent-ffmpeg command that logs crop suggestions to stderr
+ */
+function buildCropDetectCommand(videoPath, start, duration, options) {
+  return createFfmpegCommand(videoPath, options)
+    .seekInput(start)
+    .duration(duration)
+    // Limit 24 treats near-black as black; round to 2 so the size stays codec-friendly
+    .videoFilters('cropdetect=24:2:0')
+    .format('null')
+    .output('-');
+}
+
+/**
+ * Build the command that logs the scene change score of every frame in part of a video
+ * @param {string} videoPath - Path to the video
+ * @param {number} start - Start of the range in seconds
+ * @param {number} duration - Length of the range in seconds
+ * @param {object} options - Conversion options
+ * @returns {object} - fluent-ffmpeg command that logs the scores to stderr
+ */
+function buildSceneDetectCommand(videoPath, start, duration, options) {
+  return createFfmpegCommand(videoPath, options)
+    .seekInput(start)
+    .duration(duration)
+    // Scores don't depend much on resolution, so score small frames to save time
+    .videoFilters(['scale=160:-2', 'select=\'gte(scene,0)\'', 'metadata=print'])
+    .format('null')
+    .output('-');
+}
+
+/**
+ * Build the command that decodes part of a video to small grayscale frames for loop analysis
+ * @param {string} videoPath - Path to the video
+ * @param {number} start - Start of the range in seconds
+ * @param {number} duration - Length of the range in seconds
+ * @param {number} fps - Frames per second to sample
+ * @param {object} options - Conversion options
+ * @returns {object} - fluent-ffmpeg command without an output; pipe() it to read the frames
+ */
+function buildAnalysisFramesCommand(videoPath, start, duration, fps, options) {
+  return createFfmpegCommand(videoPath, options)
+    .seekInput(start)
+    .duration(duration)
+    .videoFilters([`fps=${fps}`, `scale=${ANALYSIS_SIZE}:${ANALYSIS_SIZE}`, 'format=gray'])
+    .format('rawvideo');
+}
+
+/**
+ * Get the filters that sample the output frames measured by --dither auto and --colors auto
+ *
+ * Pairs of consecutive output frames are taken from across the segment, so motion is
+ * measured between neighbouring frames.
+ *
+ * @param {object} options - Encode options (duration, fps and the getVideoFilters options)
+ * @returns {string[]} - Video filters
+ */
+function getContentSampleFilters(options) {
+  const frames = Math.round(options.duration * options.fps);
+  const step = Math.max(2, Math.floor(frames / CONTENT_PAIRS));
+  
+  return [...getVideoFilters(options), `select='lt(mod(n,${step}),2)'`];
+}
+
+/**
+ * Build the command that decodes the sampled output frames to small RGB images
+ * @param {string} videoPath - Path to the video
+ * @param {object} options - Encode options (start, duration and the getContentSampleFilters options)
+ * @returns {object} - fluent-ffmpeg command without an output; pipe() it to read the frames
+ */
+function buildContentFramesCommand(videoPath, options) {
+  return createFfmpegCommand(videoPath, options)
+    .seekInput(options.start)
+    .duration(options.duration)
+    .videoFilters([...getContentSampleFilters(options), `scale=${CONTENT_SIZE}:${CONTENT_SIZE}`, 'format=rgb24'])
+    .outputOptions(['-vsync', '0'])
+    .format('rawvideo');
+}
+
+/**
+ * Build the command that measures how closely a palette of some size reproduces the sampled frames
+ *
+ * The frames are mapped to the palette without dithering, so the score is the palette's
+ * own fidelity rather than the dither pattern's.
+ *
+ * @param {string} videoPath - Path to the video
+ * @param {number} colors - Palette size
+ * @param {object} options - Encode options (start, duration and the getContentSampleFilters options)
+ * @returns {object} - fluent-ffmpeg command that logs the PSNR to stderr
+ */
+function buildColorTestCommand(videoPath, colors, options) {
+  return createFfmpegCommand(videoPath, options)
+    .seekInput(options.start)
+    .duration(options.duration)
+    .complexFilter([
+      `${getContentSampleFilters(options).join(',')},split=3[frames][stats][reference]`,
+      `[stats]palettegen=stats_mode=diff:max_colors=${colors}[palette]`,
+      '[frames][palette]paletteuse=dither=none,format=rgb24[quantized]',
+      '[reference]format=rgb24[original]',
+      '[quantized][original]psnr'
+    ])
+    .format('null')
+    .output('-');
+}
+
+/**
+ * Find the black bars around a segment with FFmpeg's cropdetect filter
+ * @param {string} videoPath - Path to the video
+ * @param {number} start - Segment start in seconds
+ * @param {number} duration - Segment duration in seconds
+ * @param {object} options - Conversion options (verbose)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object|null>} - { width, height, x, y } of the picture, or null if nothing was found
+ */
+function detectCrop(videoPath, start, duration, options, reporter) {
+  return new Promise((resolve, reject) => {
+    let output = '';
     
-    // Ensure we don't overwrite existing files
-    outputPath = getUniqueFilePath(outputPath);
+    buildCropDetectCommand(videoPath, start, duration, options)
+      .on('start', (commandLine) => {
+        if (options.verbose) {
+          reporter.log('Crop detection command:', commandLine);
+        }
+      })
+      .on('stderr', (line) => {
+        output += line + '\n';
+      })
+      .on('end', () => resolve(parseCropdetect(output)))
+      .on('error', (err) => reject(new Error(`Crop detection failed: ${err.message}`)))
+      .run();
+  });
+}
+
+/**
+ * Split part of a video into shots using FFmpeg's scene change scores
+ * @param {string} videoPath - Path to the video
+ * @param {number} start - Start of the range in seconds
+ * @param {number} duration - Length of the range in seconds
+ * @param {object} options - Conversion options (sceneThreshold, verbose)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object[]>} - Shots with start, duration and activity
+ */
+function detectScenes(videoPath, start, duration, options, reporter) {
+  return new Promise((resolve, reject) => {
+    let output = '';
     
-    // Handle YouTube video
-    if (options.url) {
-      videoPath = path.join(tempDir, 'video.mp4');
-      usingTempVideo = true;
-      trackTempFile(videoPath);
-      
-      console.log('Validating YouTube URL...');
-      
-      // Get video ID from URL
-      const videoId = extractVideoId(options.url);
-      
-      if (!videoId) {
-        console.error('Error: Invalid YouTube URL or could not extract video ID');
-        process.exit(1);
-      }
-      
-      if (options.verbose) {
-        console.log(`Extracted video ID: ${videoId}`);
-      }
-      
-      console.log('Fetching video information...');
-      
-      // Try to get video info from cache first
-      let videoInfo = getCachedVideoInfo(videoId);
-      
-      // If not in cache, fetch it with retry logic
-      if (!videoInfo) {
-        try {
-          videoInfo = await withRetry(
-            async () => await ytdl.getInfo(options.url, { 
-              requestOptions: { headers: { 'User-Agent': 'Mozilla/5.0' } } 
-            }),
-            DEFAULT_RETRY_ATTEMPTS,
-            DEFAULT_RETRY_DELAY_MS,
-            (err, attempt, max) => {
-              console.warn(`Attempt ${attempt}/${max + 1} to fetch video info failed: ${err.message}`);
-              console.warn(`Retrying in ${Math.round(DEFAULT_RETRY_DELAY_MS * Math.pow(1.5, attempt - 1) / 1000)} seconds...`);
-            }
-          );
-          
-          // Save to cache if successful
-          if (videoInfo && options.cache) {
-            saveCachedVideoInfo(videoId, videoInfo);
-          }
-        } catch (error) {
-          if (options.verbose) {
-            console.error('Error details:', error);
-          }
-          console.error('Failed to fetch video information after multiple attempts.');
-          console.error('YouTube may have changed their API or the video might be restricted.');
-          process.exit(1);
+    buildSceneDetectCommand(videoPath, start, duration, options)
+      .on('start', (commandLine) => {
+        if (options.verbose) {
+          reporter.log('Scene detection command:', commandLine);
         }
-      }
-      
-      console.log(`Processing: ${videoInfo.videoDetails.title}`);
-      
-      // Calculate download parameters
-      const startTime = parseFloat(options.start);
-      const duration = parseFloat(options.duration);
-      
-      // Note: We've found that the YouTube timestamp feature doesn't work reliably with ytdl-core
-      // So we'll keep the original seeking logic for now
-      if (options.verbose && startTime > 0) {
-        console.log(`Using seek time of ${startTime}s for video processing`);
-      }
-      
-      // Download only the segment we need instead of the full video
-      try {
-        videoPath = await downloadVideoSegment(
-          videoId,
-          videoInfo,
-          parseFloat(options.start), // This will now be 0 if we're using a URL timestamp
-          // Add a small buffer to ensure we have enough video
-          duration + (isCrossfadeEnabled() ? options.crossfade : 0) + 0.5, 
-          videoPath,
-          options.quality
-        );
-      } catch (error) {
-        console.error('Error downloading video segment:', error.message);
-        
-        if (error.message.includes('403') || error.message.includes('Forbidden')) {
-          console.error('\nAccess denied when downloading this video. This is likely due to restrictions on the video.');
-          console.error('Try an alternative approach:');
-          console.error('1. Install yt-dlp (https://github.com/yt-dlp/yt-dlp#installation)');
-          console.error(`2. Download the video: yt-dlp "${options.url}" -o video.mp4`);
-          console.error(`3. Create the GIF: vgif -i video.mp4 -s ${options.start} -d ${options.duration} -c ${options.crossfade} -w ${options.width}`);
-        } else if (error.message.includes('429') || error.message.includes('Too Many Requests')) {
-          console.error('\nToo many requests sent to YouTube. Please wait a while and try again.');
+      })
+      .on('stderr', (line) => {
+        output += line + '\n';
+      })
+      .on('end', () => resolve(buildShots(parseSceneScores(output), options.sceneThreshold, start, start + duration)))
+      .on('error', (err) => reject(new Error(`Scene detection failed: ${err.message}`)))
+      .run();
+  });
+}
+
+/**
+ * Extract the sampled output frames for content analysis
+ * @param {string} videoPath - Path to the video
+ * @param {object} options - Encode options (see getContentSampleFilters)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<Buffer[]>} - CONTENT_SIZE x CONTENT_SIZE rgb24 frames, in pairs
+ */
+function extractContentFrames(videoPath, options, reporter) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    
+    const stream = buildContentFramesCommand(videoPath, options)
+      .on('start', (commandLine) => {
+        if (options.verbose) {
+          reporter.log('Content analysis command:', commandLine);
         }
-        
+      })
+      .on('end', () => resolve(splitRgbFrames(Buffer.concat(chunks))))
+      .on('error', (err) => reject(new Error(`Content analysis failed: ${err.message}`)))
+      .pipe();
+    
+    stream.on('data', (chunk) => chunks.push(chunk));
+  });
+}
+
+/**
+ * Measure how closely a palette of some size reproduces the sampled frames
+ * @param {string} videoPath - Path to the video
+ * @param {number} colors - Palette size
+ * @param {object} options - Encode options (see getContentSampleFilters)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<number>} - Average PSNR in dB
+ */
+function measurePalettePsnr(videoPath, colors, options, reporter) {
+  return new Promise((resolve, reject) => {
+    let output = '';
+    
+    buildColorTestCommand(videoPath, colors, options)
+      .on('start', (commandLine) => {
         if (options.verbose) {
-          console.error('Error details:', error);
+          reporter.log('Color analysis command:', commandLine);
         }
-        process.exit(1);
+      })
+      .on('stderr', (line) => {
+        output += line + '\n';
+      })
+      .on('end', () => {
+        const psnr = parsePsnr(output);
+        if (psnr === null) {
+          reject(new Error('Color analysis failed: FFmpeg reported no PSNR'));
+          return;
+        }
+        resolve(psnr);
+      })
+      .on('error', (err) => reject(new Error(`Color analysis failed: ${err.message}`)))
+      .run();
+  });
+}
+
+/**
+ * Extract downscaled grayscale frames for loop point analysis
+ * @param {string} videoPath - Path to the video
+ * @param {number} start - Start of the range in seconds
+ * @param {number} duration - Length of the range in seconds
+ * @param {number} fps - Frames per second to sample
+ * @param {object} options - Conversion options (verbose)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<Buffer[]>} - ANALYSIS_SIZE x ANALYSIS_SIZE frames, one byte per pixel
+ */
+function extractAnalysisFrames(videoPath, start, duration, fps, options, reporter) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    
+    const stream = buildAnalysisFramesCommand(videoPath, start, duration, fps, options)
+      .on('start', (commandLine) => {
+        if (options.verbose) {
+          reporter.log('Loop analysis command:', commandLine);
+        }
+      })
+      .on('end', () => resolve(splitFrames(Buffer.concat(chunks))))
+      .on('error', (err) => reject(new Error(`Loop analysis failed: ${err.message}`)))
+      .pipe();
+    
+    stream.on('data', (chunk) => chunks.push(chunk));
+  });
+}
+
+/**
+ * Get the ranges a loop search samples around the segment's start and end
+ * @param {number} offset - Source time at which the video begins (non-zero for downloaded segments)
+ * @param {object} options - Conversion options (start, duration, findLoop, fps)
+ * @returns {object} - { fps, startRange, endRange }, with each range's start (in source time) and duration
+ */
+function getLoopSearchRanges(offset, options) {
+  const window = options.findLoop;
+  const fps = Math.min(options.fps, MAX_ANALYSIS_FPS);
+  const end = options.start + options.duration;
+  
+  // Sample both ranges on the same frame grid so loop lengths are whole frames
+  const startFrom = Math.max(offset, options.start - window);
+  const endFrom = startFrom + Math.round((Math.max(offset, end - window) - startFrom) * fps) / fps;
+  
+  return {
+    fps,
+    startRange: { start: startFrom, duration: options.start + window - startFrom },
+    endRange: { start: endFrom, duration: end + window - endFrom }
+  };
+}
+
+/**
+ * Search for seamless loop points around the segment's start and end
+ *
+ * Frames within --find-loop seconds of each end are compared, and the pair that
+ * looks most alike becomes the new start and end.
+ *
+ * @param {string} videoPath - Path to the video
+ * @param {number} offset - Source time at which the video begins (non-zero for downloaded segments)
+ * @param {object} options - Conversion options (start, duration, findLoop, fps)
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object|null>} - { start, end, duration, score } in source time, or null if no pair fits
+ */
+async function findLoop(videoPath, offset, options, reporter) {
+  const { fps, startRange, endRange } = getLoopSearchRanges(offset, options);
+  
+  const startFrames = await extractAnalysisFrames(videoPath, startRange.start - offset, startRange.duration, fps, options, reporter);
+  const endFrames = await extractAnalysisFrames(videoPath, endRange.start - offset, endRange.duration, fps, options, reporter);
+  
+  if (options.verbose) {
+    reporter.log(`Comparing ${startFrames.length} start frames with ${endFrames.length} end frames`);
+  }
+  
+  return findLoopPoints(startFrames, endFrames, {
+    startTime: startRange.start,
+    endTime: endRange.start,
+    fps,
+    duration: options.duration,
+    minDuration: Math.max(0.5, options.duration / 2)
+  });
+}
+
+/**
+ * Resolve --dither auto and --colors auto from the frames that will be encoded
+ *
+ * The dither follows the share of flat color and smooth gradients and the amount of
+ * motion (see chooseDither). The color count is the smallest of AUTO_COLORS whose
+ * palette reaches MIN_AUTO_COLORS_PSNR, found by binary search since more colors never
+ * score lower; if none does, 256 is used.
+ *
+ * @param {string} videoPath - Path to the video
+ * @param {object} options - Encode options with start and duration in the video's time
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object>} - The chosen dither (and bayerScale) and colors, for whichever were auto
+ */
+async function chooseAutoPalette(videoPath, options, reporter) {
+  const choice = {};
+  const summary = [];
+  
+  if (options.dither === 'auto') {
+    const metrics = measureContent(await extractContentFrames(videoPath, options, reporter));
+    const { dither, bayerScale, reason } = chooseDither(metrics);
+    const label = bayerScale !== undefined ? `${dither} dither (scale ${bayerScale})` : `${dither} dither`;
+    
+    choice.dither = dither;
+    if (bayerScale !== undefined) {
+      choice.bayerScale = bayerScale;
+    }
+    summary.push(label);
+    
+    if (options.verbose) {
+      const percent = (value) => `${(value * 100).toFixed(0)}%`;
+      reporter.log(`Content: ${percent(metrics.flat)} flat color, ${percent(metrics.gradient)} smooth gradients, ${(metrics.motion * 100).toFixed(1)}% change between frames`);
+      reporter.log(`Chose ${label} for ${reason}`);
+    }
+  }
+  
+  if (options.colors === 'auto') {
+    let low = 0;
+    let high = AUTO_COLORS.length - 1;
+    
+    while (low < high) {
+      checkCancelled(options);
+      const middle = Math.floor((low + high) / 2);
+      const psnr = await measurePalettePsnr(videoPath, AUTO_COLORS[middle], options, reporter);
+      
+      if (options.verbose) {
+        reporter.log(`${AUTO_COLORS[middle]} colors: PSNR ${psnr.toFixed(1)} dB`);
       }
       
-      // Verify the file was downloaded
-      if (!fs.existsSync(videoPath) || fs.statSync(videoPath).size === 0) {
-        console.error('Error: Downloaded video file is empty or does not exist');
-        process.exit(1);
+      if (psnr >= MIN_AUTO_COLORS_PSNR) {
+        high = middle;
+      } else {
+        low = middle + 1;
       }
+    }
+    
+    choice.colors = AUTO_COLORS[high];
+    summary.push(`${choice.colors} colors`);
+    
+    if (options.verbose) {
+      reporter.log(`Chose ${choice.colors} colors, the fewest tried that reach ${MIN_AUTO_COLORS_PSNR} dB PSNR` +
+        (high === AUTO_COLORS.length - 1 ? ' (or the most available)' : ''));
+    }
+  }
+  
+  reporter.log(`Automatic palette settings: ${summary.join(', ')}`);
+  return choice;
+}
+
+// Function to check if crossfade is enabled
+function isCrossfadeEnabled(options) {
+  return options.crossfade > 0;
+}
+
+// Function to check if hardware acceleration is available
+async function detectHardwareAcceleration(reporter) {
+  return new Promise((resolve) => {
+    // Always return no hardware acceleration for troubleshooting
+    const hwAccel = {
+      available: false,
+      type: null,
+      filters: [],
+      options: []
+    };
+    
+    reporter.log('Hardware acceleration disabled for troubleshooting');
+    resolve(hwAccel);
+  });
+}
+
+/**
+ * Build the command that renders a segment as a crossfade loop, with the end fading
+ * into the beginning
+ * @param {string} videoPath - Path to the source video
+ * @param {string} outputPath - Path for the crossfade video
+ * @param {object} options - Conversion options (start, duration, crossfade, threads)
+ * @returns {object} - fluent-ffmpeg command
+ */
+function buildCrossfadeCommand(videoPath, outputPath, options) {
+  // Parse durations and calculate timing
+  const totalDuration = parseFloat(options.duration);
+  const crossfadeDuration = options.crossfade;
+  
+  // Create a filter that makes the end of the clip fade into the beginning
+  // to create a perfect loop
+  let complexFilter = [
+    // Split the video into parts we'll need
+    '[0:v]split=3[begin][middle][end]',
+    
+    // Extract the main portion from after the initial crossfade duration to before the end
+    '[middle]trim=start=' + crossfadeDuration + ':end=' + (totalDuration - crossfadeDuration) + ',setpts=PTS-STARTPTS[main]',
+    
+    // Extract the beginning portion for the end transition
+    '[begin]trim=start=0:end=' + crossfadeDuration + ',setpts=PTS-STARTPTS,format=yuva420p,fade=t=in:st=0:d=' + crossfadeDuration + ':alpha=1[fadein]',
+    
+    // Extract the end portion with fade out
+    '[end]trim=start=' + (totalDuration - crossfadeDuration) + ':end=' + totalDuration + ',setpts=PTS-STARTPTS,format=yuva420p,fade=t=out:st=0:d=' + crossfadeDuration + ':alpha=1[fadeout]',
+    
+    // Overlay the beginning (fadein) over the end (fadeout) to create the loop transition
+    '[fadeout][fadein]overlay[transition]',
+    
+    // Concatenate the main part with the transition to create the final looping video
+    '[main][transition]concat=n=2:v=1:a=0'
+  ].join(';');
+  
+  /* 
+  // DEBUG VERSION with visual timecodes - uncomment if needed for troubleshooting
+  if (options.verbose) {
+    complexFilter = [
+      // Main section with RED timestamp
+      `[0:v]trim=start=${startTime + baseOffset}:duration=${mainDuration},setpts=PTS-STARTPTS,drawtext=text='MAIN %{pts\\:hms}':x=10:y=10:fontsize=36:fontcolor=red:box=1:boxcolor=black@0.5[main]`,
       
-      console.log('Video segment ready for processing');
-    } 
-    // Handle local video file
-    else if (options.input) {
-      videoPath = options.input;
+      // End segment with fade out
+      `[0:v]trim=start=${startTime + mainDuration + baseOffset}:duration=${crossfadeDuration},setpts=PTS-STARTPTS,format=yuva420p,fade=t=out:st=0:d=${crossfadeDuration}:alpha=1[fout]`,
       
-      // Verify the file exists
-      if (!fs.existsSync(videoPath)) {
-        console.error(`Error: Input file does not exist: ${videoPath}`);
-        process.exit(1);
-      }
+      // Beginning segment with BLUE timestamp in top-right
+      `[0:v]trim=start=${startTime}:duration=${crossfadeDuration},setpts=PTS-STARTPTS,drawtext=text='START %{pts\\:hms}':x=w-280:y=10:fontsize=36:fontcolor=blue:box=1:boxcolor=white@0.5,format=yuva420p,fade=t=in:st=0:d=${crossfadeDuration}:alpha=1[fin]`,
       
-      // Check if the file is readable
-      try {
-        fs.accessSync(videoPath, fs.constants.R_OK);
-      } catch (err) {
-        console.error(`Error: Cannot read input file: ${videoPath}`);
-        process.exit(1);
-      }
+      // Overlay the fading segments
+      `[fin][fout]overlay[crossfade]`,
       
-      console.log(`Processing local video: ${path.basename(videoPath)}`);
+      // Join the main part with the crossfade
+      `[main][crossfade]concat=n=2:v=1:a=0`
+    ].join(';');
+  }
+  */
+  
+  return createFfmpegCommand(videoPath, options)
+    .seekInput(options.start)
+    .complexFilter(complexFilter)
+    // Include audio if present
+    .outputOptions(['-map', '0:a?', ...getThreadOptions(options)])
+    .output(outputPath);
+}
+
+/**
+ * Function to create a crossfade effect for perfectly looping GIFs using a simplified approach
+ * that should work regardless of how the video was downloaded or what position we're seeking to.
+ *
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the final GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output and progress
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {object} tempFiles - Optional temp file tracker with track() and cleanup() functions
+ * @returns {Promise<object>} - Resolves with the method that encoded the file, its palettes and quality (see processStandard)
+ */
+async function processCrossfade(videoPath, tempDir, outputPath, options, reporter, hwAccel = { available: false }, tempFiles = null) {
+  try {
+    reporter.log('Creating crossfade effect directly...');
+    
+    // Create a temporary video with crossfade
+    const tempVideoPath = path.join(tempDir, 'crossfade_video.mp4');
+    
+    // Track this temp file for cleanup if needed
+    if (tempFiles) {
+      tempFiles.track(tempVideoPath);
+    }
+    
+    // Log memory usage before processing
+    logMemoryUsage(options, reporter);
+    
+    // Check if memory limit is already exceeded
+    if (isMemoryLimitExceeded(options)) {
+      reporter.warn('Warning: Memory limit already exceeded before processing');
+      if (options.memoryLimit > 0) {
+        reporter.warn(`Current memory usage: ${getMemoryUsage().rss}MB, limit: ${options.memoryLimit}MB`);
+      }
     }
     
-    console.log('Converting to GIF...');
+    // For simplicity's sake, we'll just extract the whole segment once and create the crossfade
+    // using that segment, rather than trying to calculate offsets into the original video
+    await new Promise((resolve, reject) => {
+      buildCrossfadeCommand(videoPath, tempVideoPath, options)
+        .on('start', (commandLine) => {
+          if (options.verbose) {
+            reporter.log('FFmpeg command:', commandLine);
+          }
+        })
+        .on('end', () => {
+          reporter.log('Crossfade video created successfully');
+          resolve();
+        })
+        .on('error', (err) => {
+          reporter.error('Error creating crossfade video:', err.message);
+          reject(err);
+        })
+        .run();
+    });
     
-    // Make sure the output directory exists
+    // Ensure output directory exists
     const outputDir = path.dirname(path.resolve(outputPath));
     if (!fs.existsSync(outputDir)) {
-      console.log(`Creating output directory: ${outputDir}`);
+      reporter.log(`Creating output directory: ${outputDir}`);
       fs.mkdirSync(outputDir, { recursive: true });
     }
     
-    // Check if we have write access to the output directory
+    // Check that we have write access to the output directory
     try {
       fs.accessSync(outputDir, fs.constants.W_OK);
     } catch (err) {
-      console.error(`Error: No write permission to output directory: ${outputDir}`);
-      process.exit(1);
+      reporter.error(`Error: No write permission to output directory: ${outputDir}`);
+      throw err;
     }
     
-    // Apply speed preprocessing if needed
-    processedVideoPath = await preprocessVideoSpeed(videoPath, tempDir, options.speed);
+    // Log memory usage before second pass
+    logMemoryUsage(options, reporter);
     
-    // Clean up original video file if it was a temp file and is different from processed path
-    if (usingTempVideo && videoPath !== processedVideoPath) {
-      cleanupTempFile(videoPath);
-    }
-    
-    // From this point on, use processedVideoPath instead of videoPath
-    
-    // Calculate file size estimate and warn for large files
-    const estimatedFrames = parseInt(options.fps) * parseInt(options.duration);
-    const estimatedPixels = parseInt(options.width) * parseInt(options.width) * 0.56; // Estimate height based on width
-    const estimatedSizeMB = (estimatedFrames * estimatedPixels * 3) / (8 * 1024 * 1024);
-    
-    const maxSizeMB = parseInt(options.maxSize);
-    
-    // Handle large file creation
-    if (estimatedSizeMB > maxSizeMB) {
-      console.warn(`Warning: The requested GIF may be very large (estimated ~${Math.round(estimatedSizeMB)}MB).`);
-      console.warn(`Maximum size set to ${maxSizeMB}MB. Adjusting parameters automatically.`);
-      
-      // Calculate how much we need to reduce
-      const reductionFactor = Math.sqrt(estimatedSizeMB / maxSizeMB);
-      
-      // Reduce by adjusting width and FPS
-      const newWidth = Math.floor(parseInt(options.width) / reductionFactor);
-      const newFps = Math.max(10, Math.floor(parseInt(options.fps) / (reductionFactor * 0.7)));
-      
-      console.warn(`Adjusting width from ${options.width}px to ${newWidth}px`);
-      console.warn(`Adjusting FPS from ${options.fps} to ${newFps}`);
-      
-      options.width = newWidth.toString();
-      options.fps = newFps.toString();
-      
-      console.warn(`New estimated size: ~${Math.round(maxSizeMB)}MB`);
-      console.warn('Use -m option to change maximum size limit.');
+    // Other formats don't need a palette, so encode the crossfade video directly
+    if (options.format !== 'gif') {
+      reporter.stage('encode', `Encoding ${OUTPUT_FORMATS[options.format].label}`);
+      await encodeAnimation(tempVideoPath, outputPath, options, reporter, hwAccel, false);
+      if (tempFiles) {
+        tempFiles.cleanup(tempVideoPath);
+      }
+      return { strategy: 'direct', palettes: null, quality: null };
     }
     
-    // Check if crossfade is enabled
-    if (isCrossfadeEnabled()) {
-      const speedInfo = options.speed !== 1.0 ? `, ${options.speed}x speed` : '';
-      console.log(`Creating GIF with crossfade effect of ${options.crossfade}s...`);
-      console.log(`Settings: ${options.duration}s duration, ${options.width}px width, ${options.fps} FPS${speedInfo}`);
+    // The crossfade video is already cut to the segment, so the strategies read all of it
+    reporter.stage('encode', 'Encoding GIF');
+    let encoded;
+    try {
+      encoded = await encodeGifWithStrategies(tempVideoPath, tempDir, outputPath, options, reporter, hwAccel, false);
       
-      // Validate that crossfade duration is not longer than total duration
-      if (options.crossfade >= parseFloat(options.duration)) {
-        console.error('Error: Crossfade duration must be less than total duration');
-        console.error(`Current values: crossfade=${options.crossfade}s, duration=${options.duration}s`);
-        console.error('Please use a shorter crossfade duration or longer total duration');
-        process.exit(1);
+      // Apply post-processing with gifsicle for better compression
+      reporter.stage('optimize', 'Optimizing GIF');
+      try {
+        await postProcessGif(outputPath, options, reporter);
+      } catch (err) {
+        reporter.error('Error during post-processing:', err.message);
       }
       
-      // Process with crossfade effect - pass the hardware acceleration object and cleanup function
-      await processCrossfade(processedVideoPath, tempDir, outputPath, hwAccel, cleanupTempFile);
-    } else {
-      // Standard processing without crossfade
-      await new Promise(async (resolve, reject) => {
-        const speedInfo = options.speed !== 1.0 ? ` at ${options.speed}x speed` : '';
-        console.log(`Converting video to GIF${speedInfo} (this may take a while)...`);
-        console.log(`Settings: ${options.duration}s duration, ${options.width}px width, ${options.fps} FPS`);
-        
-        // Log memory usage before processing
-        logMemoryUsage();
-        
-        // Check if memory limit is already exceeded
-        if (isMemoryLimitExceeded()) {
-          console.warn('Warning: Memory limit already exceeded before processing');
-          if (options.memoryLimit > 0) {
-            console.warn(`Current memory usage: ${getMemoryUsage().rss}MB, limit: ${options.memoryLimit}MB`);
-          }
-        }
-        
-        // Generate a palette for better quality
-        const palettePath = path.join(tempDir, 'palette.png');
-        
-        // Optimized single-pass approach using complex filtergraph for palette generation and application
-        let ffmpegCommand = ffmpeg(processedVideoPath)
-          .setStartTime(options.start)
-          .duration(options.duration)
-          .inputOption('-v', 'verbose'); // Add verbose debug output
-          
-        // Apply hardware acceleration if available
-        if (hwAccel.available) {
-          console.log(`Using ${hwAccel.type} hardware acceleration`);
-          hwAccel.options.forEach(option => {
-            ffmpegCommand.inputOption(option);
-          });
-        }
-        
-        // Add threading options
-        if (options.threads > 0) {
-          ffmpegCommand.outputOptions([
-            `-threads ${options.threads}`
-          ]);
-          if (options.verbose) {
-            console.log(`Using ${options.threads} FFmpeg threads for GIF creation`);
-          }
-        } else if (options.threads === 0) {
-          // Auto-threading mode - use CPU core count
-          const cpuCount = os.cpus().length;
-          ffmpegCommand.outputOptions([
-            `-threads ${cpuCount}`
-          ]);
-          if (options.verbose) {
-            console.log(`Using auto-threading with ${cpuCount} CPU cores for GIF creation`);
-          }
-        }
-          
-        // Use a single complex filtergraph that generates a palette and applies it in one step
-        // This eliminates the need for temporary palette files and multiple passes
-        ffmpegCommand
-          .complexFilter([
-            // Set FPS and scale the video
-            `fps=${options.fps},scale=${options.width}:-1:flags=lanczos,split[s0][s1]`,
-            // Generate the palette from the scaled video
-            `[s0]palettegen=stats_mode=diff:max_colors=${options.colors}[palette]`,
-            // Apply the palette to the scaled video
-            `[s1][palette]paletteuse=dither=${options.dither === 'bayer' ? 'bayer:bayer_scale=5' : options.dither}:diff_mode=rectangle`
-          ])
-          .outputOption('-loop', options.loops)
-          .format('gif')
-          .output(outputPath);
-        
-        ffmpegCommand.on('start', (commandLine) => {
-          if (options.verbose) {
-            console.log('FFmpeg command:', commandLine);
-          }
-        })
-          .on('progress', (progress) => {
-            if (options.verbose && progress.percent) {
-              console.log(`Processing: ${Math.floor(progress.percent)}% done`);
-            }
-          })
-          .on('end', async () => {
-            // Log memory usage after processing
-            logMemoryUsage();
-            
-            // Clean up the processed video file if it was temporary
-            if (processedVideoPath !== videoPath) {
-              cleanupTempFile(processedVideoPath);
-            }
-            
-            // Apply post-processing with gifsicle for better compression
-            try {
-              await postProcessGif(outputPath, options);
-            } catch (err) {
-              console.error('Error during post-processing:', err.message);
-            }
-            
-            // Log final memory usage
-            if (options.verbose) {
-              console.log('Final memory usage after GIF creation:');
-              logMemoryUsage();
-            }
-            
-            console.log(`Success! GIF saved to: ${path.resolve(outputPath)}`);
-            resolve();
-          })
-          .on('error', (err) => {
-            console.error('ERROR DETAILS:');
-            console.error(err);
-            console.error('Error during conversion:', err.message);
-            
-            // Try an alternative method with a two-pass approach
-            console.log('Trying alternative two-pass method...');
-            
-            // First create palette
-            let alternateFfmpeg = ffmpeg(processedVideoPath)
-              .setStartTime(options.start);
-              
-            // For alternate approach, use a simpler palette generation
-            alternateFfmpeg
-              .duration(parseFloat(options.duration))
-              .videoFilter(`fps=${options.fps},scale=${options.width}:-1:flags=lanczos,palettegen=stats_mode=diff:max_colors=${options.colors}`)
-              .output(palettePath);
-              
-            alternateFfmpeg.on('start', (commandLine) => {
-              if (options.verbose) {
-                console.log('Palette command:', commandLine);
-              }
-            })
-              .on('error', (paletteErr) => {
-                console.error('Error generating palette:', paletteErr.message);
-                
-                // Final fallback - simpler method
-                console.log('Using basic conversion as final fallback...');
-                
-                // Log memory usage before fallback
-                logMemoryUsage();
-                
-                let fallbackFfmpeg = ffmpeg(processedVideoPath)
-                  .setStartTime(options.start);
-                
-                // Add threading options to fallback method
-                const threadOptions = [];
-                if (options.threads > 0) {
-                  threadOptions.push(`-threads ${options.threads}`);
-                  if (options.verbose) {
-                    console.log(`Using ${options.threads} FFmpeg threads for fallback conversion`);
-                  }
-                } else if (options.threads === 0) {
-                  // Auto-threading mode - use CPU core count
-                  const cpuCount = os.cpus().length;
-                  threadOptions.push(`-threads ${cpuCount}`);
-                  if (options.verbose) {
-                    console.log(`Using auto-threading with ${cpuCount} CPU cores for fallback conversion`);
-                  }
-                }
-                
-                // Standard approach
-                  fallbackFfmpeg
-                    .duration(options.duration)
-                    .outputOptions([
-                      '-vf', `fps=${options.fps},scale=${options.width}:-1:flags=lanczos`,
-                      '-loop', options.loops,
-                      ...threadOptions
-                    ])
-                    .format('gif')
-                    .output(outputPath);
-                
-                fallbackFfmpeg.on('start', (commandLine) => {
-                  if (options.verbose) {
-                    console.log('Fallback command:', commandLine);
-                  }
-                })
-                  .on('end', async () => {
-                    // Apply post-processing with gifsicle for better compression
-                    try {
-                      await postProcessGif(outputPath, options);
-                    } catch (err) {
-                      console.error('Error during post-processing:', err.message);
-                    }
-                    console.log(`Success with fallback method! GIF saved to: ${path.resolve(outputPath)}`);
-                    resolve();
-                  })
-                  .on('error', (fallbackErr) => {
-                    console.error('All conversion methods failed:', fallbackErr.message);
-                    reject(fallbackErr);
-                  })
-                  .run();
-              })
-              .on('end', () => {
-                // Second pass - use palette to create high-quality GIF
-                let secondPassFfmpeg = ffmpeg(processedVideoPath)
-                  .setStartTime(options.start);
-                  
-                // Standard two-pass approach
-                  secondPassFfmpeg
-                    .duration(options.duration)
-                    .videoFilter([
-                      `fps=${options.fps}`,
-                      `scale=${options.width}:-1:flags=lanczos`,
-                      `paletteuse=dither=${options.dither}:diff_mode=rectangle`
-                    ])
-                    .inputOptions([
-                      '-i', palettePath
-                    ])
-                    .outputOption('-loop', options.loops)
-                    .format('gif')
-                    .output(outputPath);
-                
-                secondPassFfmpeg.on('start', (commandLine) => {
-                  if (options.verbose) {
-                    console.log('Second pass command:', commandLine);
-                  }
-                })
-                  .on('end', async () => {
-                    // Apply post-processing with gifsicle for better compression
-                    try {
-                      await postProcessGif(outputPath, options);
-                    } catch (err) {
-                      console.error('Error during post-processing:', err.message);
-                    }
-                    console.log(`Success with two-pass method! GIF saved to: ${path.resolve(outputPath)}`);
-                    resolve();
-                  })
-                  .on('error', (secondPassErr) => {
-                    console.error('Error in second pass:', secondPassErr.message);
-                    
-                    // Fall back to the basic method
-                    console.log('Using basic conversion as fallback...');
-                    
-                    // Try a direct command approach as a last resort
-                    console.log('Using direct FFmpeg command as final fallback...');
-                    try {
-                      // Use child_process.exec to run a direct ffmpeg command
-                      const { execSync } = require('child_process');
-                      const directCmd = `ffmpeg -y -ss ${options.start} -t ${options.duration} -i "${processedVideoPath}" -vf "fps=${options.fps},scale=${options.width}:-1:flags=lanczos" -loop ${options.loops} "${outputPath}"`;
-                      console.log('Executing: ' + directCmd);
-                      execSync(directCmd, { stdio: 'inherit' });
-                      console.log('Direct FFmpeg command succeeded!');
-
-                      // Try to run postProcessGif
-                      (async () => {
-                        try {
-                          await postProcessGif(outputPath, options);
-                        } catch (err) {
-                          console.error('Error in post-processing:', err);
-                        }
-                        console.log(`Success with direct command! GIF saved to: ${path.resolve(outputPath)}`);
-                        resolve();
-                      })();
-                      return;
-                    } catch (directErr) {
-                      console.error('Direct FFmpeg command failed:', directErr);
-                      
-                      // Try a more basic approach with one final attempt
-                      console.log('Trying a different approach with palette...');
-                      
-                      try {
-                        const { execSync } = require('child_process');
-                        
-                        // Use single-pass approach with split filter to generate palette and use it
-                        // Put the seek before input for faster seeking
-                        const singlePassCmd = `ffmpeg -y -ss ${options.start} -t ${options.duration} -i "${processedVideoPath}" -vf "fps=${options.fps},scale=${options.width}:-1:flags=lanczos,split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse" -loop ${options.loops} "${outputPath}"`;
-                        console.log('Creating GIF with single-pass approach: ' + singlePassCmd);
-                        execSync(singlePassCmd, { stdio: 'inherit' });
-                        console.log('Palette method succeeded!');
-                        
-                        // Apply post-processing
-                        (async () => {
-                          try {
-                            await postProcessGif(outputPath, options);
-                          } catch (err) {
-                            console.error('Error in post-processing:', err);
-                          }
-                          console.log(`Success with palette method! GIF saved to: ${path.resolve(outputPath)}`);
-                          resolve();
-                        })();
-                        return;
-                      } catch (paletteErr) {
-                        console.error('Palette method failed:', paletteErr);
-                        console.warn('All conversion methods failed. Unable to create GIF.');
-                        reject(new Error('All conversion methods failed'));
-                      }
-                    }
-                  })
-                  .run();
-              })
-              .run();
-          })
-          .run();
-      });
+      // The crossfade video is what the GIF was encoded from, so measure before removing it
+      encoded = { ...encoded, quality: await measureGifQuality(outputPath, tempVideoPath, options, reporter, false) };
+    } finally {
+      // Clean up the temporary crossfade video immediately
+      if (tempFiles) {
+        tempFiles.cleanup(tempVideoPath);
+      }
     }
     
+    return encoded;
   } catch (error) {
-    console.error('Error:', error.message);
-    if (options.verbose) {
+    reporter.error('Error in crossfade processing:', error.message);
+    throw error;
+  }
+}
+
+// Intermediate videos are near-lossless so the final encode isn't working from artifacts
+const INTERMEDIATE_CODECS = ['-c:v', 'libx264', '-crf', '12', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-an'];
+
+/**
+ * Build the command that cuts the forward half of a boomerang loop at the output frame rate
+ * @param {string} videoPath - Path to the source video
+ * @param {string} outputPath - Path for the forward video
+ * @param {object} options - Conversion options (start, duration, fps, threads)
+ * @returns {object} - fluent-ffmpeg command
+ */
+function buildBoomerangCutCommand(videoPath, outputPath, options) {
+  // Cut the segment at the output frame rate so only frames that will be shown are buffered
+  return createFfmpegCommand(videoPath, options)
+    .seekInput(options.start)
+    .duration(options.duration)
+    .videoFilters(`fps=${options.fps}`)
+    .outputOptions([...INTERMEDIATE_CODECS, ...getThreadOptions(options)])
+    .output(outputPath);
+}
+
+/**
+ * Work out the commands that reverse the forward video and join the two halves
+ *
+ * Every frame except the first and last is reversed, since the forward pass already
+ * shows those. The reverse filter buffers every frame it reverses, so the frames are
+ * reversed in chunks that keep the buffer to half of --memory-limit, last chunk first
+ * so the chunks can be joined in order.
+ *
+ * @param {string} forwardPath - Path to the forward video
+ * @param {object} forward - The forward video's frameCount, width and height
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {object} options - Conversion options (fps, memoryLimit, threads)
+ * @returns {object} - { maxFrames, chunks, listPath, list, joinCommand, boomerangPath, duration },
+ *   where chunks holds { path, command } for each reversed chunk and list is the concat list
+ */
+function planBoomerangLoop(forwardPath, forward, tempDir, options) {
+  const firstFrame = 1;
+  const endFrame = forward.frameCount - 1;
+  
+  // Decoded yuv420p frames take 1.5 bytes per pixel; keep the reverse buffer to half the limit
+  const frameBytes = forward.width * forward.height * 1.5;
+  const maxFrames = options.memoryLimit > 0 ?
+    Math.max(2, Math.floor((options.memoryLimit * 1024 * 1024 / 2) / frameBytes)) :
+    endFrame - firstFrame;
+  
+  const chunks = [];
+  for (let chunkEnd = endFrame, index = 0; chunkEnd > firstFrame; chunkEnd -= maxFrames, index++) {
+    const chunkStart = Math.max(firstFrame, chunkEnd - maxFrames);
+    const chunkPath = path.join(tempDir, `boomerang_reverse_${index}.mp4`);
+    
+    chunks.push({
+      path: chunkPath,
+      progress: Math.round(100 * (endFrame - chunkStart) / (endFrame - firstFrame)),
+      command: createFfmpegCommand(forwardPath, options)
+        .videoFilters(`trim=start_frame=${chunkStart}:end_frame=${chunkEnd},setpts=PTS-STARTPTS,reverse`)
+        .outputOptions([...INTERMEDIATE_CODECS, ...getThreadOptions(options)])
+        .output(chunkPath)
+    });
+  }
+  
+  // Every part has the same encoding settings, so the concat demuxer can join them without re-encoding
+  const listPath = path.join(tempDir, 'boomerang_list.txt');
+  const boomerangPath = path.join(tempDir, 'boomerang_video.mp4');
+  const escapeListPath = (filePath) => filePath.replace(/'/g, "'\\''");
+  
+  return {
+    maxFrames,
+    chunks,
+    listPath,
+    list: [forwardPath, ...chunks.map(chunk => chunk.path)].map(filePath => `file '${escapeListPath(filePath)}'`).join('\n') + '\n',
+    joinCommand: createFfmpegCommand(listPath, options)
+      .inputOptions(['-f', 'concat', '-safe', '0'])
+      .outputOptions(['-c', 'copy'])
+      .output(boomerangPath),
+    boomerangPath,
+    duration: (forward.frameCount + endFrame - firstFrame) / options.fps
+  };
+}
+
+/**
+ * Create a boomerang loop that plays the segment forward and then in reverse
+ *
+ * The segment is cut, reversed in chunks small enough for --memory-limit (see
+ * planBoomerangLoop) and the chunks are joined back to front. The frames at the
+ * turning points aren't repeated, so the loop has no visible pause.
+ *
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the final GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output and progress
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {object} tempFiles - Optional temp file tracker with track() and cleanup() functions
+ * @returns {Promise<object>} - Resolves with the method that encoded the loop, its palettes and quality (see processStandard)
+ */
+async function processBoomerang(videoPath, tempDir, outputPath, options, reporter, hwAccel = { available: false }, tempFiles = null) {
+  const forwardPath = path.join(tempDir, 'boomerang_forward.mp4');
+  const tempPaths = [forwardPath];
+  
+  const runCommand = (command, label) => new Promise((resolve, reject) => {
+    command
+      .on('start', (commandLine) => {
+        if (options.verbose) {
+          reporter.log(`${label} command:`, commandLine);
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => reject(new Error(`${label} failed: ${err.message}`)))
+      .run();
+  });
+  
+  if (tempFiles) {
+    tempFiles.track(forwardPath);
+  }
+  
+  try {
+    reporter.log('Creating boomerang loop...');
+    
+    await runCommand(buildBoomerangCutCommand(videoPath, forwardPath, options), 'Boomerang segment');
+    
+    const forward = await probeVideo(forwardPath);
+    if (!forward.frameCount || forward.frameCount < 3) {
+      throw new Error('The segment is too short for a boomerang loop');
+    }
+    
+    const loop = planBoomerangLoop(forwardPath, forward, tempDir, options);
+    tempPaths.push(...loop.chunks.map(chunk => chunk.path), loop.listPath, loop.boomerangPath);
+    if (tempFiles) {
+      tempPaths.forEach(filePath => tempFiles.track(filePath));
+    }
+    
+    if (loop.chunks.length > 1) {
+      reporter.log(`Reversing in ${loop.chunks.length} chunks of up to ${loop.maxFrames} frames to stay within the ${options.memoryLimit}MB memory limit`);
+    }
+    
+    for (let index = 0; index < loop.chunks.length; index++) {
+      reporter.progress('boomerang', loop.chunks[index].progress);
+      await runCommand(loop.chunks[index].command, `Reverse chunk ${index + 1}/${loop.chunks.length}`);
+      logMemoryUsage(options, reporter);
+    }
+    
+    fs.writeFileSync(loop.listPath, loop.list);
+    await runCommand(loop.joinCommand, 'Boomerang join');
+    
+    reporter.log(`Boomerang loop created (${loop.duration.toFixed(2)}s)`);
+    
+    // The loop is already cut and at the output frame rate, so encode all of it
+    return await processStandard(loop.boomerangPath, tempDir, outputPath, { ...options, start: 0, duration: loop.duration }, reporter, hwAccel);
+  } finally {
+    if (tempFiles) {
+      tempPaths.forEach(filePath => tempFiles.cleanup(filePath));
+    }
+  }
+}
+
+/**
+ * Build the gifsicle command that optimizes a GIF
+ * @param {string} inputPath - Path to the GIF
+ * @param {string} outputPath - Path for the optimized GIF
+ * @param {object} options - Compression options (colors, lossy, dither, palette)
+ * @returns {string[]} - gifsicle executable and arguments
+ */
+function getGifsicleCommand(inputPath, outputPath, options) {
+  const args = [
+    '--optimize=3', // Highest optimization level
+    '--no-warnings'
+  ];
+  
+  // --colors maps every frame to one palette, which would undo per-scene and per-frame
+  // palettes; FFmpeg already limited each of them to options.colors
+  if (options.palette === 'global') {
+    args.push(`--colors=${options.colors}`);
+    
+    // Add dithering option
+    if (options.dither === 'none') {
+      args.push('--no-dither');
+    } else if (options.dither === 'floyd_steinberg') {
+      args.push('--dither=floyd-steinberg');
+    } else if (options.dither === 'bayer') {
+      args.push('--dither=ordered');
+    } // heckbert, sierra2 and sierra2_4a use gifsicle's default dithering
+  }
+  
+  // Add lossy compression if enabled
+  if (options.lossy > 0) {
+    args.push(`--lossy=${options.lossy}`);
+  }
+  
+  args.push('--output', outputPath, inputPath);
+  
+  // Use the gifsicle path we determined earlier
+  let gifsicleExe = gifsicleExePath;
+  
+  // If the path is an object (from npm package), extract the actual path
+  if (typeof gifsicleExe === 'object' && gifsicleExe !== null) {
+    if (gifsicleExe.path) {
+      gifsicleExe = gifsicleExe.path;
+    } else if (gifsicleExe.bin) {
+      gifsicleExe = gifsicleExe.bin;
+    } else {
+      // If we can't find the path in the object, use system gifsicle
+      gifsicleExe = 'gifsicle';
+    }
+  }
+  
+  return [gifsicleExe || 'gifsicle', ...args];
+}
+
+/**
+ * Post-process a GIF file to optimize and compress it
+ * @param {string} inputPath - Path to the input GIF
+ * @param {object} options - Compression options
+ * @param {number} options.colors - Number of colors (2-256)
+ * @param {number} options.lossy - Lossy compression level (1-100)
+ * @param {string} options.dither - Dithering method
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<void>} - Resolves when compression is complete
+ */
+async function postProcessGif(inputPath, options, reporter) {
+  return new Promise((resolve, reject) => {
+    // Skip if gifsicle is not available
+    if (!detectGifsicle(reporter)) {
+      reporter.warn('Skipping optimization (gifsicle not available)');
+      return resolve();
+    }
+    
+    // Skip optimization if colors are 256 and lossy is 0
+    if (options.colors === 256 && options.lossy === 0) {
+      reporter.log('Skipping optimization (using maximum quality settings)');
+      return resolve();
+    }
+    
+    reporter.log('Optimizing GIF to reduce file size...');
+    
+    // Calculate original file size
+    const originalSize = fs.statSync(inputPath).size / (1024 * 1024); // in MB
+    
+    // Create a temporary path for the optimized GIF
+    const tempPath = `${inputPath}.tmp`;
+    const [gifsicleExe, ...args] = getGifsicleCommand(inputPath, tempPath, options);
+    
+    if (options.verbose) {
+      reporter.log(`Gifsicle arguments: ${args.join(' ')}`);
+      reporter.log(`Using gifsicle: ${gifsicleExe}`);
+    }
+    
+    execFile(gifsicleExe, args, (error) => {
+      if (error) {
+        reporter.error('Error optimizing GIF:', error.message);
+        reporter.warn('Using original unoptimized GIF');
+        return resolve();
+      }
+      
+      // Replace the original file with the optimized one
+      fs.unlinkSync(inputPath);
+      fs.renameSync(tempPath, inputPath);
+      
+      // Calculate compression ratio
+      const newSize = fs.statSync(inputPath).size / (1024 * 1024); // in MB
+      const savingsPercent = ((originalSize - newSize) / originalSize) * 100;
+      
+      reporter.log(`GIF optimized: ${originalSize.toFixed(2)}MB → ${newSize.toFixed(2)}MB (${savingsPercent.toFixed(1)}% smaller)`);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Build the command that encodes a video to an animated WebP, APNG, MP4 or WebM file
+ * @param {string} videoPath - Path to the source video
+ * @param {string} outputPath - Path where the output will be saved
+ * @param {object} options - Conversion options
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether to cut options.start and options.duration from the source
+ * @returns {object} - fluent-ffmpeg command
+ */
+function buildAnimationCommand(videoPath, outputPath, options, hwAccel = { available: false }, seek = true) {
+  const { container, outputOptions } = getFormatOutputOptions(options);
+  
+  return createEncodeCommand(videoPath, options, hwAccel, seek)
+    // Video codecs need even dimensions, so let the height round to a multiple of 2
+    .videoFilters(getVideoFilters(options, true))
+    .outputOptions(outputOptions)
+    .format(container)
+    .output(outputPath);
+}
+
+/**
+ * Encode a video to an animated WebP, APNG, MP4 or WebM file
+ * @param {string} videoPath - Path to the source video
+ * @param {string} outputPath - Path where the output will be saved
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output and progress
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether to cut options.start and options.duration from the source
+ * @returns {Promise} - Resolves when the file is created
+ */
+async function encodeAnimation(videoPath, outputPath, options, reporter, hwAccel = { available: false }, seek = true) {
+  if (hwAccel.available) {
+    reporter.log(`Using ${hwAccel.type} hardware acceleration`);
+  }
+  
+  return runFfmpegCommand(buildAnimationCommand(videoPath, outputPath, options, hwAccel, seek), options, reporter);
+}
+
+/**
+ * Build the command that renders a contact sheet of evenly spaced frames from the segment
+ *
+ * The frames go through the same crop, scale and overlay filters as the output, and
+ * each tile is stamped with its time in the source. In a retimed segment the tiles are
+ * spread evenly over the time it plays for, so they show what the output will.
+ *
+ * @param {string} videoPath - Path to the source video, or the retimed segment
+ * @param {string} previewPath - PNG or JPEG file to write
+ * @param {object} options - Encode options for the segment in videoPath, plus sourceStart:
+ *   the source time the segment starts at, and timeline: the timeline from createTimeline
+ *   if videoPath is the retimed segment
+ * @returns {object} - fluent-ffmpeg command
+ */
+function buildPreviewCommand(videoPath, previewPath, options) {
+  const rows = Math.ceil(PREVIEW_TILES / PREVIEW_COLUMNS);
+  
+  // Retimed frames carry output timestamps, so each tile is labelled with the moment it shows
+  const getTileTime = (tile) => {
+    const time = tile * options.duration / PREVIEW_TILES;
+    return options.sourceStart + (options.timeline ? getSourceTime(options.timeline, time) : time * options.speed);
+  };
+  const labels = options.timeline || options.speed !== 1.0 ?
+    buildFrameTimeFilters(Array.from({ length: PREVIEW_TILES }, (_, tile) => getTileTime(tile)), options.width) :
+    [buildTimestampFilter(options.sourceStart, options.width)];
+  
+  return createFfmpegCommand(videoPath, options)
+    .seekInput(options.start)
+    .duration(options.duration)
+    .videoFilters([
+      // Sample the tiles instead of the output frame rate; rounding up takes the frame
+      // showing at each tile's time rather than up to half a tile later
+      ...getVideoFilters({ ...options, fps: `${PREVIEW_TILES / options.duration}:round=up` }),
+      ...labels,
+      `tile=${PREVIEW_COLUMNS}x${rows}:padding=4:margin=4`
+    ])
+    .outputOptions([...getThreadOptions(options), '-frames:v', '1', '-update', '1'])
+    .output(previewPath);
+}
+
+/**
+ * Get the FFmpeg threading options for --threads (0 uses every CPU core)
+ * @param {object} options - Conversion options (threads)
+ * @returns {string[]} - Output options, empty to let FFmpeg decide
+ */
+function getThreadOptions(options) {
+  if (options.threads > 0) {
+    return ['-threads', String(options.threads)];
+  } else if (options.threads === 0) {
+    return ['-threads', String(os.cpus().length)];
+  }
+  return [];
+}
+
+/**
+ * Get the filters that generate the palettes for --palette
+ *
+ * A global palette is one frame for the whole GIF. Per-frame palettes come from
+ * each frame on its own; per-scene palettes come from the frames between the cuts
+ * in options.paletteScenes. Palettes that change are timestamped with the number of
+ * the frame they start at, so the input must be numbered with setpts=N.
+ *
+ * @param {object} options - Conversion options (palette, colors, fps, duration and,
+ *   for per-scene, paletteScenes: the cuts in seconds from the start of the segment)
+ * @param {string} input - Input pad label
+ * @param {string} output - Output pad label
+ * @returns {string[]} - Filtergraph chains
+ */
+function getPaletteGenFilters(options, input, output) {
+  const statsMode = options.palette === 'per-frame' ? 'single' : 'diff';
+  const palettegen = `palettegen=stats_mode=${statsMode}:max_colors=${options.colors}`;
+  
+  // First frame of each scene, leaving out cuts too close to the end to have frames of their own
+  const lastFrame = Math.floor(options.duration * options.fps) - 1;
+  const sceneFrames = options.palette !== 'per-scene' ? [0] : [...new Set([
+    0,
+    ...(options.paletteScenes || []).map(time => Math.ceil(time * options.fps)).filter(frame => frame > 0 && frame < lastFrame)
+  ])].sort((a, b) => a - b);
+  
+  if (sceneFrames.length === 1) {
+    return [`${input}${palettegen}${output}`];
+  }
+  
+  const scenes = sceneFrames.map((frame, index) => `[scene${index}]`);
+  const palettes = sceneFrames.map((frame, index) => `[scenepalette${index}]`);
+  return [
+    `${input}split=${sceneFrames.length}${scenes.join('')}`,
+    ...sceneFrames.map((frame, index) => {
+      const end = index + 1 < sceneFrames.length ? `:end_frame=${sceneFrames[index + 1]}` : '';
+      return `${scenes[index]}trim=start_frame=${frame}${end},${palettegen},setpts=${frame}${palettes[index]}`;
+    }),
+    `${palettes.join('')}interleave=nb_inputs=${sceneFrames.length}${output}`
+  ];
+}
+
+/**
+ * Get the filtergraph that generates a palette and applies it in one pass
+ * @param {object} options - Conversion options (colors, dither, palette and the getVideoFilters options)
+ * @param {string} [input] - Input pad label, e.g. [0:v]; defaults to the first video stream
+ * @returns {string[]} - Filtergraph chains, to be joined with ;
+ */
+function getPaletteGraph(options, input = '') {
+  // Palettes that change are matched to frames by number (see getPaletteGenFilters)
+  const numbering = options.palette === 'global' ? [] : ['setpts=N'];
+  
+  return [
+    input + [...getVideoFilters(options), ...numbering, 'split[s0][s1]'].join(','),
+    ...getPaletteGenFilters(options, '[s0]', '[palette]'),
+    `[s1][palette]${getPaletteUseFilter(options)}`
+  ];
+}
+
+/**
+ * Get the paletteuse filter for --dither and --palette
+ * @param {object} options - Conversion options (dither, bayerScale, palette)
+ * @returns {string} - paletteuse filter
+ */
+function getPaletteUseFilter(options) {
+  const dither = options.dither === 'bayer' ? `bayer:bayer_scale=${options.bayerScale}` : options.dither;
+  // new=1 switches to each palette as it arrives instead of keeping the first
+  const newPalettes = options.palette === 'global' ? '' : ':new=1';
+  return `paletteuse=dither=${dither}:diff_mode=rectangle${newPalettes}`;
+}
+
+/**
+ * Start a fluent-ffmpeg command with the settings every final encode shares: the
+ * segment to read, hardware acceleration and threads
+ * @param {string} videoPath - Path to the source video
+ * @param {object} options - Conversion options
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether to cut options.start and options.duration from the source
+ * @returns {object} - fluent-ffmpeg command
+ */
+function createEncodeCommand(videoPath, options, hwAccel, seek) {
+  const command = createFfmpegCommand(videoPath, options);
+  
+  if (seek) {
+    command.setStartTime(options.start).duration(options.duration);
+  }
+  
+  if (hwAccel.available) {
+    hwAccel.options.forEach(option => {
+      command.inputOption(option);
+    });
+  }
+  
+  return command.outputOptions(getThreadOptions(options));
+}
+
+/**
+ * Get the command line a command will run
+ *
+ * fluent-ffmpeg builds its argument list with _getArguments(), which run() also uses,
+ * so the dry-run plan shows exactly what would be executed.
+ *
+ * @param {object|string[]} command - fluent-ffmpeg command, or an argument list starting with the program
+ * @returns {string[]} - Program and arguments
+ */
+function getCommandLine(command) {
+  if (Array.isArray(command)) {
+    return command.map(String);
+  }
+  return ['ffmpeg', ...command._getArguments().map(String)];
+}
+
+/**
+ * Run an FFmpeg command, reporting its progress as the encode stage
+ * @param {object|string[]} command - fluent-ffmpeg command with its output set, or an ffmpeg
+ *   argument list (see buildGifCli) to run without fluent-ffmpeg
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<void>} - Resolves when FFmpeg exits successfully
+ */
+function runFfmpegCommand(command, options, reporter) {
+  if (options.verbose) {
+    reporter.log('FFmpeg command:', getCommandLine(command).join(' '));
+  }
+  
+  if (Array.isArray(command)) {
+    return new Promise((resolve, reject) => {
+      // Arguments go straight to ffmpeg, so paths and filters need no shell quoting
+      execFile(command[0], command.slice(1), { signal: options.signal, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          error.stderr = stderr;
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+  
+  return new Promise((resolve, reject) => {
+    command
+      .on('progress', (progress) => {
+        if (progress.percent) {
+          reporter.progress('encode', progress.percent);
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err, stdout, stderr) => {
+        // Keep the full output; the message only has its last few lines
+        err.stderr = stderr;
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * GIF strategy: generate and apply the palette in a single filtergraph
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether to cut options.start and options.duration from the source
+ * @returns {object[]} - Commands to run in order (see runFfmpegCommand)
+ */
+function buildGifSinglePass(videoPath, tempDir, outputPath, options, hwAccel, seek) {
+  return [
+    createEncodeCommand(videoPath, options, hwAccel, seek)
+      .complexFilter(getPaletteGraph(options))
+      .outputOption('-loop', options.loops)
+      .format('gif')
+      .output(outputPath)
+  ];
+}
+
+/**
+ * GIF strategy: write the palette to an image first, then apply it in a second pass
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether to cut options.start and options.duration from the source
+ * @returns {object[]} - Commands to run in order (see runFfmpegCommand)
+ */
+function buildGifTwoPass(videoPath, tempDir, outputPath, options, hwAccel, seek) {
+  if (options.palette !== 'global') {
+    return buildGifTwoPassPalettes(videoPath, tempDir, outputPath, options, hwAccel, seek);
+  }
+  
+  const palettePath = path.join(tempDir, 'palette.png');
+  
+  return [
+    createEncodeCommand(videoPath, options, hwAccel, seek)
+      .videoFilters([...getVideoFilters(options), `palettegen=stats_mode=diff:max_colors=${options.colors}`])
+      .output(palettePath),
+    // The palette is the second input, so the seek only applies to the video
+    createEncodeCommand(videoPath, options, hwAccel, seek)
+      .input(palettePath)
+      .complexFilter([
+        `[0:v]${getVideoFilters(options).join(',')}[scaled]`,
+        `[scaled][1:v]${getPaletteUseFilter(options)}`
+      ])
+      .outputOption('-loop', options.loops)
+      .format('gif')
+      .output(outputPath)
+  ];
+}
+
+/**
+ * The two-pass strategy for per-scene and per-frame palettes: the palettes are a
+ * stream rather than one image, so they're written to a lossless video
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether to cut options.start and options.duration from the source
+ * @returns {object[]} - Commands to run in order (see runFfmpegCommand)
+ */
+function buildGifTwoPassPalettes(videoPath, tempDir, outputPath, options, hwAccel, seek) {
+  const palettesPath = path.join(tempDir, 'palettes.mkv');
+  const numbered = `[0:v]${[...getVideoFilters(options), 'setpts=N'].join(',')}[scaled]`;
+  
+  return [
+    createEncodeCommand(videoPath, options, hwAccel, seek)
+      .complexFilter([numbered, ...getPaletteGenFilters(options, '[scaled]', '[palette]')], 'palette')
+      .outputOptions(['-c:v', 'ffv1'])
+      .format('matroska')
+      .output(palettesPath),
+    createEncodeCommand(videoPath, options, hwAccel, seek)
+      .input(palettesPath)
+      .complexFilter([
+        numbered,
+        // Matroska keeps millisecond timestamps, so turn them back into frame numbers
+        `[1:v]settb=expr=1/${options.fps},setpts=round(T*${options.fps})[palette]`,
+        `[scaled][palette]${getPaletteUseFilter(options)}`
+      ])
+      .outputOption('-loop', options.loops)
+      .format('gif')
+      .output(outputPath)
+  ];
+}
+
+/**
+ * GIF strategy: run the single-pass filtergraph as a plain ffmpeg process, in case
+ * fluent-ffmpeg itself is what fails
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether to cut options.start and options.duration from the source
+ * @returns {string[][]} - Commands to run in order (see runFfmpegCommand)
+ */
+function buildGifCli(videoPath, tempDir, outputPath, options, hwAccel, seek) {
+  const args = ['ffmpeg', '-y', '-hide_banner', '-loglevel', 'error'];
+  
+  if (seek) {
+    args.push('-ss', String(options.start), '-t', String(options.duration));
+  }
+  
+  if (hwAccel.available) {
+    hwAccel.options.forEach(option => args.push(...option.split(' ')));
+  }
+  
+  args.push(
+    '-i', videoPath,
+    '-filter_complex', getPaletteGraph(options).join(';'),
+    '-loop', String(options.loops),
+    ...getThreadOptions(options),
+    '-f', 'gif',
+    outputPath
+  );
+  
+  return [args];
+}
+
+/**
+ * GIF strategy: let FFmpeg's GIF encoder quantize each frame without a generated palette
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether to cut options.start and options.duration from the source
+ * @returns {object[]} - Commands to run in order (see runFfmpegCommand)
+ */
+function buildGifBasic(videoPath, tempDir, outputPath, options, hwAccel, seek) {
+  return [
+    createEncodeCommand(videoPath, options, hwAccel, seek)
+      .videoFilters(getVideoFilters(options))
+      .outputOption('-loop', options.loops)
+      .format('gif')
+      .output(outputPath)
+  ];
+}
+
+/**
+ * Build the command that measures SSIM and PSNR between a GIF and the frames it was encoded from
+ *
+ * The source goes through the same filters as the encode, so the scores only count
+ * what the palette, dithering and gifsicle lost. gifsicle merges identical frames into
+ * longer ones, so the GIF is brought back to the output frame rate first.
+ *
+ * @param {string} gifPath - Path to the GIF
+ * @param {string} videoPath - Path to the video the GIF was encoded from
+ * @param {object} options - Encode options
+ * @param {boolean} seek - Whether the GIF was cut from options.start and options.duration
+ * @returns {object} - fluent-ffmpeg command that logs SSIM and PSNR to stderr
+ */
+function buildQualityCommand(gifPath, videoPath, options, seek) {
+  const command = createFfmpegCommand(videoPath, options);
+  
+  if (seek) {
+    command.seekInput(options.start).duration(options.duration);
+  }
+  
+  return command
+    .input(gifPath)
+    .complexFilter([
+      `[0:v]${[...getVideoFilters(options), 'format=yuv444p'].join(',')},split[ssimsource][psnrsource]`,
+      `[1:v]fps=${options.fps},format=yuv444p[gif]`,
+      '[gif][ssimsource]ssim[measured]',
+      '[measured][psnrsource]psnr'
+    ])
+    .outputOptions(getThreadOptions(options))
+    .format('null')
+    .output('-');
+}
+
+/**
+ * Measure a finished GIF against its source frames when --metrics or --min-ssim asks for it
+ *
+ * A failed measurement is reported and treated as unmeasured rather than failing the conversion.
+ *
+ * @param {string} gifPath - Path to the optimized GIF
+ * @param {string} videoPath - Path to the video the GIF was encoded from
+ * @param {object} options - Encode options (metrics, minSsim)
+ * @param {object} reporter - Reporter used for output
+ * @param {boolean} [seek=true] - Whether the GIF was cut from options.start and options.duration
+ * @returns {Promise<object|null>} - { ssim, psnr }, or null if quality wasn't measured
+ */
+async function measureGifQuality(gifPath, videoPath, options, reporter, seek = true) {
+  if (!options.metrics && options.minSsim === undefined) {
+    return null;
+  }
+  
+  reporter.stage('measure', 'Measuring quality');
+  
+  try {
+    const output = await new Promise((resolve, reject) => {
+      let stderr = '';
+      buildQualityCommand(gifPath, videoPath, options, seek)
+        .on('start', (commandLine) => {
+          if (options.verbose) {
+            reporter.log('Quality measurement command:', commandLine);
+          }
+        })
+        .on('stderr', (line) => {
+          stderr += line + '\n';
+        })
+        .on('end', () => resolve(stderr))
+        .on('error', (err) => reject(err))
+        .run();
+    });
+    
+    const quality = { ssim: parseSsim(output), psnr: parsePsnr(output) };
+    if (quality.ssim === null || quality.psnr === null) {
+      throw new Error('FFmpeg reported no scores');
+    }
+    
+    reporter.log(`Quality: SSIM ${quality.ssim.toFixed(4)}, PSNR ${quality.psnr.toFixed(1)} dB`);
+    return quality;
+  } catch (err) {
+    reporter.warn(`Could not measure quality: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find the line of FFmpeg's output that says why an encode failed
+ * @param {Error} err - Error from FFmpeg, with the process's stderr if it was captured
+ * @returns {string} - One-line reason
+ */
+function describeEncodeError(err) {
+  const lines = String(err.stderr || '').split('\n')
+    // Drop the [filter @ 0x...] prefix
+    .map(line => line.replace(/^\[[^\]]+\]\s*/, '').trim())
+    .filter(line => /error|invalid|no such|not found|unable|cannot|failed|unknown/i.test(line) && !GENERIC_FFMPEG_ERRORS.test(line));
+  
+  return lines[0] || String(err.message).split('\n')[0].trim() || 'unknown error';
+}
+
+/**
+ * Encode a GIF with the strategies named in options.strategy, in order, until one succeeds
+ *
+ * Every strategy encodes the same settings (segment, frame rate, crop, scale, overlays,
+ * colors, dither, palettes and loop count); they differ only in how FFmpeg is driven.
+ * Each failure is reported with its reason before the next strategy is tried. Per-scene
+ * palettes need the cuts first, which are detected in the part being encoded.
+ *
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output and progress
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} [seek=true] - Whether to cut options.start and options.duration from the source
+ * @returns {Promise<object>} - { strategy, palettes }: the name of the strategy that wrote
+ *   the GIF and the number of distinct palettes its frames use
+ * @throws {Error} Listing each strategy's failure if none succeeds
+ */
+async function encodeGifWithStrategies(videoPath, tempDir, outputPath, options, reporter, hwAccel = { available: false }, seek = true) {
+  const failures = [];
+  
+  if (options.palette === 'per-scene') {
+    const start = seek ? options.start : 0;
+    const shots = await detectScenes(videoPath, start, options.duration, options, reporter);
+    options = { ...options, paletteScenes: shots.slice(1).map(shot => shot.start - start) };
+    if (options.verbose) {
+      reporter.log(`Generating a palette for each of ${shots.length} scene(s)`);
+    }
+  }
+  
+  for (const name of options.strategy) {
+    const strategy = GIF_STRATEGIES.find(s => s.name === name);
+    checkCancelled(options);
+    
+    if (failures.length > 0) {
+      reporter.log(`Trying the ${name} strategy (${strategy.description})...`);
+    } else if (options.verbose) {
+      reporter.log(`Encoding with the ${name} strategy (${strategy.description})`);
+    }
+    
+    try {
+      for (const command of strategy.build(videoPath, tempDir, outputPath, options, hwAccel, seek)) {
+        await runFfmpegCommand(command, options, reporter);
+      }
+    } catch (err) {
+      checkCancelled(options);
+      const reason = describeEncodeError(err);
+      failures.push({ name, reason });
+      reporter.warn(`The ${name} strategy failed: ${reason}`);
+      continue;
+    }
+    
+    if (failures.length > 0) {
+      reporter.log(`Encoded with the ${name} strategy after ${failures.map(failure => failure.name).join(', ')} failed`);
+    } else if (options.verbose) {
+      reporter.log(`Encoded with the ${name} strategy`);
+    }
+    
+    // Count before gifsicle, which may store the same palettes differently
+    const { frames, palettes } = countGifPalettes(fs.readFileSync(outputPath));
+    if (options.palette !== 'global') {
+      reporter.log(`Encoded ${frames} frames with ${palettes} palette${palettes === 1 ? '' : 's'}`);
+    }
+    return { strategy: name, palettes };
+  }
+  
+  throw new Error(`Every encoding strategy failed:\n${failures.map(failure => `  ${failure.name}: ${failure.reason}`).join('\n')}`);
+}
+
+/**
+ * Convert a video to a GIF without crossfade, using the encoding strategy pipeline
+ *
+ * @param {string} videoPath - Path to the source video
+ * @param {string} tempDir - Temporary directory for processing files
+ * @param {string} outputPath - Path where the final GIF will be saved
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output and progress
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @returns {Promise<object>} - { strategy, palettes, quality }: the method that produced the
+ *   file, direct for non-GIF formats, otherwise the GIF strategy's name (see GIF_STRATEGIES),
+ *   the number of palettes in the GIF and its measured quality (see measureGifQuality);
+ *   the last two are null for other formats
+ */
+async function processStandard(videoPath, tempDir, outputPath, options, reporter, hwAccel = { available: false }) {
+  // Formats other than GIF are encoded directly without the palette strategies
+  if (options.format !== 'gif') {
+    const label = OUTPUT_FORMATS[options.format].label;
+    reporter.stage('encode', `Encoding ${label}`);
+    reporter.log(`Converting video to ${label} (this may take a while)...`);
+    reporter.log(`Settings: ${options.duration}s duration, ${options.width}px width, ${options.fps} FPS`);
+    
+    try {
+      await encodeAnimation(videoPath, outputPath, options, reporter, hwAccel);
+    } catch (err) {
+      reporter.error(`Error creating ${label}:`, err.message);
+      throw err;
+    }
+    
+    return { strategy: 'direct', palettes: null, quality: null };
+  }
+  
+  const retiming = describeRetiming(options);
+  const speedInfo = retiming.length > 0 ? ` (${retiming.join(', ')})` : '';
+  reporter.stage('encode', 'Encoding GIF');
+  reporter.log(`Converting video to GIF${speedInfo} (this may take a while)...`);
+  reporter.log(`Settings: ${options.duration}s duration, ${options.width}px width, ${options.fps} FPS`);
+  
+  // Log memory usage before processing
+  logMemoryUsage(options, reporter);
+  
+  // Check if memory limit is already exceeded
+  if (isMemoryLimitExceeded(options)) {
+    reporter.warn('Warning: Memory limit already exceeded before processing');
+    if (options.memoryLimit > 0) {
+      reporter.warn(`Current memory usage: ${getMemoryUsage().rss}MB, limit: ${options.memoryLimit}MB`);
+    }
+  }
+  
+  const encoded = await encodeGifWithStrategies(videoPath, tempDir, outputPath, options, reporter, hwAccel);
+  
+  // Apply post-processing with gifsicle for better compression
+  reporter.stage('optimize', 'Optimizing GIF');
+  try {
+    await postProcessGif(outputPath, options, reporter);
+  } catch (err) {
+    reporter.error('Error during post-processing:', err.message);
+  }
+  
+  // Measure after gifsicle, whose lossy pass can cost more quality than the palette
+  const quality = await measureGifQuality(outputPath, videoPath, options, reporter);
+  
+  // Log final memory usage
+  if (options.verbose) {
+    reporter.log('Final memory usage after GIF creation:');
+    logMemoryUsage(options, reporter);
+  }
+  
+  return { ...encoded, quality };
+}
+
+/**
+ * Pick the next setting to reduce when a GIF is over the size limit
+ *
+ * Settings are tried in priority order; each one is reduced step by step until it
+ * reaches its floor, then the next one is used. For formats other than GIF, 'lossy'
+ * lowers the format's own quality setting and 'colors' is skipped.
+ *
+ * @param {object} settings - Current settings (see getSizeSettings)
+ * @param {number} ratio - Actual size divided by the size limit
+ * @param {object} options - Conversion options (sizePriority, minWidth, minFps, minColors)
+ * @param {boolean} lossyAvailable - Whether lossy compression can be applied (gifsicle found)
+ * @param {number} [maxLossy=MAX_LOSSY] - Highest lossy level to use
+ * @returns {object|null} - { setting, from, to } or null if every setting is at its floor
+ */
+function nextSizeAdjustment(settings, ratio, options, lossyAvailable, maxLossy = MAX_LOSSY) {
+  // Aim slightly below the limit so we don't land just above it again
+  const target = ratio * 1.05;
+  const formatInfo = OUTPUT_FORMATS[options.format];
+  
+  for (const priority of options.sizePriority) {
+    let setting = priority;
+    
+    // Other formats trade quality through their own encoder setting
+    if (priority === 'lossy' && options.format !== 'gif') {
+      if (!formatInfo.qualitySetting) continue;
+      setting = formatInfo.qualitySetting;
+    }
+    
+    if (!(setting in settings)) continue;
+    
+    const from = settings[setting];
+    let to = from;
+    
+    switch (setting) {
+      case 'lossy':
+        if (lossyAvailable) {
+          to = Math.min(maxLossy, Math.max(from + (target > 2 ? 40 : 20), 30));
+        }
+        break;
+      case 'webpQuality':
+        to = Math.max(MIN_WEBP_QUALITY, from - (target > 2 ? 25 : 15));
+        break;
+      case 'crf':
+        to = Math.min(formatInfo.maxCrf, from + (target > 2 ? 8 : 4));
+        break;
+      case 'colors':
+        // Halve the palette, snapping to a power of two
+        to = Math.max(options.minColors, Math.pow(2, Math.ceil(Math.log2(from)) - 1));
+        break;
+      case 'fps':
+        // File size scales roughly linearly with the frame count
+        to = Math.max(options.minFps, Math.min(from - 1, Math.floor(from / Math.min(target, 2))));
+        break;
+      case 'width':
+        // File size scales roughly with the area, so reduce by the square root
+        to = Math.max(options.minWidth, Math.min(from - 2, Math.floor(from / Math.sqrt(Math.min(target, 4)))));
+        to -= to % 2; // Keep dimensions even for the encoders
+        break;
+    }
+    
+    const increases = setting === 'lossy' || setting === 'crf';
+    if (increases ? to > from : to < from) {
+      return { setting, from, to };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the settings the size search may adjust for the current output format
+ * @param {object} options - Conversion options
+ * @returns {object} - Current values of the adjustable settings
+ */
+function getSizeSettings(options) {
+  const settings = { width: options.width, fps: options.fps };
+  
+  if (options.format === 'gif') {
+    settings.colors = options.colors;
+    settings.lossy = options.lossy;
+  } else if (OUTPUT_FORMATS[options.format].qualitySetting) {
+    const qualitySetting = OUTPUT_FORMATS[options.format].qualitySetting;
+    settings[qualitySetting] = options[qualitySetting];
+  }
+  
+  return settings;
+}
+
+/**
+ * Describe size search settings for log output
+ * @param {object} settings - Settings from getSizeSettings
+ * @returns {string} - Human-readable description
+ */
+function describeSizeSettings(settings) {
+  const labels = {
+    width: value => `${value}px width`,
+    fps: value => `${value} FPS`,
+    colors: value => `${value} colors`,
+    lossy: value => `lossy ${value}`,
+    webpQuality: value => `WebP quality ${value}`,
+    crf: value => `CRF ${value}`
+  };
+  
+  return Object.keys(settings).map(key => labels[key](settings[key])).join(', ');
+}
+
+/**
+ * Pick the next setting to restore when a GIF is below --min-ssim
+ *
+ * gifsicle's lossy level is halved first, down to none, since it usually costs the
+ * most quality; then the palette is doubled up to 256 colors.
+ *
+ * @param {object} settings - Current settings (see getSizeSettings)
+ * @returns {object|null} - { setting, from, to } or null if nothing is left to restore
+ */
+function nextQualityAdjustment(settings) {
+  if (settings.lossy > 0) {
+    return { setting: 'lossy', from: settings.lossy, to: settings.lossy >= 20 ? Math.floor(settings.lossy / 2) : 0 };
+  }
+  
+  if (settings.colors < 256) {
+    return { setting: 'colors', from: settings.colors, to: Math.min(256, Math.pow(2, Math.floor(Math.log2(settings.colors)) + 1)) };
+  }
+  
+  return null;
+}
+
+/**
+ * Encode the output, measure the real file and re-encode with smaller settings until it
+ * fits within options.maxSize or every setting has reached its floor
+ *
+ * With options.minSsim, a GIF below the floor is re-encoded with better settings first
+ * (see nextQualityAdjustment), and the size search doesn't reduce that setting past the
+ * restored value again.
+ *
+ * @param {Function} encode - Async function that writes the output to outputPath using the current
+ *   options, resolving with { strategy, palettes, quality } (see processStandard)
+ * @param {string} outputPath - Path of the file written by encode
+ * @param {object} options - Conversion options, adjusted in place between attempts
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object>} - { size, fits, settings, attempts, strategy, palettes, quality }
+ */
+async function encodeWithinMaxSize(encode, outputPath, options, reporter) {
+  const maxBytes = options.maxSize * 1024 * 1024;
+  const attempts = [];
+  
+  // Limits for the size search, tightened by each quality adjustment
+  const limits = { maxLossy: MAX_LOSSY, minColors: options.minColors };
+  
+  for (let attempt = 1; ; attempt++) {
+    const settings = getSizeSettings(options);
+    
+    const { strategy, palettes, quality } = await encode();
+    
+    const size = fs.statSync(outputPath).size;
+    const fits = size <= maxBytes;
+    const meetsQuality = !quality || options.minSsim === undefined || quality.ssim >= options.minSsim;
+    attempts.push({ attempt, size, fits, strategy, palettes, quality, ...settings });
+    
+    // Only report the check when it matters: a retry, an oversized or poor output, or verbose mode
+    if (options.verbose || attempt > 1 || !fits || !meetsQuality) {
+      reporter.log(`Size check ${attempt}: ${(size / (1024 * 1024)).toFixed(2)}MB ` +
+        `(limit ${options.maxSize}MB)${quality ? `, SSIM ${quality.ssim.toFixed(4)}` : ''} at ${describeSizeSettings(settings)}`);
+    }
+    
+    if (fits && meetsQuality) {
+      if (attempt > 1) {
+        reporter.log(`Final settings: ${describeSizeSettings(settings)}`);
+      }
+      return { size, fits, settings, attempts, strategy, palettes, quality };
+    }
+    
+    if (!meetsQuality) {
+      const adjustment = attempt < MAX_SIZE_ATTEMPTS ? nextQualityAdjustment(settings) : null;
+      
+      if (!adjustment) {
+        reporter.warn(`Warning: Could not raise SSIM to ${options.minSsim} ` +
+          `(${quality.ssim.toFixed(4)} after ${attempt} attempts).`);
+        reporter.warn(`Final settings: ${describeSizeSettings(settings)}`);
+        reporter.warn('Raise the width or frame rate, try another --dither, or lower --min-ssim.');
+        return { size, fits, settings, attempts, strategy, palettes, quality };
+      }
+      
+      reporter.warn(`SSIM is below ${options.minSsim}, adjusting ${adjustment.setting} from ${adjustment.from} to ${adjustment.to} and re-encoding...`);
+      if (adjustment.setting === 'lossy') {
+        limits.maxLossy = adjustment.to;
+      } else {
+        limits.minColors = adjustment.to;
+      }
+      options[adjustment.setting] = adjustment.to;
+      continue;
+    }
+    
+    const adjustment = attempt < MAX_SIZE_ATTEMPTS ?
+      nextSizeAdjustment(settings, size / maxBytes, { ...options, minColors: limits.minColors }, detectGifsicle(reporter), limits.maxLossy) :
+      null;
+    
+    if (!adjustment) {
+      reporter.warn(`Warning: Could not reduce the output below ${options.maxSize}MB ` +
+        `(${(size / (1024 * 1024)).toFixed(2)}MB after ${attempt} attempts).`);
+      reporter.warn(`Final settings: ${describeSizeSettings(settings)}`);
+      reporter.warn('Lower --min-width, --min-fps or --min-colors, shorten the clip, or use -m to raise the limit.');
+      return { size, fits, settings, attempts, strategy, palettes, quality };
+    }
+    
+    reporter.warn(`Output is over ${options.maxSize}MB, adjusting ${adjustment.setting} from ${adjustment.from} to ${adjustment.to} and re-encoding...`);
+    options[adjustment.setting] = adjustment.to;
+  }
+}
+
+/**
+ * Build the command that retimes a whole video for --speed
+ * @param {string} inputPath - Path to the input video
+ * @param {string} outputPath - Path for the retimed video
+ * @param {number} speed - Speed factor
+ * @param {object} options - Conversion options (threads)
+ * @returns {object} - fluent-ffmpeg command
+ */
+function buildSpeedCommand(inputPath, outputPath, speed, options) {
+  // Note: setpts=1/speed*PTS makes the video faster when speed > 1.0 and slower when speed < 1.0
+  return createFfmpegCommand(inputPath, options)
+    .videoFilter(`setpts=1/${speed}*PTS`)
+    .audioFilter(`atempo=${speed}`) // Adjust audio speed too if present
+    .outputOptions(getThreadOptions(options))
+    .output(outputPath);
+}
+
+/**
+ * Preprocess video with speed adjustment if needed
+ * @param {string} inputPath - Path to the input video
+ * @param {string} tempDir - Temporary directory for processing
+ * @param {number} speed - Speed factor (1.0 = normal, 0.5 = half speed, 2.0 = double speed)
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
+ * @param {object} tempFiles - Optional temp file tracker with track() and cleanup() functions
+ * @returns {Promise<string>} - Path to the processed video
+ */
+async function preprocessVideoSpeed(inputPath, tempDir, speed, options, reporter, tempFiles = null) {
+  // If speed is 1.0 (normal), skip preprocessing
+  if (speed === 1.0) {
+    return inputPath;
+  }
+  
+  return new Promise((resolve, reject) => {
+    const speedAdjustedPath = path.join(tempDir, 'speed_adjusted.mp4');
+    
+    // Track this temp file for cleanup if needed
+    if (tempFiles) {
+      tempFiles.track(speedAdjustedPath);
+    }
+    
+    reporter.log(`Preprocessing video to ${speed}x speed...`);
+    
+    // Log memory usage if enabled
+    logMemoryUsage(options, reporter);
+    
+    buildSpeedCommand(inputPath, speedAdjustedPath, speed, options)
+      .on('start', (commandLine) => {
+        if (options.verbose) {
+          reporter.log('Speed preprocessing command:', commandLine);
+        }
+      })
+      .on('end', () => {
+        reporter.log('Speed preprocessing complete');
+        // Log memory usage after processing if enabled
+        logMemoryUsage(options, reporter);
+        // Don't clean up the original file here - it will be handled after this function returns
+        resolve(speedAdjustedPath);
+      })
+      .on('error', (err) => {
+        reporter.error('Error preprocessing speed:', err.message);
+        // If speed preprocessing fails, fall back to the original video
+        reporter.warn('Falling back to original video speed');
+        resolve(inputPath);
+      })
+      .run();
+  });
+}
+
+/**
+ * Check whether a clip is retimed on its own rather than with one speed for the whole video
+ * @param {object} options - Conversion options (speed, freeze, reverse, interpolate)
+ * @returns {boolean} - True for speed keyframes, freezes, reverse playback and interpolation
+ */
+function isSegmentRetimed(options) {
+  return Array.isArray(options.speed) || options.freeze.length > 0 || Boolean(options.reverse) ||
+    options.interpolate !== 'none';
+}
+
+/**
+ * Get the filters that synthesize frames in between the source frames for --interpolate
+ *
+ * blend crossfades neighbouring frames with the framerate filter, which runs on
+ * --threads cores. mci estimates motion with minterpolate and draws the objects where
+ * they would be, which is smoother but much slower and runs on one core.
+ *
+ * @param {object} options - Conversion options (interpolate, fps)
+ * @returns {string[]} - Filters that output options.fps frames per second, or none
+ */
+function getInterpolationFilters(options) {
+  if (options.interpolate === 'blend') {
+    return [`framerate=fps=${options.fps}`];
+  }
+  if (options.interpolate === 'mci') {
+    return [`minterpolate=fps=${options.fps}:mi_mode=mci:mc_mode=aobmc:me_mode=bidir:vsbmc=1`];
+  }
+  return [];
+}
+
+/**
+ * Build the command that cuts a segment and retimes it for speed keyframes, freezes,
+ * --reverse and --interpolate
+ *
+ * The segment is read from the source and every frame is given its output time (see
+ * buildSetptsExpression). Slowed stretches repeat frames and faster ones drop them, as
+ * with a constant --speed, unless --interpolate fills them in. Freezes are added after
+ * interpolation so held frames stay still. Reversing buffers every frame of the segment.
+ *
+ * @param {string} inputPath - Path to the input video
+ * @param {string} outputPath - Path for the retimed segment
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {object} options - Conversion options (start, interpolate, fps, threads)
+ * @returns {object} - fluent-ffmpeg command
+ */
+function buildRetimeCommand(inputPath, outputPath, timeline, options) {
+  const freezeExpression = buildFreezeExpression(timeline);
+  const threadOptions = getThreadOptions(options);
+  
+  return createFfmpegCommand(inputPath, options)
+    .seekInput(options.start)
+    // Limit the input rather than the output, which is longer or shorter than the segment
+    .inputOptions(['-t', String(timeline.duration)])
+    .videoFilters([
+      'setpts=PTS-STARTPTS',
+      ...(timeline.reverse ? ['reverse'] : []),
+      `setpts=${escapeFilterValue(buildSetptsExpression(timeline))}`,
+      ...getInterpolationFilters(options),
+      ...(freezeExpression ? [`setpts=${escapeFilterValue(freezeExpression)}`] : [])
+    ])
+    .outputOptions([
+      ...INTERMEDIATE_CODECS,
+      ...threadOptions,
+      // Filters that can split frames into slices, such as framerate, use the same number of threads
+      ...(options.interpolate !== 'none' && threadOptions.length > 0 ? ['-filter_threads', threadOptions[1]] : [])
+    ])
+    .output(outputPath);
+}
+
+/**
+ * Pick the interpolation mode that fits within --memory-limit
+ *
+ * The interpolation filters work on full-size source frames, so mci falls back to
+ * blend when its buffers would take more than half the limit, as with the
+ * boomerang's reverse buffer.
+ *
+ * @param {object} media - The source's width and height, null when they aren't known
+ * @param {object} options - Conversion options (interpolate, memoryLimit)
+ * @returns {object} - { mode, memory, fallback }: memory is the estimate for mode in MB (null
+ *   without a frame size), and fallback is mci's estimate when it didn't fit
+ */
+function chooseInterpolation(media, options) {
+  if (!media.width || !media.height) {
+    return { mode: options.interpolate, memory: null };
+  }
+  
+  const estimate = (mode) => Math.ceil(media.width * media.height * INTERPOLATION_BYTES_PER_PIXEL[mode] / (1024 * 1024));
+  
+  if (options.interpolate === 'mci' && options.memoryLimit > 0 && estimate('mci') > options.memoryLimit / 2) {
+    return { mode: 'blend', memory: estimate('blend'), fallback: estimate('mci') };
+  }
+  return { mode: options.interpolate, memory: estimate(options.interpolate) };
+}
+
+/**
+ * Check --interpolate against the memory limit and report what it will cost
+ *
+ * The first INTERPOLATION_SAMPLE seconds of the segment are retimed and interpolated
+ * on their own and timed, and the time is scaled up by how long the whole segment plays.
+ *
+ * @param {string} videoPath - Path to the video the segment is cut from
+ * @param {string} tempDir - Temporary directory for the sample
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {object} options - Conversion options, with start as the segment's time in videoPath
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<string>} - The interpolation mode to use
+ */
+async function prepareInterpolation(videoPath, tempDir, timeline, options, reporter) {
+  const media = await probeVideo(videoPath);
+  const { mode, memory, fallback } = chooseInterpolation(media, options);
+  
+  if (fallback) {
+    reporter.warn(`Warning: mci interpolation of ${media.width}x${media.height} frames needs about ${fallback}MB, ` +
+      `more than half the ${options.memoryLimit}MB memory limit; blending frames instead`);
+  }
+  
+  const sampleTimeline = createTimeline({ ...options, duration: Math.min(INTERPOLATION_SAMPLE, timeline.duration) });
+  const samplePath = path.join(tempDir, 'interpolation_sample.mp4');
+  const started = Date.now();
+  
+  try {
+    await runFfmpegCommand(buildRetimeCommand(videoPath, samplePath, sampleTimeline, { ...options, interpolate: mode }), options, reporter);
+  } finally {
+    if (fs.existsSync(samplePath)) {
+      fs.unlinkSync(samplePath);
+    }
+  }
+  
+  const seconds = (Date.now() - started) / 1000 * getTimelineLength(timeline) / getTimelineLength(sampleTimeline);
+  const frames = Math.round(getTimelineLength(timeline) * options.fps);
+  const memoryInfo = memory !== null ? ` and ${memory}MB for ${media.width}x${media.height} frames` : '';
+  reporter.log(`Interpolating ${frames} frames with ${mode}: about ${Math.ceil(seconds)}s${memoryInfo}`);
+  
+  return mode;
+}
+
+/**
+ * Cut a segment out of a video and retime it
+ * @param {string} inputPath - Path to the input video
+ * @param {string} tempDir - Temporary directory for processing
+ * @param {object} timeline - Timeline from createTimeline
+ * @param {object} options - Conversion options, with start as the segment's time in inputPath
+ * @param {object} reporter - Reporter used for output
+ * @param {object} tempFiles - Optional temp file tracker with track() and cleanup() functions
+ * @returns {Promise<string>} - Path to the retimed segment, which starts at 0
+ */
+async function retimeSegment(inputPath, tempDir, timeline, options, reporter, tempFiles = null) {
+  const retimedPath = path.join(tempDir, 'retimed.mp4');
+  if (tempFiles) {
+    tempFiles.track(retimedPath);
+  }
+  
+  reporter.log(`Retiming the segment: ${describeRetiming(options).join(', ')}...`);
+  logMemoryUsage(options, reporter);
+  
+  await runFfmpegCommand(buildRetimeCommand(inputPath, retimedPath, timeline, options), options, reporter);
+  
+  if (options.verbose) {
+    reporter.log(`The ${timeline.duration}s segment plays for ${getTimelineLength(timeline).toFixed(2)}s`);
+  }
+  
+  return retimedPath;
+}
+
+/**
+ * Get the part of a YouTube video to download for a conversion
+ *
+ * A loop search needs its window on both sides, and a small buffer makes sure the
+ * segment isn't cut short.
+ *
+ * @param {object} options - Conversion options (start, duration, findLoop, crossfade)
+ * @returns {object} - { start, duration } in seconds
+ */
+function getDownloadRange(options) {
+  const loopWindow = options.findLoop || 0;
+  const start = Math.max(0, options.start - loopWindow);
+  const duration = options.duration + (options.start - start) + loopWindow;
+  
+  return {
+    start,
+    duration: duration + (isCrossfadeEnabled(options) ? options.crossfade : 0) + 0.5
+  };
+}
+
+/**
+ * Move subtitle cues onto the clip's timeline; a crossfade loop begins crossfade seconds in
+ *
+ * A retimed segment places each cue's start and end where those moments play, so a
+ * freeze lengthens the cues it falls in and reversing swaps their ends.
+ *
+ * @param {object[]} cues - Cues in source time
+ * @param {object} options - Conversion options (start, duration, speed, crossfade)
+ * @param {object} [timeline] - Timeline from createTimeline when the segment is retimed on its own
+ * @returns {object[]} - Cues that fall within the clip, in output time
+ */
+function getClipCues(cues, options, timeline = null) {
+  if (!timeline) {
+    const offset = isCrossfadeEnabled(options) ? options.crossfade * options.speed : 0;
+    return retimeCues(cues, options.start + offset, options.duration - offset, options.speed);
+  }
+  
+  const offset = isCrossfadeEnabled(options) ? options.crossfade : 0;
+  const clipLength = getTimelineLength(timeline) - offset;
+  
+  return cues
+    .map(cue => {
+      const times = [cue.start, cue.end].map(time => getOutputTime(timeline, time - options.start) - offset);
+      return { ...cue, start: Math.min(...times), end: Math.max(...times) };
+    })
+    .filter(cue => cue.end > 0 && cue.start < clipLength)
+    .map(cue => ({ ...cue, start: Math.max(0, cue.start), end: Math.min(clipLength, cue.end) }));
+}
+
+/**
+ * Find a non-conflicting filename by appending -1, -2, ... before the extension
+ * @param {string} basePath - Desired file path
+ * @returns {string} - basePath, or a numbered variant if it already exists
+ */
+function getUniqueFilePath(basePath) {
+  if (!fs.existsSync(basePath)) {
+    return basePath;
+  }
+  
+  const ext = path.extname(basePath);
+  const baseWithoutExt = basePath.slice(0, -ext.length);
+  
+  let counter = 1;
+  let newPath;
+  
+  do {
+    newPath = `${baseWithoutExt}-${counter}${ext}`;
+    counter++;
+  } while (fs.existsSync(newPath));
+  
+  return newPath;
+}
+
+/**
+ * Determine the output path from the options, using the input filename or the
+ * YouTube video ID when no output is specified
+ * @param {object} options - Conversion options (output, input, url, format)
+ * @returns {string} - Output path with the output format's extension
+ */
+function resolveOutputPath(options) {
+  let outputPath;
+  const outputExt = OUTPUT_FORMATS[options.format].extensions[0];
+  if (options.output) {
+    outputPath = getFormatFromPath(options.output) === options.format ? options.output : `${options.output}${outputExt}`;
+  } else if (options.input) {
+    // Use input filename with the output format's extension
+    const inputBasename = path.basename(options.input, path.extname(options.input));
+    const inputDir = path.dirname(options.input);
+    outputPath = path.join(inputDir, `${inputBasename}${outputExt}`);
+  } else if (options.url) {
+    // For YouTube URLs without specified output, use the video ID (slug)
+    let videoId;
+    try {
+      // Extract the video ID from URL
+      const url = new URL(options.url);
+      if (url.hostname.includes('youtube.com')) {
+        videoId = url.searchParams.get('v');
+      } else if (url.hostname.includes('youtu.be')) {
+        videoId = url.pathname.substring(1);
+      }
+    } catch (e) {
+      // If URL parsing fails, fallback to regex
+      const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/i;
+      const match = options.url.match(regex);
+      videoId = match ? match[1] : null;
+    }
+    
+    outputPath = videoId ? `youtube-${videoId}${outputExt}` : `youtube-${Date.now()}${outputExt}`;
+  } else {
+    outputPath = `output${outputExt}`;
+  }
+  
+  return outputPath;
+}
+
+/**
+ * Run a conversion with already normalized options
+ * @param {object} options - Normalized conversion options (see normalizeOptions)
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<object>} - Resolves once the output is written with { outputPath, format, size,
+ *   width, height, frameCount, duration, settings, strategy, attempts }, where strategy names the
+ *   encoding method that succeeded
+ */
+async function run(options, reporter) {
+  let tempDir = null;
+  let videoPath = null;
+  let processedVideoPath = null;
+  let usingTempVideo = false;
+  let segmentOffset = 0;
+  let subtitleCues = null;
+  let tempFiles = [];
+  
+  // Initialize cache if enabled
+  if (options.cache) {
+    initializeCache(options, reporter);
+  }
+  
+  // Detect hardware acceleration capabilities
+  const hwAccel = await detectHardwareAcceleration(reporter);
+  
+  try {
+    // Create temp directory
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-gif-'));
+    
+    // Create a function to clean up temp files immediately
+    const cleanupTempFile = (filePath) => {
+      if (filePath && fs.existsSync(filePath)) {
+        try {
+          fs.unlinkSync(filePath);
+          
+          // Remove from the tracked temp files array if present
+          const index = tempFiles.indexOf(filePath);
+          if (index > -1) {
+            tempFiles.splice(index, 1);
+          }
+          
+          if (options.verbose) {
+            reporter.log(`Cleaned up temp file: ${filePath}`);
+          }
+        } catch (err) {
+          reporter.warn(`Failed to clean up temp file ${filePath}: ${err.message}`);
+        }
+      }
+    };
+    
+    // Create a function to track temp files for later cleanup
+    const trackTempFile = (filePath) => {
+      if (filePath && !tempFiles.includes(filePath)) {
+        tempFiles.push(filePath);
+      }
+    };
+    
+    const tempFileTracker = { track: trackTempFile, cleanup: cleanupTempFile };
+    
+    // Determine output path based on input if not specified
+    let outputPath = resolveOutputPath(options);
+    
+    // Ensure we don't overwrite existing files
+    outputPath = getUniqueFilePath(outputPath);
+    
+    // Handle YouTube video
+    if (options.url) {
+      videoPath = path.join(tempDir, 'video.mp4');
+      usingTempVideo = true;
+      trackTempFile(videoPath);
+      
+      reporter.stage('validate', 'Validating YouTube URL');
+      reporter.log('Validating YouTube URL...');
+      
+      // Get video ID from URL
+      const videoId = extractVideoId(options.url);
+      
+      if (!videoId) {
+        throw new Error('Invalid YouTube URL or could not extract video ID');
+      }
+      
+      if (options.verbose) {
+        reporter.log(`Extracted video ID: ${videoId}`);
+      }
+      
+      reporter.stage('info', 'Fetching video information');
+      reporter.log('Fetching video information...');
+      
+      const videoInfo = await fetchVideoInfo(videoId, options.url, options, reporter);
+      
+      reporter.log(`Processing: ${videoInfo.videoDetails.title}`);
+      
+      // Frame numbers use the frame rate of the format that will be downloaded
+      const hasFrameTimes = [options.start, options.duration, options.end].some(isFrameTime);
+      resolveTimes(options, {
+        length: parseFloat(videoInfo.videoDetails.lengthSeconds) || null,
+        frameRate: hasFrameTimes ? selectVideoFormat(videoInfo, options, reporter).fps : null
+      });
+      
+      if (options.subs) {
+        subtitleCues = parseSubtitles(await fetchYouTubeSubtitles(videoInfo, options.subs, options, reporter));
+      }
+      
+      // Calculate download parameters
+      const { start: startTime, duration } = getDownloadRange(options);
+      segmentOffset = startTime;
+      
+      // Note: We've found that the YouTube timestamp feature doesn't work reliably with ytdl-core
+      // So we'll keep the original seeking logic for now
+      if (options.verbose && startTime > 0) {
+        reporter.log(`Using seek time of ${startTime}s for video processing`);
+      }
+      
+      // Download only the segment we need instead of the full video
+      reporter.stage('download', 'Downloading video segment');
+      try {
+        videoPath = await downloadVideoSegment(videoId, videoInfo, startTime, duration, videoPath, options, reporter);
+      } catch (error) {
+        reporter.error('Error downloading video segment:', error.message);
+        
+        if (error.message.includes('403') || error.message.includes('Forbidden')) {
+          reporter.error('\nAccess denied when downloading this video. This is likely due to restrictions on the video.');
+          reporter.error('Try an alternative approach:');
+          reporter.error('1. Install yt-dlp (https://github.com/yt-dlp/yt-dlp#installation)');
+          reporter.error(`2. Download the video: yt-dlp "${options.url}" -o video.mp4`);
+          reporter.error(`3. Create the GIF: vgif -i video.mp4 -s ${options.start} -d ${options.duration} -c ${options.crossfade} -w ${options.width}`);
+        } else if (error.message.includes('429') || error.message.includes('Too Many Requests')) {
+          reporter.error('\nToo many requests sent to YouTube. Please wait a while and try again.');
+        }
+        
+        if (options.verbose) {
+          reporter.error('Error details:', error);
+        }
+        throw error;
+      }
+      
+      // Verify the file was downloaded
+      if (!fs.existsSync(videoPath) || fs.statSync(videoPath).size === 0) {
+        throw new Error('Downloaded video file is empty or does not exist');
+      }
+      
+      reporter.log('Video segment ready for processing');
+    } 
+    // Handle local video file
+    else if (options.input) {
+      videoPath = options.input;
+      
+      // Verify the file exists
+      if (!fs.existsSync(videoPath)) {
+        throw new Error(`Input file does not exist: ${videoPath}`);
+      }
+      
+      // Check if the file is readable
+      try {
+        fs.accessSync(videoPath, fs.constants.R_OK);
+      } catch (err) {
+        throw new Error(`Cannot read input file: ${videoPath}`);
+      }
+      
+      resolveTimes(options, await probeVideo(videoPath));
+      
+      reporter.log(`Processing local video: ${path.basename(videoPath)}`);
+    }
+    
+    checkCancelled(options);
+    
+    if (options.subtitles) {
+      subtitleCues = loadSubtitleFile(options.subtitles);
+    }
+    
+    reporter.log(options.preview ? 'Rendering a preview...' : `Converting to ${OUTPUT_FORMATS[options.format].label}...`);
+    
+    // Make sure the output directory exists; a preview is written instead of the output
+    const outputDir = path.dirname(path.resolve(options.preview || outputPath));
+    if (!fs.existsSync(outputDir)) {
+      reporter.log(`Creating output directory: ${outputDir}`);
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    
+    // Check if we have write access to the output directory
+    try {
+      fs.accessSync(outputDir, fs.constants.W_OK);
+    } catch (err) {
+      throw new Error(`No write permission to output directory: ${outputDir}`);
+    }
+    
+    // Search for loop points in source time, before any speed change
+    if (options.findLoop) {
+      reporter.stage('find-loop', 'Searching for loop points');
+      reporter.log(`Searching ${options.findLoop}s around the start and end for a seamless loop...`);
+      
+      const loop = await findLoop(videoPath, segmentOffset, options, reporter);
+      
+      if (loop && loop.score >= MIN_LOOP_SSIM) {
+        options.start = loop.start;
+        options.duration = loop.duration;
+        options.crossfade = 0;
+        options.loopMode = 'normal';
+        reporter.log(`Found loop points: ${formatTime(loop.start)} to ${formatTime(loop.end)}`);
+      } else {
+        options.crossfade = options.crossfade || FALLBACK_CROSSFADE;
+        options.loopMode = 'crossfade';
+        reporter.log(`No seamless loop found, falling back to a ${options.crossfade}s crossfade`);
+      }
+      
+      if (options.verbose && loop) {
+        reporter.log(`Best match: ${formatTime(loop.start)} to ${formatTime(loop.end)} (${loop.duration.toFixed(3)}s), SSIM ${loop.score.toFixed(4)}`);
+      }
+    }
+    
+    // Downloaded segments begin at segmentOffset in the source
+    const seekStart = options.start - segmentOffset;
+    
+    // Where the segment sits in processedVideoPath, in output time
+    let segment = { start: seekStart, duration: options.duration };
+    let timeline = null;
+    
+    // Apply speed preprocessing if needed; a preview of a retimed segment shows it as it plays
+    if (isSegmentRetimed(options)) {
+      // Speed keyframes, freezes and reversing are measured from the segment's start, so only it is retimed
+      timeline = createTimeline(options);
+      options.freeze.filter(freeze => freeze.time >= options.duration).forEach(freeze => {
+        reporter.warn(`Ignoring the freeze at ${freeze.time}s, which is past the end of the ${options.duration}s segment`);
+      });
+      
+      if (options.interpolate !== 'none') {
+        reporter.stage('interpolate', 'Estimating the cost of interpolation');
+        options.interpolate = await prepareInterpolation(videoPath, tempDir, timeline, { ...options, start: seekStart }, reporter);
+      }
+      
+      reporter.stage('speed', `Retiming the segment: ${describeRetiming(options).join(', ')}`);
+      processedVideoPath = await retimeSegment(videoPath, tempDir, timeline, { ...options, start: seekStart }, reporter, tempFileTracker);
+      segment = { start: 0, duration: getTimelineLength(timeline) };
+    } else {
+      if (options.speed !== 1.0) {
+        reporter.stage('speed', `Adjusting speed to ${options.speed}x`);
+      }
+      processedVideoPath = await preprocessVideoSpeed(videoPath, tempDir, options.speed, options, reporter, tempFileTracker);
+      
+      // Speed preprocessing retimes the whole video, so the segment moves and stretches with it
+      if (processedVideoPath !== videoPath) {
+        segment = { start: seekStart / options.speed, duration: options.duration / options.speed };
+      }
+    }
+    
+    // Clean up original video file if it was a temp file and is different from processed path
+    if (usingTempVideo && videoPath !== processedVideoPath) {
+      cleanupTempFile(videoPath);
+    }
+    
+    checkCancelled(options);
+    
+    // From this point on, use processedVideoPath instead of videoPath
+    
+    // Validate that crossfade duration is not longer than total duration (after the speed change)
+    if (isCrossfadeEnabled(options) && options.crossfade >= segment.duration) {
+      reporter.error(`Current values: crossfade=${options.crossfade}s, duration=${segment.duration}s`);
+      reporter.error('Please use a shorter crossfade duration or longer total duration');
+      throw new Error('Crossfade duration must be less than total duration');
+    }
+    
+    // Move subtitles onto the clip's timeline; a crossfade loop begins crossfade seconds in
+    let subtitleFile = null;
+    if (subtitleCues) {
+      // A preview shows the segment without the loop
+      const cues = getClipCues(subtitleCues, options.preview ? { ...options, crossfade: 0 } : options, timeline);
+      
+      if (cues.length === 0) {
+        reporter.warn('No subtitles fall within this clip');
+      } else {
+        subtitleFile = path.join(tempDir, 'subtitles.srt');
+        fs.writeFileSync(subtitleFile, formatSrt(cues));
+        trackTempFile(subtitleFile);
+        
+        if (options.verbose) {
+          reporter.log(`Burning in ${cues.length} subtitle cue(s)`);
+        }
+      }
+    }
+    
+    // Detect black bars once so every --max-size attempt uses the same crop
+    let autocropArea = null;
+    if (options.autocrop) {
+      reporter.stage('autocrop', 'Detecting black bars');
+      autocropArea = await detectCrop(processedVideoPath, segment.start, segment.duration, options, reporter);
+      
+      if (autocropArea) {
+        reporter.log(`Cropping black bars: keeping ${autocropArea.width}x${autocropArea.height} at ${autocropArea.x},${autocropArea.y}`);
+      } else {
+        reporter.log('No black bars detected');
+      }
+    }
+    
+    if (options.preview) {
+      reporter.stage('preview', 'Rendering contact sheet');
+      await runFfmpegCommand(buildPreviewCommand(processedVideoPath, options.preview, {
+        ...options,
+        start: segment.start,
+        duration: segment.duration,
+        sourceStart: options.start,
+        timeline,
+        subtitleFile,
+        autocropArea
+      }), options, reporter);
+      
+      reporter.log(`Preview of ${formatTime(options.start)} to ${formatTime(options.start + options.duration)} saved to: ${path.resolve(options.preview)}`);
+      reporter.stage('done', 'Preview complete');
+      
+      return {
+        previewPath: path.resolve(options.preview),
+        frames: PREVIEW_TILES,
+        settings: {
+          start: options.start,
+          duration: options.duration,
+          width: options.width,
+          speed: options.speed
+        }
+      };
+    }
+    
+    // Pick --dither auto and --colors auto once so every --max-size attempt starts from them
+    if (options.format === 'gif' && (options.dither === 'auto' || options.colors === 'auto')) {
+      reporter.stage('analyze', 'Choosing palette settings');
+      Object.assign(options, await chooseAutoPalette(processedVideoPath, {
+        ...options,
+        start: segment.start,
+        duration: segment.duration,
+        subtitleFile,
+        autocropArea
+      }, reporter));
+    }
+    
+    const encodeGif = async () => {
+      checkCancelled(options);
+      
+      // Read options on each attempt so --max-size adjustments take effect
+      const encodeOptions = {
+        ...options,
+        start: segment.start,
+        duration: segment.duration,
+        subtitleFile,
+        autocropArea
+      };
+      
+      if (options.loopMode === 'boomerang') {
+        reporter.log('Creating GIF with boomerang loop...');
+        reporter.stage('boomerang', 'Creating boomerang loop');
+        return processBoomerang(processedVideoPath, tempDir, outputPath, encodeOptions, reporter, hwAccel, tempFileTracker);
+      } else if (isCrossfadeEnabled(options)) {
+        const speedInfo = describeRetiming(options).map(part => `, ${part}`).join('');
+        reporter.log(`Creating GIF with crossfade effect of ${options.crossfade}s...`);
+        reporter.log(`Settings: ${options.duration}s duration, ${options.width}px width, ${options.fps} FPS${speedInfo}`);
+        
+        // Process with crossfade effect - pass the hardware acceleration object and temp file tracker
+        reporter.stage('crossfade', `Creating crossfade of ${options.crossfade}s`);
+        return processCrossfade(processedVideoPath, tempDir, outputPath, encodeOptions, reporter, hwAccel, tempFileTracker);
+      } else {
+        // Standard processing without crossfade
+        return processStandard(processedVideoPath, tempDir, outputPath, encodeOptions, reporter, hwAccel);
+      }
+    };
+    
+    // Encode, then re-encode with smaller settings until the output fits within --max-size
+    const sizeResult = await encodeWithinMaxSize(encodeGif, outputPath, options, reporter);
+    const crossfadeInfo = options.loopMode !== 'boomerang' && isCrossfadeEnabled(options) ? ' with crossfade' : '';
+    reporter.log(`Success! ${OUTPUT_FORMATS[options.format].label}${crossfadeInfo} saved to: ${path.resolve(outputPath)}`);
+    
+    // Clean up the processed video file if it was temporary
+    if (processedVideoPath !== videoPath) {
+      cleanupTempFile(processedVideoPath);
+    }
+    
+    // Describe the file that was actually written
+    let output = { width: null, height: null, frameCount: null, length: null };
+    try {
+      output = await probeVideo(outputPath, true);
+    } catch (err) {
+      if (options.verbose) {
+        reporter.warn(`Could not read the output's dimensions: ${err.message}`);
+      }
+    }
+    
+    // FFmpeg can't decode animated WebP, so read its chunks for whatever ffprobe missed
+    if (options.format === 'webp') {
+      const webp = readAnimatedWebp(fs.readFileSync(outputPath));
+      if (webp) {
+        output = Object.fromEntries(Object.keys(webp).map(key => [key, output[key] || webp[key]]));
+      }
+    }
+    
+    reporter.stage('done', 'Conversion complete');
+    
+    return {
+      outputPath: path.resolve(outputPath),
+      format: options.format,
+      size: sizeResult.size,
+      width: output.width,
+      height: output.height,
+      frameCount: output.frameCount,
+      duration: output.length,
+      settings: {
+        ...sizeResult.settings,
+        start: options.start,
+        duration: options.duration,
+        speed: options.speed,
+        freeze: options.freeze,
+        reverse: options.reverse,
+        interpolate: options.interpolate,
+        loopMode: options.loopMode,
+        crossfade: options.crossfade,
+        dither: options.dither,
+        bayerScale: options.dither === 'bayer' ? options.bayerScale : undefined,
+        palette: options.palette
+      },
+      strategy: sizeResult.strategy,
+      palettes: sizeResult.palettes,
+      quality: sizeResult.quality,
+      attempts: sizeResult.attempts
+    };
+  } finally {
+    // Clean up any tracked temp files that weren't already cleaned up
+    if (tempFiles.length > 0) {
+      tempFiles.forEach(filePath => {
+        try {
+          if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            if (options.verbose) {
+              reporter.log(`Final cleanup of temp file: ${filePath}`);
+            }
+          }
+        } catch (err) {
+          reporter.warn(`Warning: Could not clean up temp file: ${filePath}`);
+        }
+      });
+    }
+    
+    // Clean up temp directory and files if we created them
+    if (tempDir && fs.existsSync(tempDir)) {
+      try {
+        // Get all files in the temp directory
+        const files = fs.readdirSync(tempDir);
+        
+        // Delete each file that might have been missed
+        files.forEach(file => {
+          const filePath = path.join(tempDir, file);
+          if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+          }
+        });
+        
+        // Remove the directory
+        fs.rmdirSync(tempDir);
+        
+        if (options.verbose) {
+          reporter.log('Cleaned up temporary files');
+        }
+      } catch (err) {
+        reporter.error('Warning: Could not clean up temp files', err.message);
+      }
+    }
+  }
+}
+
+/**
+ * Download a YouTube video for several outputs, along with its caption track when --subs is set
+ * @param {object} options - Normalized conversion options with options.url set
+ * @param {string} tempDir - Directory for the download and caption file
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<object>} - { input, subtitles } paths to use in place of the URL and --subs
+ */
+async function downloadSharedSource(options, tempDir, reporter) {
+  if (options.cache) {
+    initializeCache(options, reporter);
+  }
+  
+  reporter.stage('validate', 'Validating YouTube URL');
+  const videoId = extractVideoId(options.url);
+  
+  if (!videoId) {
+    throw new Error('Invalid YouTube URL or could not extract video ID');
+  }
+  
+  reporter.stage('info', 'Fetching video information');
+  const videoInfo = await fetchVideoInfo(videoId, options.url, options, reporter);
+  reporter.log(`Processing: ${videoInfo.videoDetails.title}`);
+  
+  // Download the caption track once and hand it to every output as a subtitle file
+  let subtitlesPath = options.subtitles;
+  if (options.subs) {
+    subtitlesPath = path.join(tempDir, 'captions.vtt');
+    fs.writeFileSync(subtitlesPath, await fetchYouTubeSubtitles(videoInfo, options.subs, options, reporter));
+  }
+  
+  reporter.stage('download', 'Downloading source video');
+  const source = await downloadSourceVideo(videoId, videoInfo, path.join(tempDir, 'source.mp4'), options, reporter);
+  
+  return { input: source.path, subtitles: subtitlesPath };
+}
+
+/**
+ * Cut several clips from one source, writing one output per clip range
+ *
+ * YouTube sources are downloaded once and every clip is cut from that copy. A failed
+ * clip doesn't stop the others; the error is thrown once all clips have been tried.
+ *
+ * @param {object} options - Normalized conversion options with options.clips set
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<object>} - Resolves with { clips } holding each clip's result
+ */
+async function runClips(options, reporter) {
+  let tempDir = null;
+  let sourcePath = options.input;
+  let subtitlesPath = options.subtitles;
+  
+  // Outputs are numbered, or named after the clip, alongside the usual output path
+  const basePath = resolveOutputPath(options);
+  const outputExt = path.extname(basePath);
+  const outputBase = basePath.slice(0, basePath.length - outputExt.length);
+  
+  try {
+    if (options.url) {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-gif-'));
+      ({ input: sourcePath, subtitles: subtitlesPath } = await downloadSharedSource(options, tempDir, reporter));
+    }
+    
+    const results = [];
+    
+    for (let i = 0; i < options.clips.length; i++) {
+      const clip = options.clips[i];
+      const label = clip.name || String(i + 1);
+      
+      reporter.stage('clip', `Clip ${i + 1}/${options.clips.length}: ${label}`);
+      
+      try {
+        const result = await run({
+          ...options,
+          url: undefined,
+          input: sourcePath,
+          start: clip.start,
+          duration: clip.duration,
+          end: undefined,
+          subtitles: subtitlesPath,
+          subs: undefined,
+          output: `${outputBase}-${label}${outputExt}`,
+          clips: undefined
+        }, reporter);
+        
+        results.push({ ...clip, ...result });
+      } catch (error) {
+        reporter.error(`Clip ${label} failed: ${error.message}`);
+        results.push({ ...clip, error });
+      }
+    }
+    
+    const failed = results.filter(result => result.error);
+    if (failed.length > 0) {
+      const error = new Error(`${failed.length} of ${results.length} clips failed`);
+      error.clips = results;
+      throw error;
+    }
+    
+    return { clips: results };
+  } finally {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Detect the shots in a video and convert them
+ *
+ * Split mode writes one output per shot, like --clips; pick mode converts only the
+ * most visually active shot. YouTube videos are downloaded in full and scanned before
+ * any segment is cut.
+ *
+ * @param {object} options - Normalized conversion options with options.scenes set
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<object>} - Resolves with { clips } in split mode, or the run result
+ *   with the chosen shot in pick mode
+ */
+async function runScenes(options, reporter) {
+  let tempDir = null;
+  let sourceOptions = { ...options, output: resolveOutputPath(options), scenes: undefined };
+  
+  try {
+    if (options.url) {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-gif-'));
+      const source = await downloadSharedSource(options, tempDir, reporter);
+      sourceOptions = { ...sourceOptions, url: undefined, input: source.input, subtitles: source.subtitles, subs: undefined };
+    }
+    
+    // Scan from the start to the end (or for the duration), defaulting to the rest of the video
+    const media = await probeVideo(sourceOptions.input);
+    const range = { start: options.start, end: options.end, duration: options.duration };
+    if (range.end === undefined && range.duration === undefined) {
+      range.end = media.length;
+    }
+    resolveTimes(range, media);
+    
+    reporter.stage('scenes', 'Detecting scene changes');
+    reporter.log(`Detecting scenes from ${formatTime(range.start)} to ${formatTime(range.start + range.duration)}...`);
+    const shots = await detectScenes(sourceOptions.input, range.start, range.duration, options, reporter);
+    
+    reporter.log(`Found ${shots.length} shot(s)`);
+    if (options.verbose) {
+      shots.forEach((shot, i) => {
+        reporter.log(`  ${i + 1}: ${formatTime(shot.start)} to ${formatTime(shot.start + shot.duration)}, activity ${shot.activity.toFixed(4)}`);
+      });
+    }
+    
+    const shotOptions = { ...sourceOptions, end: undefined };
+    
+    if (options.scenes === 'pick') {
+      const shot = pickMostActiveShot(shots);
+      reporter.log(`Picked the most active shot: ${formatTime(shot.start)} to ${formatTime(shot.start + shot.duration)}`);
+      
+      const result = await run({ ...shotOptions, start: shot.start, duration: shot.duration }, reporter);
+      return { ...result, shot };
+    }
+    
+    return await runClips({
+      ...shotOptions,
+      clips: shots.map(shot => ({ name: null, start: shot.start, duration: shot.duration }))
+    }, reporter);
+  } finally {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Build the command that labels each profile's GIF and stacks them into one lossless video
+ * @param {object[]} profiles - Encoded profiles with path, settings and size
+ * @param {string} outputPath - Path of the stacked video
+ * @param {number} fps - Frame rate of the comparison
+ * @param {object} options - Conversion options (width, threads)
+ * @returns {object} - fluent-ffmpeg command
+ */
+function buildCompareStackCommand(profiles, outputPath, fps, options) {
+  const command = createFfmpegCommand(profiles[0].path, options);
+  profiles.slice(1).forEach(profile => command.input(profile.path));
+  
+  const labels = profiles.map(profile => [`${(profile.size / (1024 * 1024)).toFixed(2)}MB`, ...describeProfile(profile.settings)].join('\n'));
+  
+  return command
+    .complexFilter(buildCompareFilterGraph(labels, fps, options.width), 'compare')
+    // FFV1 keeps every tile exactly as its profile encoded it until the final encode
+    .outputOptions([...getThreadOptions(options), '-c:v', 'ffv1'])
+    .format('matroska')
+    .output(outputPath);
+}
+
+/**
+ * Encode the same segment with each comparison profile and stack the results into one animation
+ *
+ * Each profile goes through the whole conversion (loop mode, crop, captions, gifsicle) as a
+ * GIF without --max-size, so the tiles and their sizes show exactly those settings.
+ *
+ * @param {object} options - Normalized conversion options with options.compare set
+ * @param {object} reporter - Reporter used for output and progress
+ * @returns {Promise<object>} - { outputPath, format, size, width, height, strategy, profiles },
+ *   with each profile's settings, size, strategy and quality (measured with --metrics)
+ */
+async function runCompare(options, reporter) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-gif-'));
+  
+  try {
+    let source = { input: options.input, subtitles: options.subtitles };
+    if (options.url) {
+      source = await downloadSharedSource(options, tempDir, reporter);
+    }
+    
+    const profiles = [];
+    
+    for (let i = 0; i < options.compare.length; i++) {
+      const settings = options.compare[i];
+      reporter.stage('profile', `Profile ${i + 1}/${options.compare.length}: ${describeProfile(settings).join(', ')}`);
+      
+      const result = await run({
+        ...options,
+        ...settings,
+        url: undefined,
+        input: source.input,
+        subtitles: source.subtitles,
+        subs: undefined,
+        format: 'gif',
+        output: path.join(tempDir, `profile-${i + 1}.gif`),
+        maxSize: Infinity,
+        // Profiles are shown as given, so they're measured but not re-encoded for a quality floor
+        metrics: options.metrics || options.minSsim !== undefined,
+        minSsim: undefined,
+        compare: undefined
+      }, reporter);
+      
+      // Label the tile with what auto settings resolved to
+      const resolved = Object.fromEntries(COMPARE_SETTINGS.map(key => [key, result.settings[key]]));
+      profiles.push({ settings: resolved, size: result.size, strategy: result.strategy, quality: result.quality, path: result.outputPath });
+    }
+    
+    checkCancelled(options);
+    reporter.stage('compare', `Stacking ${profiles.length} profiles`);
+    
+    const fps = Math.max(...profiles.map(profile => profile.settings.fps));
+    const stackedPath = path.join(tempDir, 'compare.mkv');
+    await runFfmpegCommand(buildCompareStackCommand(profiles, stackedPath, fps, options), options, reporter);
+    const stacked = await probeVideo(stackedPath);
+    
+    // Name the comparison after the usual output unless -o was given
+    let outputPath = resolveOutputPath(options);
+    if (!options.output) {
+      const ext = path.extname(outputPath);
+      outputPath = `${outputPath.slice(0, -ext.length)}-compare${ext}`;
+    }
+    outputPath = getUniqueFilePath(outputPath);
+    
+    const outputDir = path.dirname(path.resolve(outputPath));
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    
+    // The stack is already cropped, captioned and retimed, so only encode it
+    const { strategy } = await processStandard(stackedPath, tempDir, outputPath, {
+      ...options,
+      start: 0,
+      duration: stacked.length,
+      width: stacked.width,
+      fps,
+      speed: 1.0,
+      freeze: [],
+      reverse: false,
+      interpolate: 'none',
+      crop: undefined,
+      aspect: undefined,
+      autocropArea: null,
+      caption: undefined,
+      subtitleFile: null,
+      colors: 256,
+      lossy: 0,
+      // The tiles are already dithered; dithering again would add noise none of the profiles has
+      dither: 'none',
+      // The tiles share each frame's colors, so give every frame a palette of its own
+      palette: 'per-frame',
+      metrics: false,
+      minSsim: undefined
+    }, reporter);
+    reporter.log(`Success! Comparison saved to: ${path.resolve(outputPath)}`);
+    
+    reporter.stage('done', 'Comparison complete');
+    
+    return {
+      outputPath: path.resolve(outputPath),
+      format: options.format,
+      size: fs.statSync(outputPath).size,
+      width: stacked.width,
+      height: stacked.height,
+      strategy,
+      profiles: profiles.map(({ settings, size, strategy, quality }) => ({ settings, size, strategy, quality }))
+    };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Add the step that downloads a YouTube video to a plan, without downloading it
+ * @param {object} options - Normalized conversion options with options.url set
+ * @param {string} downloadPath - Where the video would be downloaded
+ * @param {object} plan - Plan to add the step to
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object>} - { videoInfo, format, media } where media is the length, frame rate and
+ *   size of the format that would be downloaded
+ */
+async function planYouTubeDownload(options, downloadPath, plan, reporter) {
+  const videoId = extractVideoId(options.url);
+  if (!videoId) {
+    throw new Error('Invalid YouTube URL or could not extract video ID');
+  }
+  
+  const videoInfo = await fetchVideoInfo(videoId, options.url, options, reporter);
+  const format = selectVideoFormat(videoInfo, options, reporter);
+  
+  plan.steps.push({
+    title: `Download "${videoInfo.videoDetails.title}" in format ${format.itag} (${format.qualityLabel || 'unknown quality'}, ${format.width}x${format.height} ${format.container || 'mp4'})`,
+    note: 'vgif downloads this format with ytdl-core; the yt-dlp command fetches the same one',
+    commands: [['yt-dlp', '-f', String(format.itag), '-o', downloadPath, options.url]]
+  });
+  
+  if (options.cache) {
+    plan.notes.push(`A copy cached in ${options.cacheDir} is used instead of downloading when there is one.`);
+  }
+  
+  return {
+    videoInfo,
+    format,
+    media: {
+      length: parseFloat(videoInfo.videoDetails.lengthSeconds) || null,
+      frameRate: format.fps || null,
+      width: format.width || null,
+      height: format.height || null
+    }
+  };
+}
+
+/**
+ * Plan a YouTube source that several outputs are cut from, like downloadSharedSource
+ * @param {object} options - Normalized conversion options with options.url set
+ * @param {object} plan - Plan to add the steps to
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object>} - { videoPath, media, subtitleCues } for planRun
+ */
+async function planSharedSource(options, plan, reporter) {
+  const videoPath = path.join(PLAN_WORK_DIR, 'source.mp4');
+  const { videoInfo, media } = await planYouTubeDownload(options, videoPath, plan, reporter);
+  
+  const subtitleCues = options.subs ?
+    parseSubtitles(await fetchYouTubeSubtitles(videoInfo, options.subs, options, reporter)) :
+    null;
+  
+  return { videoPath, media, subtitleCues };
+}
+
+/**
+ * Add the steps that encode the output file to a plan
+ * @param {string} videoPath - Video the encode reads
+ * @param {string} outputPath - Output file
+ * @param {object} options - Encode options, as run() passes them
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {boolean} seek - Whether the encode cuts options.start and options.duration from the video
+ * @param {object} plan - Plan to add the steps to
+ * @param {object} reporter - Reporter used for output
+ */
+function planOutputEncode(videoPath, outputPath, options, hwAccel, seek, plan, reporter) {
+  if (options.format !== 'gif') {
+    plan.steps.push({
+      title: `Encode the ${OUTPUT_FORMATS[options.format].label}`,
+      commands: [getCommandLine(buildAnimationCommand(videoPath, outputPath, options, hwAccel, seek))]
+    });
+    return;
+  }
+  
+  const strategies = options.strategy.map(name => GIF_STRATEGIES.find(s => s.name === name));
+  const getCommands = (strategy) => strategy.build(videoPath, PLAN_WORK_DIR, outputPath, options, hwAccel, seek).map(getCommandLine);
+  
+  if (options.palette === 'per-scene') {
+    plan.steps.push({
+      title: 'Find the cuts where the palette changes',
+      analysis: true,
+      note: 'The encode below splits the palettes at the cuts vgif finds; as written it makes one palette',
+      commands: [getCommandLine(buildSceneDetectCommand(videoPath, seek ? options.start : 0, options.duration, options))]
+    });
+  }
+  
+  plan.steps.push({
+    title: `Encode the GIF with the ${strategies[0].name} strategy`,
+    commands: getCommands(strategies[0]),
+    alternatives: strategies.slice(1).map(strategy => ({ name: `the ${strategy.name} strategy`, commands: getCommands(strategy) }))
+  });
+  
+  // postProcessGif skips gifsicle in the same cases
+  if (detectGifsicle(reporter) && !(options.colors === 256 && options.lossy === 0)) {
+    const tempPath = `${outputPath}.tmp`;
+    plan.steps.push({
+      title: 'Optimize the GIF with gifsicle',
+      commands: [getGifsicleCommand(outputPath, tempPath, options), ['mv', tempPath, outputPath]]
+    });
+  }
+  
+  if (options.metrics || options.minSsim !== undefined) {
+    plan.steps.push({
+      title: 'Measure SSIM and PSNR against the source frames',
+      analysis: true,
+      note: options.minSsim !== undefined ?
+        `Below SSIM ${options.minSsim}, vgif re-encodes with less lossy compression, then more colors` :
+        undefined,
+      commands: [getCommandLine(buildQualityCommand(outputPath, videoPath, options, seek))]
+    });
+  }
+}
+
+/**
+ * Add the steps for the loop mode and the final encode to a plan, like encodeGif in run()
+ * @param {string} videoPath - Video to encode from
+ * @param {string} outputPath - Output file
+ * @param {object} options - Encode options, as run() passes them
+ * @param {object} hwAccel - Hardware acceleration object with detection results
+ * @param {object} media - Source width and height, used to size the boomerang chunks
+ * @param {object} plan - Plan to add the steps to
+ * @param {object} reporter - Reporter used for output
+ */
+function planEncode(videoPath, outputPath, options, hwAccel, media, plan, reporter) {
+  if (options.loopMode === 'boomerang') {
+    const forwardPath = path.join(PLAN_WORK_DIR, 'boomerang_forward.mp4');
+    plan.steps.push({
+      title: 'Cut the forward half of the boomerang loop',
+      commands: [getCommandLine(buildBoomerangCutCommand(videoPath, forwardPath, options))]
+    });
+    
+    // processBoomerang measures the frame count of the cut; expect one frame per 1/fps
+    const frameCount = Math.round(options.duration * options.fps);
+    if (frameCount < 3) {
+      throw new Error('The segment is too short for a boomerang loop');
+    }
+    
+    const loop = planBoomerangLoop(forwardPath, { frameCount, width: media.width, height: media.height }, PLAN_WORK_DIR, options);
+    plan.steps.push({
+      title: `Reverse the frames in ${loop.chunks.length} chunk(s)`,
+      note: `Chunks assume ${frameCount} frames; vgif uses the count it measures after the cut`,
+      commands: loop.chunks.map(chunk => getCommandLine(chunk.command))
+    });
+    plan.steps.push({ title: 'Write the list of parts to join', file: { path: loop.listPath, content: loop.list } });
+    plan.steps.push({ title: 'Join the forward and reversed parts', commands: [getCommandLine(loop.joinCommand)] });
+    
+    planOutputEncode(loop.boomerangPath, outputPath, { ...options, start: 0, duration: loop.duration }, hwAccel, true, plan, reporter);
+  } else if (isCrossfadeEnabled(options)) {
+    const crossfadePath = path.join(PLAN_WORK_DIR, 'crossfade_video.mp4');
+    plan.steps.push({
+      title: `Render the loop with a ${options.crossfade}s crossfade`,
+      commands: [getCommandLine(buildCrossfadeCommand(videoPath, crossfadePath, options))]
+    });
+    
+    planOutputEncode(crossfadePath, outputPath, options, hwAccel, false, plan, reporter);
+  } else {
+    planOutputEncode(videoPath, outputPath, options, hwAccel, true, plan, reporter);
+  }
+}
+
+/**
+ * Work out the settings --max-size would try if every encode came out just over the limit
+ * @param {object} options - Conversion options
+ * @param {object} reporter - Reporter used for output
+ * @returns {string[]} - Settings for each re-encode, in order; outputs far over the limit take bigger steps
+ */
+function planSizeAdjustments(options, reporter) {
+  const settings = getSizeSettings(options);
+  const adjustments = [];
+  
+  for (let attempt = 1; attempt < MAX_SIZE_ATTEMPTS; attempt++) {
+    const adjustment = nextSizeAdjustment(settings, 1, { ...options, ...settings }, detectGifsicle(reporter));
+    if (!adjustment) {
+      break;
+    }
+    settings[adjustment.setting] = adjustment.to;
+    adjustments.push(describeSizeSettings(settings));
+  }
+  
+  return adjustments;
+}
+
+/**
+ * Pick the settings a plan reports for an output
+ * @param {object} options - Conversion options with resolved times
+ * @returns {object} - Settings for the plan's outputs
+ */
+function getPlanSettings(options) {
+  return {
+    format: options.format,
+    start: options.start,
+    duration: options.duration,
+    width: options.width,
+    fps: options.fps,
+    colors: options.colors,
+    lossy: options.lossy,
+    dither: options.dither,
+    palette: options.palette,
+    speed: options.speed,
+    freeze: options.freeze,
+    reverse: options.reverse,
+    interpolate: options.interpolate,
+    loopMode: options.loopMode || (isCrossfadeEnabled(options) ? 'crossfade' : 'normal'),
+    crossfade: options.crossfade,
+    maxSize: options.maxSize
+  };
+}
+
+/**
+ * Plan a single conversion, mirroring run() without downloading or encoding anything
+ *
+ * Analysis steps (--find-loop, --autocrop) are listed, but their results are only known
+ * when they run, so the steps after them use the requested times and no crop.
+ *
+ * @param {object} options - Normalized conversion options
+ * @param {object} reporter - Reporter used for output
+ * @param {object} plan - Plan to add the steps and output to
+ * @param {object} [source] - Already planned source from planSharedSource
+ */
+async function planRun(options, reporter, plan, source = null) {
+  const hwAccel = await detectHardwareAcceleration(reporter);
+  const outputPath = getUniqueFilePath(resolveOutputPath(options));
+  let videoPath = options.input;
+  let media;
+  let segmentOffset = 0;
+  let subtitleCues = source ? source.subtitleCues : null;
+  
+  if (source) {
+    videoPath = source.videoPath;
+    media = source.media;
+    resolveTimes(options, media);
+  } else if (options.url) {
+    // Like downloadVideoSegment: download the video (or the fragments around the segment), then cut the segment out of it
+    videoPath = path.join(PLAN_WORK_DIR, 'video.mp4');
+    const fullVideoPath = `${videoPath}.full.mp4`;
+    const download = await planYouTubeDownload(options, fullVideoPath, plan, reporter);
+    media = download.media;
+    resolveTimes(options, media);
+    
+    if (options.subs) {
+      subtitleCues = parseSubtitles(await fetchYouTubeSubtitles(download.videoInfo, options.subs, options, reporter));
+    }
+    
+    const range = getDownloadRange(options);
+    segmentOffset = range.start;
+    if (supportsPartialDownload(download.format)) {
+      plan.notes.push(`Format ${download.format.itag} has a segment index, so vgif fetches only the fragments covering ${formatTime(Math.max(0, range.start - PARTIAL_DOWNLOAD_MARGIN))} to ${formatTime(range.start + range.duration + PARTIAL_DOWNLOAD_MARGIN)}, from the keyframe before, with HTTP range requests; it downloads the whole format only if that fails.`);
+    }
+    plan.steps.push({
+      title: `Cut ${formatTime(range.start)} to ${formatTime(range.start + range.duration)} out of the download`,
+      commands: [getCommandLine(buildExtractCommand(fullVideoPath, range.start, range.duration, videoPath, SEGMENT_COPY_CODECS, options))],
+      alternatives: [{
+        name: 'transcode instead of copying',
+        commands: [getCommandLine(buildExtractCommand(fullVideoPath, range.start, range.duration, videoPath, SEGMENT_TRANSCODE_CODECS, options))]
+      }]
+    });
+  } else {
+    if (!fs.existsSync(videoPath)) {
+      throw new Error(`Input file does not exist: ${videoPath}`);
+    }
+    media = await probeVideo(videoPath);
+    resolveTimes(options, media);
+  }
+  
+  if (options.subtitles) {
+    subtitleCues = loadSubtitleFile(options.subtitles);
+  }
+  
+  const outputDir = path.dirname(path.resolve(outputPath));
+  if (!fs.existsSync(outputDir)) {
+    plan.steps.push({ title: 'Create the output directory', commands: [['mkdir', '-p', outputDir]] });
+  }
+  
+  if (options.findLoop) {
+    const { fps, startRange, endRange } = getLoopSearchRanges(segmentOffset, options);
+    plan.steps.push({
+      title: `Search ${options.findLoop}s around the start and end for a seamless loop`,
+      analysis: true,
+      note: `The clip is trimmed to the best-matching frames, or falls back to a ${options.crossfade || FALLBACK_CROSSFADE}s crossfade; the steps below use the requested times`,
+      // extractAnalysisFrames reads these from a pipe
+      commands: [startRange, endRange].map(range =>
+        getCommandLine(buildAnalysisFramesCommand(videoPath, range.start - segmentOffset, range.duration, fps, options).output('pipe:1')))
+    });
+  }
+  
+  const seekStart = options.start - segmentOffset;
+  
+  let processedVideoPath = videoPath;
+  let segment = { start: seekStart, duration: options.duration };
+  let timeline = null;
+  if (isSegmentRetimed(options)) {
+    timeline = createTimeline(options);
+    
+    if (options.interpolate !== 'none') {
+      const { mode, memory, fallback } = chooseInterpolation(media, options);
+      const sampleTimeline = createTimeline({ ...options, duration: Math.min(INTERPOLATION_SAMPLE, timeline.duration) });
+      const notes = ['The time it takes is scaled up to estimate the whole segment'];
+      if (memory !== null) {
+        notes.push(`${mode} needs about ${memory}MB for ${media.width}x${media.height} frames`);
+      }
+      if (fallback) {
+        notes.push(`mci would need about ${fallback}MB, more than half the ${options.memoryLimit}MB memory limit, so frames are blended instead`);
+      }
+      
+      plan.steps.push({
+        title: `Interpolate a ${sampleTimeline.duration}s sample to estimate the cost`,
+        analysis: true,
+        note: notes.join('; '),
+        commands: [getCommandLine(buildRetimeCommand(videoPath, path.join(PLAN_WORK_DIR, 'interpolation_sample.mp4'), sampleTimeline, {
+          ...options,
+          start: seekStart,
+          interpolate: mode
+        }))]
+      });
+      options.interpolate = mode;
+    }
+    
+    processedVideoPath = path.join(PLAN_WORK_DIR, 'retimed.mp4');
+    plan.steps.push({
+      title: `Retime the segment: ${describeRetiming(options).join(', ')}`,
+      commands: [getCommandLine(buildRetimeCommand(videoPath, processedVideoPath, timeline, { ...options, start: seekStart }))]
+    });
+    segment = { start: 0, duration: getTimelineLength(timeline) };
+  } else if (options.speed !== 1.0) {
+    processedVideoPath = path.join(PLAN_WORK_DIR, 'speed_adjusted.mp4');
+    plan.steps.push({
+      title: `Retime the video to ${options.speed}x speed`,
+      commands: [getCommandLine(buildSpeedCommand(videoPath, processedVideoPath, options.speed, options))]
+    });
+    segment = { start: seekStart / options.speed, duration: options.duration / options.speed };
+  }
+  
+  if (isCrossfadeEnabled(options) && options.crossfade >= segment.duration) {
+    throw new Error('Crossfade duration must be less than total duration');
+  }
+  
+  let subtitleFile = null;
+  if (subtitleCues) {
+    // A preview shows the segment without the loop
+    const cues = getClipCues(subtitleCues, options.preview ? { ...options, crossfade: 0 } : options, timeline);
+    if (cues.length === 0) {
+      reporter.warn('No subtitles fall within this clip');
+    } else {
+      subtitleFile = path.join(PLAN_WORK_DIR, 'subtitles.srt');
+      plan.steps.push({ title: `Write ${cues.length} subtitle cue(s) in clip time`, file: { path: subtitleFile, content: formatSrt(cues) } });
+    }
+  }
+  
+  if (options.autocrop) {
+    plan.steps.push({
+      title: 'Detect black bars',
+      analysis: true,
+      note: 'The crop found here is added to the filters below, before scaling',
+      commands: [getCommandLine(buildCropDetectCommand(processedVideoPath, segment.start, segment.duration, options))]
+    });
+  }
+  
+  if (options.preview) {
+    plan.steps.push({
+      title: `Render a contact sheet of ${PREVIEW_TILES} frames`,
+      commands: [getCommandLine(buildPreviewCommand(processedVideoPath, options.preview, {
+        ...options,
+        start: segment.start,
+        duration: segment.duration,
+        sourceStart: options.start,
+        timeline,
+        subtitleFile
+      }))]
+    });
+    plan.outputs.push({ path: options.preview, settings: getPlanSettings(options), sizeAdjustments: [] });
+    return;
+  }
+  
+  if (options.format === 'gif' && (options.dither === 'auto' || options.colors === 'auto')) {
+    const analysisOptions = { ...options, start: segment.start, duration: segment.duration, subtitleFile };
+    const assumed = {
+      dither: options.dither === 'auto' ? DEFAULT_OPTIONS.dither : options.dither,
+      colors: options.colors === 'auto' ? parseInt(DEFAULT_OPTIONS.colors) : options.colors
+    };
+    const commands = [];
+    if (options.dither === 'auto') {
+      // extractContentFrames reads these from a pipe
+      commands.push(getCommandLine(buildContentFramesCommand(processedVideoPath, analysisOptions).output('pipe:1')));
+    }
+    if (options.colors === 'auto') {
+      commands.push(getCommandLine(buildColorTestCommand(processedVideoPath, AUTO_COLORS[Math.floor((AUTO_COLORS.length - 1) / 2)], analysisOptions)));
+    }
+    
+    plan.steps.push({
+      title: 'Measure the content to choose the palette settings',
+      analysis: true,
+      note: `The color test is repeated with other sizes to find the fewest colors that reach ${MIN_AUTO_COLORS_PSNR} dB PSNR; ` +
+        `the steps below assume ${assumed.dither} dither and ${assumed.colors} colors`,
+      commands
+    });
+    Object.assign(options, assumed);
+  }
+  
+  const encodeOptions = {
+    ...options,
+    start: segment.start,
+    duration: segment.duration,
+    subtitleFile,
+    autocropArea: null
+  };
+  planEncode(processedVideoPath, outputPath, encodeOptions, hwAccel, media, plan, reporter);
+  
+  plan.outputs.push({
+    path: outputPath,
+    settings: getPlanSettings(options),
+    sizeAdjustments: planSizeAdjustments(options, reporter)
+  });
+}
+
+/**
+ * Plan a conversion without downloading or encoding anything
+ *
+ * The plan lists the ffmpeg, gifsicle and download commands in the order they would
+ * run, using the same builders as the conversion itself. Paths in the temporary
+ * directory start with PLAN_WORK_DIR.
+ *
+ * @param {object} options - Normalized conversion options
+ * @param {object} reporter - Reporter used for output
+ * @returns {Promise<object>} - { dryRun: true, outputs, steps, notes }; see lib/plan.js for the
+ *   step fields
+ */
+async function planConversion(options, reporter) {
+  const plan = { dryRun: true, outputs: [], steps: [], notes: [] };
+  
+  if (options.clips) {
+    const basePath = resolveOutputPath(options);
+    const outputExt = path.extname(basePath);
+    const outputBase = basePath.slice(0, basePath.length - outputExt.length);
+    const source = options.url ? await planSharedSource(options, plan, reporter) : null;
+    
+    for (let i = 0; i < options.clips.length; i++) {
+      const clip = options.clips[i];
+      await planRun({
+        ...options,
+        url: undefined,
+        input: source ? source.videoPath : options.input,
+        start: clip.start,
+        duration: clip.duration,
+        end: undefined,
+        subs: undefined,
+        output: `${outputBase}-${clip.name || String(i + 1)}${outputExt}`,
+        clips: undefined
+      }, reporter, plan, source);
+    }
+  } else if (options.scenes) {
+    const source = options.url ? await planSharedSource(options, plan, reporter) : null;
+    const videoPath = source ? source.videoPath : options.input;
+    if (!source && !fs.existsSync(videoPath)) {
+      throw new Error(`Input file does not exist: ${videoPath}`);
+    }
+    const media = source ? source.media : await probeVideo(videoPath);
+    
+    const range = { start: options.start, end: options.end, duration: options.duration };
+    if (range.end === undefined && range.duration === undefined) {
+      range.end = media.length;
+    }
+    resolveTimes(range, media);
+    
+    plan.steps.push({
+      title: `Detect scene changes from ${formatTime(range.start)} to ${formatTime(range.start + range.duration)}`,
+      analysis: true,
+      note: options.scenes === 'pick' ?
+        'The most active shot is then converted like a single clip' :
+        'Each shot is then converted like a --clips range',
+      commands: [getCommandLine(buildSceneDetectCommand(videoPath, range.start, range.duration, options))]
+    });
+    plan.notes.push('The shots are only known once the video is scanned, so their encode steps are not listed.');
+    plan.outputs.push({ path: resolveOutputPath(options), settings: getPlanSettings({ ...options, ...range }), sizeAdjustments: [] });
+  } else {
+    await planRun(options, reporter, plan);
+  }
+  
+  if (plan.outputs.some(output => output.sizeAdjustments.length > 0)) {
+    plan.notes.push('The script runs the first encode only; vgif re-encodes with the listed settings while the output is over --max-size.');
+  }
+  
+  return plan;
+}
+
+/**
+ * Convert a YouTube video or local video file to a GIF
+ *
+ * This is the library entry point: it never reads process.argv or calls process.exit.
+ * Progress is reported through the optional emitter (see createReporter for the events).
+ *
+ * @param {object} userOptions - Conversion options, using the same names as the CLI flags in camelCase,
+ *   plus an optional AbortSignal as `signal` to cancel the conversion
+ * @param {EventEmitter} [events] - Emitter that receives log, warning, stage and progress events
+ * @returns {Promise<object>} - Resolves with the run() result once the output is written,
+ *   with { clips } when options.clips lists several ranges or --scenes split is used, or with
+ *   the plan from planConversion when options.dryRun is set; with options.compare it resolves
+ *   with the runCompare() result
+ */
+async function convert(userOptions = {}, events = new EventEmitter()) {
+  const reporter = createReporter(events);
+  const options = normalizeOptions(userOptions, reporter);
+  checkFfmpeg();
+  
+  if (options.dryRun) {
+    return planConversion(options, reporter);
+  }
+  
+  if (options.compare) {
+    return runCompare(options, reporter);
+  }
+  
+  if (options.clips) {
+    return runClips(options, reporter);
+  }
+  
+  if (options.scenes) {
+    return runScenes(options, reporter);
+  }
+  
+  return run(options, reporter);
+}
+
+/**
+ * Collect the values of a repeatable option into an array
+ * @param {string} value - Value given on the command line
+ * @param {string[]} [previous] - Values collected so far
+ * @returns {string[]} - All values
+ */
+function collectValues(value, previous = []) {
+  return previous.concat([value]);
+}
+
+/**
+ * Add the conversion options to a command
+ * @param {Command} command - Commander command
+ * @returns {Command} - The same command
+ */
+function addConversionOptions(command) {
+  return command
+    .option('-u, --url <url>', 'YouTube video URL')
+    .option('-i, --input <filepath>', 'Local video file path')
+    .option('-s, --start <time>', 'Start time: seconds, mm:ss, hh:mm:ss.ms, 90s or a frame number like f1234 (default: the URL\'s t= parameter, otherwise 0)')
+    .option('-d, --duration <time>', `Duration, in any of the --start forms (default: ${DEFAULT_DURATION})`)
+    .option('-e, --end <time>', 'End time, as an alternative to --duration')
+    .option('--clips <ranges>', 'Cut several clips in one run, e.g. "12-15,intro=1:02-1:08,2:30+4" (overrides --start and --duration)')
+    .option('--scenes <mode>', `Detect shot changes: split writes one GIF per shot, pick converts the most active shot (${SCENE_MODES.join(', ')})`)
+    .option('--scene-threshold <value>', 'Scene change score (0-1) that starts a new shot', DEFAULT_OPTIONS.sceneThreshold)
+    .option('-o, --output <filename>', 'Output filename (defaults to input filename with the output format extension)')
+    .option('-w, --width <pixels>', 'Width of the GIF in pixels', DEFAULT_OPTIONS.width)
+    .option('-f, --fps <fps>', 'Frames per second', DEFAULT_OPTIONS.fps)
+    .option('-l, --loops <count>', 'Number of loops (0 = infinite)', DEFAULT_OPTIONS.loops)
+    .option('-v, --verbose', 'Enable verbose logging')
+    .option('-m, --max-size <mb>', 'Maximum output file size in MB (constrains quality automatically)', DEFAULT_OPTIONS.maxSize)
+    .option('--size-priority <order>', 'Order in which settings are reduced to meet --max-size', DEFAULT_OPTIONS.sizePriority)
+    .option('--min-width <pixels>', 'Smallest width --max-size may reduce to', DEFAULT_OPTIONS.minWidth)
+    .option('--min-fps <fps>', 'Lowest frame rate --max-size may reduce to', DEFAULT_OPTIONS.minFps)
+    .option('--min-colors <number>', 'Fewest colors --max-size may reduce to', DEFAULT_OPTIONS.minColors)
+    .option('--min-ssim <value>', 'Lowest SSIM (0-1) the GIF may have against the source frames; lossy and color reduction are backed off to reach it')
+    .option('--metrics', 'Measure and report SSIM and PSNR of the GIF against the source frames')
+    .option('-c, --crossfade <seconds>', 'Apply crossfade effect for looping, duration in seconds', DEFAULT_OPTIONS.crossfade)
+    .option('--loop-mode <mode>', `How the loop joins up (${validLoopModes.join(', ')}); boomerang plays forward then in reverse`)
+    .option('--find-loop [window]', `Search this many seconds around the start and end for a seamless loop, falling back to a crossfade (default: ${DEFAULT_LOOP_WINDOW})`)
+    .option('-p, --speed <factor>', 'Playback speed (0.5 = half speed, 2.0 = double speed), or time:speed keyframes to ramp between, e.g. "0:1,2:0.25,3.5:1"', DEFAULT_OPTIONS.speed)
+    .option('--freeze <time:seconds>', 'Hold the frame at a time into the segment, e.g. 2.4:1.0 (repeatable)', collectValues)
+    .option('--reverse', 'Play the segment backwards')
+    .option('--interpolate <mode>', `Synthesize in-between frames for smooth slow motion (${validInterpolations.join(', ')}); mci is smoother but much slower`, DEFAULT_OPTIONS.interpolate)
+    .option('--colors <number>', 'Maximum number of colors in the palette (2-256, fewer colors = smaller files), or auto to pick the fewest that look right', DEFAULT_OPTIONS.colors)
+    .option('--lossy <level>', 'Lossy compression level (1-100, higher = smaller files but lower quality)', DEFAULT_OPTIONS.lossy)
+    .option('--dither <type>', `Dithering method (auto, ${validDithers.join(', ')})`, DEFAULT_OPTIONS.dither)
+    .option('--bayer-scale <value>', 'Bayer dither pattern scale (0-5, lower = finer but more visible pattern)', DEFAULT_OPTIONS.bayerScale)
+    .option('--palette <mode>', `GIF palettes: one for the whole clip, one per scene or one per frame (${validPalettes.join(', ')})`, DEFAULT_OPTIONS.palette)
+    .option('--strategy <names>', `GIF encoding strategies to try, in order (${GIF_STRATEGIES.map(strategy => strategy.name).join(', ')})`, DEFAULT_OPTIONS.strategy)
+    .option('--format <format>', `Output format (${Object.keys(OUTPUT_FORMATS).join(', ')}); inferred from the output extension, default gif`)
+    .option('--json', 'Print the result as a JSON object on stdout (other messages go to stderr)')
+    .option('--preview <file>', `Render a contact sheet (.png or .jpg) of ${PREVIEW_TILES} frames from the segment instead of converting it`)
+    .option('--dry-run', 'Print the ffmpeg and gifsicle commands the conversion would run, without downloading or encoding')
+    .option('--print-script', 'Print the commands as a runnable shell script (implies --dry-run)')
+    .option('--progress <format>', `Stream stage, progress and log events to stderr (${validProgressFormats.join(', ')})`)
+    .option('--preset <name>', `Platform preset for size and quality settings (${Object.keys(PRESETS).join(', ')}); other flags override it`)
+    .option('--webp-quality <value>', 'WebP quality (0-100, lower = smaller files)', DEFAULT_OPTIONS.webpQuality)
+    .option('--crf <value>', 'MP4/WebM constant rate factor (higher = smaller files; default 23 for mp4, 33 for webm)')
+    .option('--crop <WxH+X+Y>', 'Crop the video to a rectangle before scaling (without +X+Y the crop is centered)')
+    .option('--aspect <ratio>', 'Crop to an aspect ratio such as 1:1, 4:5 or 9:16')
+    .option('--anchor <position>', 'Part of the frame --aspect keeps: center, top, bottom, left, right, top-left, ... or fractions like 0.5,0.25', DEFAULT_OPTIONS.anchor)
+    .option('--autocrop', 'Detect and remove black bars before scaling')
+    .option('--subtitles <file>', 'Burn in subtitles from an .srt or .vtt file')
+    .option('--subs <lang>', 'Burn in the YouTube caption track for a language, e.g. en')
+    .option('--caption <spec>', 'Add a text caption, e.g. "Hello|top|size=32|color=yellow|outline|1-3" (repeatable)', collectValues)
+    .option('--memory-limit <mb>', 'Maximum memory usage in MB (0 = no limit)', DEFAULT_OPTIONS.memoryLimit)
+    .option('--threads <count>', 'Number of FFmpeg threads to use (0 = auto)', DEFAULT_OPTIONS.threads)
+    .option('--no-cache', 'Disable caching for YouTube downloads')
+    .option('--cache-dir <path>', 'Directory to store downloaded video cache', DEFAULT_OPTIONS.cacheDir)
+    .option('--cache-size <mb>', 'Maximum cache size in MB', DEFAULT_OPTIONS.cacheSize)
+    .option('--quality <value>', `Video quality to download (${validQualities.filter(q => q !== 'auto').join(', ')})`, DEFAULT_OPTIONS.quality);
+}
+
+/**
+ * Build the command line interface
+ * @returns {Command} - Configured commander program
+ */
+function createProgram() {
+  return addConversionOptions(program
+    .name('vgif')
+    .description('CLI to convert YouTube videos or local video files to looping GIFs')
+    .version('1.1.0'));
+}
+
+/**
+ * Print reporter events to the console
+ *
+ * By default messages are printed as prose the way the CLI always has. With
+ * --progress ndjson every event is written to stderr as one JSON object per line;
+ * with --json prose goes to stderr so stdout only carries the result.
+ *
+ * @param {EventEmitter} events - Emitter passed to convert()
+ * @param {object} [output] - { json, progress } from the command line
+ */
+function attachConsoleOutput(events, output = {}) {
+  if (output.progress === 'ndjson') {
+    const write = (type, event) => {
+      process.stderr.write(JSON.stringify({ type, time: new Date().toISOString(), ...event }) + '\n');
+    };
+    
+    events.on('stage', (event) => write('stage', event));
+    events.on('progress', ({ stage, percent }) => {
+      write('progress', { stage, percent: Math.round(Math.min(100, Math.max(0, percent)) * 10) / 10 });
+    });
+    events.on('log', (event) => write('log', event));
+    events.on('warning', (event) => write('warning', event));
+    return;
+  }
+  
+  events.on('log', ({ level, message }) => {
+    if (level === 'error' || output.json) {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+  });
+  events.on('warning', ({ message }) => console.warn(message));
+}
+
+/**
+ * Format a conversion result for --json, with errors reduced to their messages
+ * @param {object} result - Result from convert(), or { error } on failure
+ * @returns {string} - JSON text
+ */
+function formatJsonResult(result) {
+  return JSON.stringify(result, (key, value) => (value instanceof Error ? value.message : value), 2);
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Command line arguments
+ */
+async function main(argv = process.argv) {
+  const events = new EventEmitter();
+  const reporter = createReporter(events);
+  
+  // Read .vgifrc, which every command uses as its base settings; call once console output is attached
+  const readConfig = (verbose) => {
+    const config = loadConfig(Object.keys(DEFAULT_OPTIONS));
+    if (verbose || config.options.verbose) {
+      config.files.forEach(file => reporter.log(`Using config file: ${file}`));
+    }
+    return config.options;
+  };
+  
+  const fail = (error, verbose) => {
+    console.error('Error:', error.message);
+    if (verbose) {
       console.error('Stack trace:', error.stack);
     }
     process.exit(1);
-  } finally {
-    // Clean up any tracked temp files that weren't already cleaned up
-    if (tempFiles.length > 0) {
-      tempFiles.forEach(filePath => {
-        try {
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            if (options.verbose) {
-              console.log(`Final cleanup of temp file: ${filePath}`);
-            }
-          }
-        } catch (err) {
-          console.warn(`Warning: Could not clean up temp file: ${filePath}`);
+  };
+  
+  // Run a conversion from parsed conversion options, with extra options the command adds
+  const runConversion = async (options, command, extraOptions = {}) => {
+    const { json, printScript, progress, ...conversionOptions } = options;
+    
+    // Plans are printed on stdout, so other messages go to stderr
+    const quiet = json || printScript || conversionOptions.dryRun;
+    attachConsoleOutput(events, { json: quiet, progress });
+    
+    try {
+      if (progress !== undefined && !validProgressFormats.includes(progress)) {
+        throw new Error(`Progress format must be one of: ${validProgressFormats.join(', ')}`);
+      }
+      
+      // Flags left at their defaults mustn't override .vgifrc or the preset
+      const flags = {};
+      Object.keys(conversionOptions).forEach(key => {
+        if (command.getOptionValueSource(key) !== 'default') {
+          flags[key] = conversionOptions[key];
         }
       });
+      
+      if (printScript) {
+        flags.dryRun = true;
+      }
+      
+      const result = await convert(applyConfigOptions(readConfig(flags.verbose), { ...flags, ...extraOptions }), events);
+      
+      if (json) {
+        console.log(formatJsonResult(result));
+      } else if (printScript) {
+        process.stdout.write(formatPlanScript(result));
+      } else if (result.dryRun) {
+        console.log(formatPlan(result));
+      }
+    } catch (error) {
+      if (json) {
+        console.log(formatJsonResult({ error: error.message, clips: error.clips }));
+        process.exit(1);
+      }
+      fail(error, options.verbose);
     }
-    
-    // Clean up temp directory and files if we created them
-    if (tempDir && fs.existsSync(tempDir)) {
+  };
+  
+  const cli = createProgram()
+    // Keep the conversion options from swallowing subcommand options like -v
+    .enablePositionalOptions()
+    .action((options, command) => runConversion(options, command));
+  
+  addConversionOptions(cli.command('compare <profiles...>'))
+    .description(`Encode one segment with ${MIN_PROFILES} to ${MAX_PROFILES} settings profiles such as "colors=64,lossy=80" and stack them in one labelled comparison (profiles may set ${COMPARE_SETTINGS.join(', ')})`)
+    .action((profiles, options, command) => runConversion(options, command, { compare: profiles }));
+  
+  cli
+    .command('batch <manifest>')
+    .description('Convert every clip in a JSON or CSV manifest, downloading each source once')
+    .option('--concurrency <count>', 'Number of clips converted at once (default: manifest value or 2)')
+    .option('--output-dir <path>', 'Directory for clip outputs (default: current directory)')
+    .option('-v, --verbose', 'Show the full output of every clip')
+    .action(async (manifest, batchOptions) => {
+      attachConsoleOutput(events);
+      
+      // Loaded lazily because the batch module builds on this one
+      const { runBatch, formatBatchSummary } = require('./lib/batch');
+      
       try {
-        // Get all files in the temp directory
-        const files = fs.readdirSync(tempDir);
-        
-        // Delete each file that might have been missed
-        files.forEach(file => {
-          const filePath = path.join(tempDir, file);
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
-        });
-        
-        // Remove the directory
-        fs.rmdirSync(tempDir);
+        const config = readConfig(batchOptions.verbose);
+        const results = await runBatch(manifest, { ...batchOptions, config }, events);
+        console.log('');
+        console.log(formatBatchSummary(results));
         
-        if (options.verbose) {
-          console.log('Cleaned up temporary files');
+        if (results.some(result => result.status !== 'ok')) {
+          process.exit(1);
         }
-      } catch (err) {
-        console.error('Warning: Could not clean up temp files', err.message);
+      } catch (error) {
+        fail(error, batchOptions.verbose);
       }
-    }
-  }
+    });
+  
+  cli
+    .command('presets')
+    .description('List the platform presets and the settings each one applies')
+    .action(() => {
+      const nameWidth = Math.max(...Object.keys(PRESETS).map(name => name.length));
+      Object.keys(PRESETS).forEach(name => {
+        console.log(`${name.padEnd(nameWidth)}  ${PRESETS[name].description}`);
+        console.log(`${' '.repeat(nameWidth)}  ${formatPresetFlags(name)}`);
+      });
+    });
+  
+  cli
+    .command('serve')
+    .description('Run a local HTTP server that queues conversion jobs (POST /jobs, GET /jobs/:id, GET /jobs/:id/result, DELETE /jobs/:id)')
+    .option('-p, --port <port>', 'Port to listen on', '8080')
+    .option('--host <host>', 'Interface to listen on; use 0.0.0.0 to accept requests from other machines', '127.0.0.1')
+    .option('--concurrency <count>', 'Number of jobs converted at once', '2')
+    .option('--output-dir <path>', 'Directory for job outputs (default: a temp directory removed on exit)')
+    .option('-v, --verbose', 'Show the full output of every job')
+    .action(async (serveOptions) => {
+      attachConsoleOutput(events);
+      
+      // Loaded lazily because the server module builds on this one
+      const { createJobServer } = require('./lib/server');
+      
+      try {
+        const config = readConfig(serveOptions.verbose);
+        const jobServer = createJobServer({ ...serveOptions, config }, events);
+        const address = await jobServer.listen(parseInt(serveOptions.port), serveOptions.host);
+        console.log(`Listening on http://${address.address}:${address.port}`);
+        
+        // Remove the temp output directory whether stopped with Ctrl+C or by a process manager;
+        // a second signal while closing exits straight away
+        const stop = async () => {
+          process.removeListener('SIGINT', stop);
+          process.removeListener('SIGTERM', stop);
+          console.log('\nStopping server...');
+          await jobServer.close();
+          process.exit(0);
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+      } catch (error) {
+        fail(error, serveOptions.verbose);
+      }
+    });
+  
+  await cli.parseAsync(argv);
 }
 
-run();
\ No newline at end of file
+module.exports = {
+  convert,
+  run,
+  runClips,
+  runScenes,
+  runCompare,
+  normalizeOptions,
+  createReporter,
+  DEFAULT_OPTIONS,
+  GIF_STRATEGIES,
+  fetchVideoInfo,
+  selectVideoFormat,
+  downloadFullVideo,
+  extractSegment,
+  downloadSourceVideo,
+  nextSizeAdjustment,
+  nextQualityAdjustment,
+  encodeWithinMaxSize,
+  downloadVideoSegment,
+  downloadPartialVideo,
+  processCrossfade,
+  processBoomerang,
+  postProcessGif,
+  preprocessVideoSpeed,
+  initializeCache,
+  cleanupCache,
+  getCacheKey,
+  getCachedSegment,
+  saveCachedSegment,
+  getCachedVideoInfo,
+  saveCachedVideoInfo,
+  extractVideoId,
+  addTimestampToUrl,
+  getTimestampFromUrl,
+  probeVideo
+};
+
+if (require.main === module) {
+  main();
+}
\ No newline at end of file